@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "allocations" ADD COLUMN     "match_details" JSONB,
+ADD COLUMN     "match_score" INTEGER;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "blocks" ADD COLUMN     "gender" TEXT;
+
+-- AlterTable
+ALTER TABLE "floors" ADD COLUMN     "gender" TEXT;
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "gender" TEXT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "applications" ADD COLUMN     "merit_score" DOUBLE PRECISION;
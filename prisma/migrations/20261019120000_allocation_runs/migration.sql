@@ -0,0 +1,57 @@
+-- CreateEnum
+CREATE TYPE "RunTrigger" AS ENUM ('MANUAL', 'CRON', 'QUEUE');
+
+-- CreateEnum
+CREATE TYPE "RunStatus" AS ENUM ('RUNNING', 'COMPLETED', 'FAILED');
+
+-- CreateEnum
+CREATE TYPE "RunOutcome" AS ENUM ('ALLOCATED', 'WAITLISTED', 'ERROR');
+
+-- CreateTable
+CREATE TABLE "allocation_runs" (
+    "id" TEXT NOT NULL,
+    "triggered_by" TEXT NOT NULL,
+    "trigger_source" "RunTrigger" NOT NULL,
+    "strategy" TEXT NOT NULL,
+    "seed" TEXT,
+    "status" "RunStatus" NOT NULL DEFAULT 'RUNNING',
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finished_at" TIMESTAMP(3),
+    "duration_ms" INTEGER,
+    "processed_count" INTEGER NOT NULL DEFAULT 0,
+    "allocated_count" INTEGER NOT NULL DEFAULT 0,
+    "waitlisted_count" INTEGER NOT NULL DEFAULT 0,
+    "error_count" INTEGER NOT NULL DEFAULT 0,
+    "summary" JSONB,
+    "error" TEXT,
+
+    CONSTRAINT "allocation_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "allocation_run_outcomes" (
+    "id" TEXT NOT NULL,
+    "run_id" TEXT NOT NULL,
+    "application_id" TEXT NOT NULL,
+    "outcome" "RunOutcome" NOT NULL,
+    "allocation_id" TEXT,
+    "details" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "allocation_run_outcomes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "allocation_runs_started_at_idx" ON "allocation_runs"("started_at");
+
+-- CreateIndex
+CREATE INDEX "allocation_run_outcomes_run_id_idx" ON "allocation_run_outcomes"("run_id");
+
+-- CreateIndex
+CREATE INDEX "allocation_run_outcomes_application_id_idx" ON "allocation_run_outcomes"("application_id");
+
+-- AddForeignKey
+ALTER TABLE "allocation_run_outcomes" ADD CONSTRAINT "allocation_run_outcomes_run_id_fkey" FOREIGN KEY ("run_id") REFERENCES "allocation_runs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "allocation_run_outcomes" ADD CONSTRAINT "allocation_run_outcomes_application_id_fkey" FOREIGN KEY ("application_id") REFERENCES "applications"("id") ON DELETE CASCADE ON UPDATE CASCADE;
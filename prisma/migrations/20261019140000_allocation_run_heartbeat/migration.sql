@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "allocation_runs" ADD COLUMN     "heartbeat_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "allocation_runs_status_idx" ON "allocation_runs"("status");
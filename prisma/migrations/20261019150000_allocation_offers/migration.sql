@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "AllocationStatus" AS ENUM ('OFFERED', 'ACCEPTED', 'DECLINED', 'EXPIRED');
+
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "ApplicationStatus" ADD VALUE 'OFFERED';
+ALTER TYPE "ApplicationStatus" ADD VALUE 'DECLINED';
+ALTER TYPE "ApplicationStatus" ADD VALUE 'EXPIRED';
+
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "AuditAction" ADD VALUE 'ACCEPT_OFFER';
+ALTER TYPE "AuditAction" ADD VALUE 'DECLINE_OFFER';
+ALTER TYPE "AuditAction" ADD VALUE 'EXPIRE_OFFER';
+
+-- AlterTable
+ALTER TABLE "allocations" ADD COLUMN     "offer_expires_at" TIMESTAMP(3),
+ADD COLUMN     "responded_at" TIMESTAMP(3),
+ADD COLUMN     "status" "AllocationStatus" NOT NULL DEFAULT 'ACCEPTED';
+
+-- CreateIndex
+CREATE INDEX "allocations_status_offer_expires_at_idx" ON "allocations"("status", "offer_expires_at");
@@ -0,0 +1,10 @@
+-- AlterEnum
+ALTER TYPE "AllocationStatus" ADD VALUE 'ENDED';
+
+-- AlterEnum
+ALTER TYPE "ApplicationStatus" ADD VALUE 'CHECKED_OUT';
+
+-- AlterTable
+ALTER TABLE "allocations" ADD COLUMN     "end_reason" TEXT,
+ADD COLUMN     "ended_at" TIMESTAMP(3),
+ADD COLUMN     "ended_by" TEXT;
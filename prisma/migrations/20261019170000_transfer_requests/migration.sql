@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "TransferType" AS ENUM ('MOVE', 'SWAP');
+
+-- CreateEnum
+CREATE TYPE "TransferStatus" AS ENUM ('PENDING_CONSENT', 'PENDING_APPROVAL', 'APPROVED', 'REJECTED', 'DECLINED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "transfer_requests" (
+    "id" TEXT NOT NULL,
+    "type" "TransferType" NOT NULL,
+    "status" "TransferStatus" NOT NULL,
+    "requester_id" TEXT NOT NULL,
+    "allocation_id" TEXT NOT NULL,
+    "target_room_id" TEXT,
+    "target_hostel_id" TEXT,
+    "counterpart_id" TEXT,
+    "swap_allocation_id" TEXT,
+    "reason" TEXT,
+    "consented_at" TIMESTAMP(3),
+    "reviewed_by" TEXT,
+    "reviewed_at" TIMESTAMP(3),
+    "review_note" TEXT,
+    "result" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "transfer_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transfer_requests_status_idx" ON "transfer_requests"("status");
+
+-- CreateIndex
+CREATE INDEX "transfer_requests_requester_id_idx" ON "transfer_requests"("requester_id");
+
+-- CreateIndex
+CREATE INDEX "transfer_requests_counterpart_id_idx" ON "transfer_requests"("counterpart_id");
+
+-- AddForeignKey
+ALTER TABLE "transfer_requests" ADD CONSTRAINT "transfer_requests_requester_id_fkey" FOREIGN KEY ("requester_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfer_requests" ADD CONSTRAINT "transfer_requests_counterpart_id_fkey" FOREIGN KEY ("counterpart_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfer_requests" ADD CONSTRAINT "transfer_requests_allocation_id_fkey" FOREIGN KEY ("allocation_id") REFERENCES "allocations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfer_requests" ADD CONSTRAINT "transfer_requests_swap_allocation_id_fkey" FOREIGN KEY ("swap_allocation_id") REFERENCES "allocations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfer_requests" ADD CONSTRAINT "transfer_requests_target_room_id_fkey" FOREIGN KEY ("target_room_id") REFERENCES "rooms"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfer_requests" ADD CONSTRAINT "transfer_requests_target_hostel_id_fkey" FOREIGN KEY ("target_hostel_id") REFERENCES "hostels"("id") ON DELETE SET NULL ON UPDATE CASCADE;
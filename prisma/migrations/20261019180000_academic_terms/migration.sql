@@ -0,0 +1,93 @@
+-- CreateTable
+CREATE TABLE "terms" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "starts_at" TIMESTAMP(3) NOT NULL,
+    "ends_at" TIMESTAMP(3) NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "terms_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "terms_name_key" ON "terms"("name");
+
+-- Backfill: existing records belong to an initial term, which starts out active
+INSERT INTO "terms" ("id", "name", "starts_at", "ends_at", "is_active")
+SELECT gen_random_uuid()::text,
+       'Initial term',
+       COALESCE((SELECT MIN("applied_at") FROM "applications"), CURRENT_TIMESTAMP),
+       CURRENT_TIMESTAMP + INTERVAL '1 year',
+       true;
+
+-- AlterTable
+ALTER TABLE "applications" ADD COLUMN "term_id" TEXT;
+ALTER TABLE "allocations" ADD COLUMN "term_id" TEXT;
+ALTER TABLE "waitlist_entries" ADD COLUMN "term_id" TEXT;
+ALTER TABLE "allocation_runs" ADD COLUMN "term_id" TEXT;
+
+UPDATE "applications" SET "term_id" = (SELECT "id" FROM "terms" LIMIT 1);
+UPDATE "allocations" SET "term_id" = (SELECT "id" FROM "terms" LIMIT 1);
+UPDATE "waitlist_entries" SET "term_id" = (SELECT "id" FROM "terms" LIMIT 1);
+UPDATE "allocation_runs" SET "term_id" = (SELECT "id" FROM "terms" LIMIT 1);
+
+-- Students could apply again once an allocation was removed, so the initial term
+-- may hold several applications per student. Keep the latest one there and move
+-- earlier ones, with their allocations and waitlist entries, to one inactive
+-- archive term per round, so every term has at most one application per student.
+CREATE TEMP TABLE "application_rounds" AS
+SELECT "id", ROW_NUMBER() OVER (PARTITION BY "student_id" ORDER BY "applied_at" DESC, "id") - 1 AS "round"
+FROM "applications";
+
+INSERT INTO "terms" ("id", "name", "starts_at", "ends_at", "is_active")
+SELECT gen_random_uuid()::text,
+       'Initial term (earlier applications ' || r."round" || ')',
+       t."starts_at",
+       t."starts_at",
+       false
+FROM (SELECT DISTINCT "round" FROM "application_rounds" WHERE "round" > 0) r
+CROSS JOIN (SELECT "starts_at" FROM "terms" LIMIT 1) t;
+
+UPDATE "applications" a
+SET "term_id" = t."id"
+FROM "application_rounds" ar, "terms" t
+WHERE ar."id" = a."id" AND ar."round" > 0
+  AND t."name" = 'Initial term (earlier applications ' || ar."round" || ')';
+
+UPDATE "allocations" al SET "term_id" = a."term_id" FROM "applications" a WHERE a."id" = al."application_id";
+UPDATE "waitlist_entries" w SET "term_id" = a."term_id" FROM "applications" a WHERE a."id" = w."application_id";
+
+DROP TABLE "application_rounds";
+
+ALTER TABLE "applications" ALTER COLUMN "term_id" SET NOT NULL;
+ALTER TABLE "allocations" ALTER COLUMN "term_id" SET NOT NULL;
+ALTER TABLE "waitlist_entries" ALTER COLUMN "term_id" SET NOT NULL;
+ALTER TABLE "allocation_runs" ALTER COLUMN "term_id" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "applications_term_id_student_id_idx" ON "applications"("term_id", "student_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "applications_student_id_term_id_key" ON "applications"("student_id", "term_id");
+
+-- CreateIndex
+CREATE INDEX "allocations_term_id_student_id_idx" ON "allocations"("term_id", "student_id");
+
+-- CreateIndex
+CREATE INDEX "waitlist_entries_term_id_idx" ON "waitlist_entries"("term_id");
+
+-- CreateIndex
+CREATE INDEX "allocation_runs_term_id_idx" ON "allocation_runs"("term_id");
+
+-- AddForeignKey
+ALTER TABLE "applications" ADD CONSTRAINT "applications_term_id_fkey" FOREIGN KEY ("term_id") REFERENCES "terms"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "allocations" ADD CONSTRAINT "allocations_term_id_fkey" FOREIGN KEY ("term_id") REFERENCES "terms"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "waitlist_entries" ADD CONSTRAINT "waitlist_entries_term_id_fkey" FOREIGN KEY ("term_id") REFERENCES "terms"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "allocation_runs" ADD CONSTRAINT "allocation_runs_term_id_fkey" FOREIGN KEY ("term_id") REFERENCES "terms"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "applications" ADD COLUMN "is_late" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "application_windows" (
+    "id" TEXT NOT NULL,
+    "term_id" TEXT NOT NULL,
+    "hostel_id" TEXT,
+    "opens_at" TIMESTAMP(3) NOT NULL,
+    "closes_at" TIMESTAMP(3) NOT NULL,
+    "allow_late" BOOLEAN NOT NULL DEFAULT false,
+    "late_until" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "application_windows_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "application_windows_term_id_hostel_id_key" ON "application_windows"("term_id", "hostel_id");
+
+-- AddForeignKey
+ALTER TABLE "application_windows" ADD CONSTRAINT "application_windows_term_id_fkey" FOREIGN KEY ("term_id") REFERENCES "terms"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "application_windows" ADD CONSTRAINT "application_windows_hostel_id_fkey" FOREIGN KEY ("hostel_id") REFERENCES "hostels"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- AlterEnum
+ALTER TYPE "ApplicationStatus" ADD VALUE 'WITHDRAWN';
+
+-- CreateTable
+CREATE TABLE "application_preference_versions" (
+    "id" TEXT NOT NULL,
+    "application_id" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "preferences" JSONB NOT NULL,
+    "changed_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "application_preference_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "application_preference_versions_application_id_version_key" ON "application_preference_versions"("application_id", "version");
+
+-- AddForeignKey
+ALTER TABLE "application_preference_versions" ADD CONSTRAINT "application_preference_versions_application_id_fkey" FOREIGN KEY ("application_id") REFERENCES "applications"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: the current preferences of existing applications become version 1
+INSERT INTO "application_preference_versions" ("id", "application_id", "version", "preferences", "changed_by", "created_at")
+SELECT gen_random_uuid()::text, "id", 1, "preferences", "student_id", "applied_at"
+FROM "applications";
@@ -0,0 +1,7 @@
+-- AlterEnum
+ALTER TYPE "ApplicationStatus" ADD VALUE 'APPROVED';
+
+-- AlterTable
+ALTER TABLE "applications" ADD COLUMN     "review_reason" TEXT,
+ADD COLUMN     "reviewed_at" TIMESTAMP(3),
+ADD COLUMN     "reviewed_by" TEXT;
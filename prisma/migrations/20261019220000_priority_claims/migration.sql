@@ -0,0 +1,59 @@
+-- CreateEnum
+CREATE TYPE "PriorityClaimStatus" AS ENUM ('PENDING', 'VERIFIED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "priority_claims" (
+    "id" TEXT NOT NULL,
+    "application_id" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "status" "PriorityClaimStatus" NOT NULL DEFAULT 'PENDING',
+    "reviewed_by" TEXT,
+    "reviewed_at" TIMESTAMP(3),
+    "review_note" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "priority_claims_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "priority_documents" (
+    "id" TEXT NOT NULL,
+    "claim_id" TEXT NOT NULL,
+    "file_name" TEXT NOT NULL,
+    "mime_type" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "storage_key" TEXT NOT NULL,
+    "uploaded_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "priority_documents_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "priority_claims_application_id_key" ON "priority_claims"("application_id");
+
+-- CreateIndex
+CREATE INDEX "priority_claims_status_idx" ON "priority_claims"("status");
+
+-- AddForeignKey
+ALTER TABLE "priority_claims" ADD CONSTRAINT "priority_claims_application_id_fkey" FOREIGN KEY ("application_id") REFERENCES "applications"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "priority_documents" ADD CONSTRAINT "priority_documents_claim_id_fkey" FOREIGN KEY ("claim_id") REFERENCES "priority_claims"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: existing categories become claims. Applications already placed under
+-- their category keep it as verified; the rest wait for a warden.
+INSERT INTO "priority_claims" ("id", "application_id", "category", "status", "reviewed_at", "review_note", "created_at")
+SELECT gen_random_uuid()::text,
+       "id",
+       "priority_category",
+       CASE WHEN "status" IN ('OFFERED', 'ALLOCATED', 'CHECKED_OUT') THEN 'VERIFIED'::"PriorityClaimStatus" ELSE 'PENDING'::"PriorityClaimStatus" END,
+       CASE WHEN "status" IN ('OFFERED', 'ALLOCATED', 'CHECKED_OUT') THEN CURRENT_TIMESTAMP END,
+       CASE WHEN "status" IN ('OFFERED', 'ALLOCATED', 'CHECKED_OUT') THEN 'Placed before priority verification was introduced' END,
+       "applied_at"
+FROM "applications"
+WHERE "priority_category" IS NOT NULL;
+
+UPDATE "applications"
+SET "priority_category" = NULL
+WHERE "priority_category" IS NOT NULL
+  AND "status" NOT IN ('OFFERED', 'ALLOCATED', 'CHECKED_OUT');
@@ -0,0 +1,35 @@
+-- CreateEnum
+CREATE TYPE "HoldStatus" AS ENUM ('ACTIVE', 'FULFILLED', 'RELEASED', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "bed_holds" (
+    "id" TEXT NOT NULL,
+    "room_id" TEXT NOT NULL,
+    "bed_id" TEXT,
+    "purpose" TEXT NOT NULL,
+    "reason" TEXT,
+    "owner_id" TEXT NOT NULL,
+    "eligible_university_ids" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "status" "HoldStatus" NOT NULL DEFAULT 'ACTIVE',
+    "released_at" TIMESTAMP(3),
+    "released_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bed_holds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "bed_holds_status_expires_at_idx" ON "bed_holds"("status", "expires_at");
+
+-- CreateIndex
+CREATE INDEX "bed_holds_bed_id_status_idx" ON "bed_holds"("bed_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "bed_holds" ADD CONSTRAINT "bed_holds_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "rooms"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bed_holds" ADD CONSTRAINT "bed_holds_bed_id_fkey" FOREIGN KEY ("bed_id") REFERENCES "beds"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bed_holds" ADD CONSTRAINT "bed_holds_owner_id_fkey" FOREIGN KEY ("owner_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,44 @@
+-- CreateEnum
+CREATE TYPE "TicketStatus" AS ENUM ('OPEN', 'IN_PROGRESS', 'RESOLVED');
+
+-- CreateEnum
+CREATE TYPE "TicketPriority" AS ENUM ('LOW', 'MEDIUM', 'HIGH', 'URGENT');
+
+-- CreateTable
+CREATE TABLE "maintenance_tickets" (
+    "id" TEXT NOT NULL,
+    "room_id" TEXT NOT NULL,
+    "bed_id" TEXT,
+    "reported_by" TEXT NOT NULL,
+    "assigned_to" TEXT,
+    "category" TEXT NOT NULL,
+    "priority" "TicketPriority" NOT NULL DEFAULT 'MEDIUM',
+    "description" TEXT NOT NULL,
+    "status" "TicketStatus" NOT NULL DEFAULT 'OPEN',
+    "out_of_service" BOOLEAN NOT NULL DEFAULT false,
+    "resolution" TEXT,
+    "resolved_by" TEXT,
+    "resolved_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "maintenance_tickets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "maintenance_tickets_status_priority_idx" ON "maintenance_tickets"("status", "priority");
+
+-- CreateIndex
+CREATE INDEX "maintenance_tickets_room_id_status_idx" ON "maintenance_tickets"("room_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "maintenance_tickets" ADD CONSTRAINT "maintenance_tickets_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "rooms"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "maintenance_tickets" ADD CONSTRAINT "maintenance_tickets_bed_id_fkey" FOREIGN KEY ("bed_id") REFERENCES "beds"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "maintenance_tickets" ADD CONSTRAINT "maintenance_tickets_reported_by_fkey" FOREIGN KEY ("reported_by") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "maintenance_tickets" ADD CONSTRAINT "maintenance_tickets_assigned_to_fkey" FOREIGN KEY ("assigned_to") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
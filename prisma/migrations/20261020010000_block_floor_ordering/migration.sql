@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "blocks" ADD COLUMN "sort_order" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "floors" ADD COLUMN "name" TEXT,
+ADD COLUMN "sort_order" INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill: keep the current order (blocks by name, floors by number)
+UPDATE "blocks" b
+SET "sort_order" = o.position
+FROM (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "hostel_id" ORDER BY "name", "id") - 1 AS position
+    FROM "blocks"
+) o
+WHERE b."id" = o."id";
+
+UPDATE "floors" f
+SET "sort_order" = o.position
+FROM (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "block_id" ORDER BY "floor_number", "id") - 1 AS position
+    FROM "floors"
+) o
+WHERE f."id" = o."id";
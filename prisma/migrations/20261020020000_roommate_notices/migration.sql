@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "applications" ADD COLUMN     "roommate_notice_ids" TEXT[] DEFAULT ARRAY[]::TEXT[];
@@ -50,11 +50,25 @@ async function main() {
         passwordHash: studentPasswords[i - 1],
         role: 'STUDENT',
         universityId: `STU${String(i).padStart(3, '0')}`,
+        gender: i <= 5 ? 'MALE' : 'FEMALE',
       },
     });
     students.push(student);
   }
 
+  // Create the academic term applications are made for
+  const activeTerm = await prisma.term.findFirst({ where: { isActive: true } });
+  const term = activeTerm || await prisma.term.upsert({
+    where: { name: 'Academic Year 2026-27' },
+    update: { isActive: true },
+    create: {
+      name: 'Academic Year 2026-27',
+      startsAt: new Date('2026-07-01'),
+      endsAt: new Date('2027-06-30'),
+      isActive: true,
+    },
+  });
+
   // Create hostels
   const hostel1 = await prisma.hostel.upsert({
     where: { id: 'hostel-1' },
@@ -161,7 +175,8 @@ async function main() {
   }
 
   console.log(`✅ Seeded:
-  - 1 Admin user (admin@hostel.com / admin123)
+  - Active term: ${term.name}
+  - 1 Admin user (admin@hostel.com / admin123), SYSTEM_USER_ID=${admin.id}
   - 1 Warden user (warden@hostel.com / warden123)
   - 10 Student users (student1@university.edu to student10@university.edu / student123)
   - 2 Hostels
@@ -1,15 +1,29 @@
 const { PrismaClient } = require('@prisma/client');
 const allocationEngine = require('../services/allocationEngine');
+const transferService = require('../services/transferService');
 const bcrypt = require('bcryptjs');
 
 const prisma = new PrismaClient();
 
 describe('Allocation Engine', () => {
-  let testHostel, testBlock, testFloor, testRoom, testBed, student1, student2, admin;
+  let testTerm, createdTerm, testHostel, testBlock, testFloor, testRoom, testBed, student1, student2, admin;
 
   beforeAll(async () => {
     // Create test data
     const passwordHash = await bcrypt.hash('password', 10);
+
+    // Runs work on the active term; create one if the database has none
+    testTerm = await prisma.term.findFirst({ where: { isActive: true } });
+    if (!testTerm) {
+      createdTerm = testTerm = await prisma.term.create({
+        data: {
+          name: 'Test Term',
+          startsAt: new Date('2026-01-01'),
+          endsAt: new Date('2026-12-31'),
+          isActive: true,
+        },
+      });
+    }
     
     admin = await prisma.user.upsert({
       where: { email: 'admin-test@hostel.com' },
@@ -30,6 +44,7 @@ describe('Allocation Engine', () => {
         passwordHash,
         role: 'STUDENT',
         universityId: 'STU-TEST-1',
+        gender: 'MALE',
       },
     });
 
@@ -40,6 +55,7 @@ describe('Allocation Engine', () => {
         passwordHash,
         role: 'STUDENT',
         universityId: 'STU-TEST-2',
+        gender: 'MALE',
       },
     });
 
@@ -105,6 +121,10 @@ describe('Allocation Engine', () => {
         id: { in: [student1.id, student2.id, admin.id] },
       },
     });
+    if (createdTerm) {
+      await prisma.allocationRun.deleteMany({ where: { termId: createdTerm.id } });
+      await prisma.term.delete({ where: { id: createdTerm.id } });
+    }
     await prisma.$disconnect();
   });
 
@@ -112,6 +132,7 @@ describe('Allocation Engine', () => {
     const application = await prisma.application.create({
       data: {
         studentId: student1.id,
+        termId: testTerm.id,
         preferences: {
           preferredHostels: [testHostel.id],
         },
@@ -145,6 +166,7 @@ describe('Allocation Engine', () => {
     const app1 = await prisma.application.create({
       data: {
         studentId: student1.id,
+        termId: testTerm.id,
         preferences: { preferredHostels: [testHostel.id] },
         status: 'PENDING',
       },
@@ -153,6 +175,7 @@ describe('Allocation Engine', () => {
     const app2 = await prisma.application.create({
       data: {
         studentId: student2.id,
+        termId: testTerm.id,
         preferences: { preferredHostels: [testHostel.id] },
         status: 'PENDING',
       },
@@ -171,5 +194,131 @@ describe('Allocation Engine', () => {
     // Cleanup
     await prisma.bed.delete({ where: { id: bed2.id } });
   });
-});
 
+  it('should commit a planned run and report throughput', async () => {
+    const stats = await allocationEngine.runAllocation(admin.id, { mode: 'PLANNED' });
+
+    expect(stats.mode).toBe('PLANNED');
+    expect(stats.throughput).toEqual(expect.objectContaining({
+      planMs: expect.any(Number),
+      commitMs: expect.any(Number),
+      chunks: expect.any(Number),
+      conflicts: expect.any(Number),
+      applicationsPerSecond: expect.any(Number),
+    }));
+
+    const run = await prisma.allocationRun.findUnique({ where: { id: stats.runId } });
+    expect(run.status).toBe('COMPLETED');
+    expect(run.summary.throughput).toBeTruthy();
+
+    const inProgress = await prisma.application.count({ where: { status: 'IN_PROGRESS' } });
+    expect(inProgress).toBe(0);
+  });
+
+  it('should reject a run while another run is in progress', async () => {
+    const activeRun = await prisma.allocationRun.create({
+      data: {
+        triggeredBy: admin.id,
+        triggerSource: 'MANUAL',
+        termId: testTerm.id,
+        strategy: 'FCFS',
+        heartbeatAt: new Date(),
+      },
+    });
+
+    try {
+      await expect(allocationEngine.runAllocation(admin.id)).rejects.toMatchObject({
+        statusCode: 409,
+        runId: activeRun.id,
+      });
+    } finally {
+      await prisma.allocationRun.delete({ where: { id: activeRun.id } });
+    }
+  });
+
+  it('should end an allocation without deleting it', async () => {
+    const allocation = await prisma.allocation.findFirst({
+      where: { studentId: student1.id, bedId: testBed.id },
+    });
+
+    const { allocation: ended } = await allocationEngine.deallocate(allocation.id, admin.id, 'Checked out');
+    expect(ended.status).toBe('ENDED');
+    expect(ended.endReason).toBe('Checked out');
+    expect(ended.endedAt).toBeTruthy();
+
+    const bed = await prisma.bed.findUnique({ where: { id: testBed.id } });
+    expect(bed.occupiedBy).not.toBe(student1.id);
+
+    const application = await prisma.application.findUnique({ where: { id: allocation.applicationId } });
+    expect(application.status).toBe('CHECKED_OUT');
+
+    const auditEntry = await prisma.auditLog.findFirst({
+      where: { action: 'DEALLOCATE', targetId: allocation.id },
+    });
+    expect(auditEntry).toBeTruthy();
+
+    await expect(allocationEngine.deallocate(allocation.id, admin.id, 'Again')).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should move a student on an approved transfer request', async () => {
+    const createRoom = (number) => prisma.room.create({
+      data: {
+        blockId: testBlock.id,
+        floorId: testFloor.id,
+        number,
+        capacity: 1,
+        status: 'AVAILABLE',
+        features: {},
+        beds: { create: [{ bedNumber: 1 }] },
+      },
+      include: { beds: true },
+    });
+    const sourceRoom = await createRoom('102');
+    const targetRoom = await createRoom('103');
+    const roomIds = [sourceRoom.id, targetRoom.id];
+
+    try {
+      const application = await prisma.application.create({
+        data: { studentId: student2.id, termId: testTerm.id, preferences: {}, status: 'ALLOCATED' },
+      });
+      const current = await prisma.allocation.create({
+        data: {
+          applicationId: application.id,
+          studentId: student2.id,
+          termId: testTerm.id,
+          roomId: sourceRoom.id,
+          bedId: sourceRoom.beds[0].id,
+          allocatedBy: admin.id,
+          status: 'ACCEPTED',
+        },
+      });
+      await prisma.bed.update({ where: { id: sourceRoom.beds[0].id }, data: { occupiedBy: student2.id } });
+
+      const request = await transferService.createTransferRequest(student2.id, {
+        type: 'MOVE',
+        targetRoomId: targetRoom.id,
+      });
+      expect(request.status).toBe('PENDING_APPROVAL');
+
+      const { request: approved } = await transferService.approveTransferRequest(request.id, admin.id);
+      expect(approved.status).toBe('APPROVED');
+
+      const ended = await prisma.allocation.findUnique({ where: { id: current.id } });
+      expect(ended.status).toBe('ENDED');
+
+      const moved = await prisma.allocation.findFirst({
+        where: { studentId: student2.id, status: 'ACCEPTED' },
+      });
+      expect(moved.bedId).toBe(targetRoom.beds[0].id);
+
+      const oldBed = await prisma.bed.findUnique({ where: { id: sourceRoom.beds[0].id } });
+      expect(oldBed.occupiedBy).not.toBe(student2.id);
+
+      await expect(transferService.approveTransferRequest(request.id, admin.id)).rejects.toMatchObject({ statusCode: 409 });
+    } finally {
+      await prisma.allocation.deleteMany({ where: { roomId: { in: roomIds } } });
+      await prisma.bed.deleteMany({ where: { roomId: { in: roomIds } } });
+      await prisma.room.deleteMany({ where: { id: { in: roomIds } } });
+    }
+  });
+});
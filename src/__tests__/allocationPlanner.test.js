@@ -0,0 +1,99 @@
+const { planAllocation } = require('../services/allocationPlanner');
+const { computeQuotaState } = require('../services/quotaPolicy');
+
+const makeBed = (id, roomId, hostelId, { bedNumber = 1, capacity = 2, gender = 'MIXED' } = {}) => ({
+  id,
+  roomId,
+  bedNumber,
+  room: {
+    id: roomId,
+    capacity,
+    features: {},
+    block: { hostelId, hostel: { id: hostelId, gender } },
+    floor: { floorNumber: 1 },
+  },
+});
+
+const makeApplication = (id, universityId, preferences = {}, extra = {}) => ({
+  id,
+  studentId: `student-${id}`,
+  student: { universityId, gender: 'MALE' },
+  preferences,
+  priorityCategory: null,
+  ...extra,
+});
+
+const makeSnapshot = (freeBeds, totalBeds = freeBeds.length) => {
+  const quotaStates = new Map();
+  for (const hostelId of new Set(freeBeds.map((bed) => bed.room.block.hostelId))) {
+    const free = freeBeds.filter((bed) => bed.room.block.hostelId === hostelId).length;
+    quotaStates.set(hostelId, computeQuotaState(
+      { totalBeds, occupiedBeds: totalBeds - free, freeBeds: free },
+      { quotas: {} }
+    ));
+  }
+  return { freeBeds, quotaStates };
+};
+
+describe('Allocation Planner', () => {
+  it('should place applications in order and waitlist the rest', () => {
+    const snapshot = makeSnapshot([
+      makeBed('b1', 'r1', 'h1'),
+      makeBed('b2', 'r1', 'h1', { bedNumber: 2 }),
+    ]);
+
+    const plan = planAllocation([
+      makeApplication('a1', 'STU001'),
+      makeApplication('a2', 'STU002'),
+      makeApplication('a3', 'STU003'),
+    ], snapshot);
+
+    expect(plan.placements.map((p) => p.applicationId)).toEqual(['a1', 'a2']);
+    expect(plan.waitlist).toMatchObject([{
+      applicationId: 'a3',
+      studentId: 'student-a3',
+      position: 1,
+      reason: 'NO_BEDS_IN_PREFERRED_HOSTELS',
+    }]);
+    expect(plan.quotaStates.get('h1').freeBeds).toBe(0);
+
+    // The snapshot itself is left untouched
+    expect(snapshot.quotaStates.get('h1').freeBeds).toBe(2);
+  });
+
+  it('should keep a roommate group in one room or leave all unplaced', () => {
+    const snapshot = makeSnapshot([
+      makeBed('b1', 'r1', 'h1'),
+      makeBed('b3', 'r2', 'h1'),
+      makeBed('b4', 'r2', 'h1', { bedNumber: 2 }),
+    ]);
+
+    const plan = planAllocation([
+      makeApplication('a1', 'STU001', { roommatePreferences: { universityIds: ['STU002'] } }),
+      makeApplication('a2', 'STU002', { roommatePreferences: { universityIds: ['STU001'] } }),
+      makeApplication('a3', 'STU003', { roommatePreferences: { universityIds: ['STU004'] } }),
+      makeApplication('a4', 'STU004', { roommatePreferences: { universityIds: ['STU003'] } }),
+    ], snapshot);
+
+    expect(plan.placements.map((p) => [p.applicationId, p.roomId])).toEqual([
+      ['a1', 'r2'],
+      ['a2', 'r2'],
+    ]);
+    expect(plan.waitlist.map((entry) => entry.applicationId)).toEqual(['a3', 'a4']);
+  });
+
+  it('should respect hostel preferences and gender', () => {
+    const snapshot = makeSnapshot([
+      makeBed('b1', 'r1', 'h1', { gender: 'FEMALE' }),
+      makeBed('b2', 'r2', 'h2'),
+    ]);
+
+    const plan = planAllocation([
+      makeApplication('a1', 'STU001', { preferredHostels: ['h1'] }),
+      makeApplication('a2', 'STU002'),
+    ], snapshot);
+
+    expect(plan.placements.map((p) => [p.applicationId, p.bedId])).toEqual([['a2', 'b2']]);
+    expect(plan.waitlist.map((entry) => [entry.applicationId, entry.reason])).toEqual([['a1', 'GENDER_MISMATCH']]);
+  });
+});
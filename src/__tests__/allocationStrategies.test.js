@@ -0,0 +1,81 @@
+const { orderApplications, getStrategy } = require('../services/allocationStrategies');
+
+const makeApplication = (id, appliedAt, extra = {}) => ({
+  id,
+  appliedAt: new Date(appliedAt),
+  priorityCategory: null,
+  meritScore: null,
+  preferences: {},
+  ...extra,
+});
+
+const ids = (applications) => applications.map((application) => application.id);
+
+describe('Allocation Strategies', () => {
+  const applications = [
+    makeApplication('a1', '2025-01-03', { meritScore: 70 }),
+    makeApplication('a2', '2025-01-01', { meritScore: 90 }),
+    makeApplication('a3', '2025-01-04', { priorityCategory: 'MERIT', meritScore: 50 }),
+    makeApplication('a4', '2025-01-02', { priorityCategory: 'HANDICAPPED' }),
+  ];
+
+  it('should order FCFS by priority category, then application time', () => {
+    const { strategy, ordered } = orderApplications(applications);
+
+    expect(strategy).toEqual({ name: 'FCFS', seed: null });
+    expect(ids(ordered)).toEqual(['a4', 'a3', 'a2', 'a1']);
+  });
+
+  it('should rank late applications after on-time ones', () => {
+    const withLate = [
+      ...applications,
+      makeApplication('late-priority', '2024-12-01', { priorityCategory: 'HANDICAPPED', isLate: true }),
+      makeApplication('late', '2024-12-01', { isLate: true }),
+    ];
+
+    expect(ids(orderApplications(withLate).ordered)).toEqual(['a4', 'a3', 'a2', 'a1', 'late-priority', 'late']);
+  });
+
+  it('should order by merit score within priority categories', () => {
+    const { ordered } = orderApplications(applications, { strategy: 'MERIT' });
+
+    expect(ids(ordered)).toEqual(['a4', 'a3', 'a2', 'a1']);
+
+    const unprioritised = applications.map((application) => ({ ...application, priorityCategory: null }));
+    expect(ids(orderApplications(unprioritised, { strategy: 'MERIT' }).ordered)).toEqual(['a2', 'a1', 'a3', 'a4']);
+  });
+
+  it('should reproduce a lottery draw from its seed', () => {
+    const many = Array.from({ length: 20 }, (_, i) => makeApplication(`app-${i}`, '2025-01-01'));
+
+    const first = orderApplications(many, { strategy: 'LOTTERY', seed: 'draw-2025' });
+    const second = orderApplications([...many].reverse(), { strategy: 'LOTTERY', seed: 'draw-2025' });
+    const generated = orderApplications(many, { strategy: 'LOTTERY' });
+
+    expect(first.strategy.seed).toBe('draw-2025');
+    expect(ids(second.ordered)).toEqual(ids(first.ordered));
+    expect(generated.strategy.seed).toEqual(expect.any(String));
+  });
+
+  it('should compute a stable matching over ranked hostel choices', () => {
+    const ranked = [
+      makeApplication('a1', '2025-01-01', { preferences: { preferredHostels: ['h1', 'h2'] } }),
+      makeApplication('a2', '2025-01-02', { preferences: { preferredHostels: ['h1', 'h2'] } }),
+      makeApplication('a3', '2025-01-03', { preferences: { preferredHostels: ['h1'] } }),
+      makeApplication('a4', '2025-01-04'),
+    ];
+
+    const { ordered } = orderApplications(ranked, {
+      strategy: 'STABLE_MATCHING',
+      capacity: new Map([['h1', 1], ['h2', 1]]),
+    });
+
+    const assignments = Object.fromEntries(ordered.map((application) => [application.id, application.assignedHostelId]));
+    expect(assignments).toEqual({ a1: 'h1', a2: 'h2', a3: undefined, a4: undefined });
+    expect(ids(ordered)).toEqual(['a1', 'a2', 'a3', 'a4']);
+  });
+
+  it('should reject unknown strategies', () => {
+    expect(() => getStrategy('RANDOM')).toThrow('Unknown allocation strategy: RANDOM');
+  });
+});
@@ -0,0 +1,58 @@
+const { findWindow, getWindowStatus, checkSubmission, checkPreferenceChange } = require('../services/applicationWindows');
+
+const makeWindow = (extra = {}) => ({
+  hostelId: null,
+  opensAt: new Date('2026-03-01T00:00:00Z'),
+  closesAt: new Date('2026-03-31T00:00:00Z'),
+  allowLate: false,
+  lateUntil: null,
+  ...extra,
+});
+
+describe('Application Windows', () => {
+  it('should prefer the hostel window over the term-wide one', () => {
+    const general = makeWindow();
+    const hostel = makeWindow({ hostelId: 'h1' });
+
+    expect(findWindow([general, hostel], 'h1')).toBe(hostel);
+    expect(findWindow([general, hostel], 'h2')).toBe(general);
+    expect(findWindow([hostel], null)).toBeNull();
+  });
+
+  it('should report the state and countdown of a window', () => {
+    const window = makeWindow({ allowLate: true, lateUntil: new Date('2026-04-07T00:00:00Z') });
+
+    expect(getWindowStatus(window, new Date('2026-02-28T23:59:00Z'))).toMatchObject({ state: 'UPCOMING', secondsRemaining: 60 });
+    expect(getWindowStatus(window, new Date('2026-03-10T00:00:00Z')).state).toBe('OPEN');
+    expect(getWindowStatus(window, new Date('2026-04-01T00:00:00Z')).state).toBe('LATE');
+    expect(getWindowStatus(window, new Date('2026-04-08T00:00:00Z'))).toMatchObject({ state: 'CLOSED', secondsRemaining: null });
+  });
+
+  it('should reject submissions outside the window unless late ones are allowed', () => {
+    const preferences = { preferredHostels: ['h1'] };
+    const afterClose = new Date('2026-04-01T00:00:00Z');
+
+    expect(checkSubmission([], preferences, afterClose)).toMatchObject({ accepted: true, late: false });
+    expect(checkSubmission([makeWindow()], preferences, new Date('2026-03-10T00:00:00Z')))
+      .toMatchObject({ accepted: true, late: false });
+    expect(checkSubmission([makeWindow()], preferences, afterClose))
+      .toMatchObject({ accepted: false, message: 'Applications closed on 2026-03-31T00:00:00.000Z' });
+    expect(checkSubmission([makeWindow({ allowLate: true })], preferences, afterClose))
+      .toMatchObject({ accepted: true, late: true });
+  });
+
+  it('should check a change of preferred hostels against the new first choice', () => {
+    const windows = [makeWindow({ hostelId: 'h1', closesAt: new Date('2026-04-30T00:00:00Z') }), makeWindow()];
+    const original = { preferredHostels: ['h1'], roomType: 'SINGLE' };
+    const now = new Date('2026-04-10T00:00:00Z');
+
+    expect(checkPreferenceChange(windows, original, { ...original, roomType: 'DOUBLE' }, now))
+      .toMatchObject({ accepted: true, late: false });
+    expect(checkPreferenceChange(windows, original, { preferredHostels: ['h1', 'h2'] }, now))
+      .toMatchObject({ accepted: true, late: false });
+    expect(checkPreferenceChange(windows, original, { preferredHostels: ['h2', 'h1'] }, now))
+      .toMatchObject({ accepted: false, message: 'Applications closed on 2026-03-31T00:00:00.000Z' });
+    expect(checkPreferenceChange([windows[0], makeWindow({ allowLate: true })], original, { preferredHostels: ['h2'] }, now))
+      .toMatchObject({ accepted: true, late: true });
+  });
+});
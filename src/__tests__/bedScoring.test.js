@@ -0,0 +1,96 @@
+const {
+  getRoomType,
+  isBedEligible,
+  getCandidateHostels,
+  scoreBed,
+  rankCandidateBeds,
+} = require('../services/bedScoring');
+
+const makeBed = (id, { hostelId = 'hostel-1', capacity = 2, features = {}, floorNumber = 1 } = {}) => ({
+  id,
+  room: {
+    capacity,
+    features,
+    block: { hostelId },
+    floor: { floorNumber },
+  },
+});
+
+describe('Bed Scoring', () => {
+  it('should derive room type from capacity unless overridden', () => {
+    expect(getRoomType({ capacity: 1, features: {} })).toBe('SINGLE');
+    expect(getRoomType({ capacity: 2, features: {} })).toBe('DOUBLE');
+    expect(getRoomType({ capacity: 6, features: {} })).toBe('DORMITORY');
+    expect(getRoomType({ capacity: 2, features: { roomType: 'SUITE' } })).toBe('SUITE');
+  });
+
+  it('should treat room type and required features as hard constraints', () => {
+    const bed = makeBed('b1', { capacity: 2, features: { ac: true } });
+
+    expect(isBedEligible(bed, { roomType: 'STANDARD' })).toBe(true);
+    expect(isBedEligible(bed, { roomType: 'DOUBLE', requiredFeatures: ['ac'] })).toBe(true);
+    expect(isBedEligible(bed, { roomType: 'SINGLE' })).toBe(false);
+    expect(isBedEligible(bed, { requiredFeatures: ['attachedBathroom'] })).toBe(false);
+  });
+
+  it('should score beds against soft preferences', () => {
+    const preferences = {
+      preferredHostels: ['hostel-1', 'hostel-2'],
+      desiredFeatures: ['ac', 'attachedBathroom'],
+      floorRange: { min: 0, max: 2 },
+    };
+
+    const perfect = scoreBed(
+      makeBed('b1', { features: { ac: true, attachedBathroom: true }, floorNumber: 1 }),
+      preferences
+    );
+    expect(perfect.score).toBe(100);
+    expect(perfect.satisfied).toEqual({
+      hostelRank: 1,
+      desiredFeatures: ['ac', 'attachedBathroom'],
+      floor: true,
+    });
+
+    const partial = scoreBed(
+      makeBed('b2', { hostelId: 'hostel-2', features: { ac: true }, floorNumber: 5 }),
+      preferences
+    );
+    expect(partial.score).toBeLessThan(perfect.score);
+    expect(partial.satisfied.hostelRank).toBe(2);
+    expect(partial.satisfied.floor).toBe(false);
+  });
+
+  it('should give a full score when there are no preferences', () => {
+    expect(scoreBed(makeBed('b1'), {}).score).toBe(100);
+  });
+
+  it('should rank eligible beds best match first', () => {
+    const beds = [
+      makeBed('a', { hostelId: 'hostel-2' }),
+      makeBed('b', { hostelId: 'hostel-1', capacity: 1 }),
+      makeBed('c', { hostelId: 'hostel-1' }),
+    ];
+
+    const ranked = rankCandidateBeds(beds, {
+      preferredHostels: ['hostel-1', 'hostel-2'],
+      roomType: 'DOUBLE',
+    });
+
+    expect(ranked.map((candidate) => candidate.bed.id)).toEqual(['c', 'a']);
+  });
+
+  it('should try a matched hostel first and keep the other choices as fallback', () => {
+    const application = { preferences: { preferredHostels: ['hostel-1', 'hostel-2', 'hostel-3'] }, assignedHostelId: 'hostel-2' };
+
+    expect(getCandidateHostels(application)).toEqual(['hostel-2', 'hostel-1', 'hostel-3']);
+    expect(getCandidateHostels({ preferences: {} })).toEqual([]);
+
+    const ranked = rankCandidateBeds(
+      [makeBed('a', { hostelId: 'hostel-1' }), makeBed('b', { hostelId: 'hostel-2' })],
+      application.preferences,
+      application.assignedHostelId
+    );
+
+    expect(ranked.map((candidate) => candidate.bed.id)).toEqual(['b', 'a']);
+  });
+});
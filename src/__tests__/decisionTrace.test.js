@@ -0,0 +1,86 @@
+const { explainNoPlacement, WAITLIST_REASONS } = require('../services/decisionTrace');
+const { computeQuotaState } = require('../services/quotaPolicy');
+
+const makeBed = (id, roomId, hostelId, { bedNumber = 1, capacity = 2, gender = 'MIXED', features = {} } = {}) => ({
+  id,
+  roomId,
+  bedNumber,
+  room: {
+    id: roomId,
+    capacity,
+    features,
+    block: { hostelId, hostel: { id: hostelId, gender } },
+    floor: { floorNumber: 1 },
+  },
+});
+
+const makeApplication = (id, preferences = {}, extra = {}) => ({
+  id,
+  studentId: `student-${id}`,
+  student: { gender: 'MALE' },
+  preferences,
+  priorityCategory: null,
+  ...extra,
+});
+
+const quotaStatesFor = (beds, { totalBeds = beds.length, quotas = {} } = {}) => {
+  const states = new Map();
+  for (const hostelId of new Set(beds.map((bed) => bed.room.block.hostelId))) {
+    const free = beds.filter((bed) => bed.room.block.hostelId === hostelId).length;
+    states.set(hostelId, computeQuotaState(
+      { totalBeds, occupiedBeds: totalBeds - free, freeBeds: free },
+      { quotas }
+    ));
+  }
+  return states;
+};
+
+const explain = (beds, applicants, options) => explainNoPlacement(beds, applicants, quotaStatesFor(beds, options));
+
+describe('Decision Trace', () => {
+  it('should report no beds in the preferred hostels', () => {
+    const beds = [makeBed('b1', 'r1', 'h2')];
+    const trace = explain(beds, [makeApplication('a1', { preferredHostels: ['h1'] })]);
+
+    expect(trace.reason).toBe('NO_BEDS_IN_PREFERRED_HOSTELS');
+    expect(trace.message).toBe(WAITLIST_REASONS.NO_BEDS_IN_PREFERRED_HOSTELS);
+    expect(trace.counts).toEqual({ freeBeds: 0 });
+  });
+
+  it('should report a gender mismatch', () => {
+    const beds = [makeBed('b1', 'r1', 'h1', { gender: 'FEMALE' })];
+    const trace = explain(beds, [makeApplication('a1')]);
+
+    expect(trace.reason).toBe('GENDER_MISMATCH');
+    expect(trace.counts).toEqual({ freeBeds: 1, genderCompatible: 0 });
+  });
+
+  it('should report an unavailable room type or missing required features', () => {
+    const beds = [makeBed('b1', 'r1', 'h1', { capacity: 2 })];
+
+    expect(explain(beds, [makeApplication('a1', { roomType: 'SINGLE' })]).reason).toBe('ROOM_TYPE_UNAVAILABLE');
+    expect(explain(beds, [makeApplication('a1', { requiredFeatures: ['ac'] })]).reason)
+      .toBe('REQUIRED_FEATURES_UNAVAILABLE');
+  });
+
+  it('should report exhausted quotas', () => {
+    const beds = [makeBed('b1', 'r1', 'h1')];
+    const trace = explain(beds, [makeApplication('a1')], { totalBeds: 10, quotas: { HANDICAPPED: 0.1 } });
+
+    expect(trace.reason).toBe('QUOTA_EXHAUSTED');
+    expect(trace.counts.withinQuota).toBe(0);
+  });
+
+  it('should report a roommate group that no single room can take', () => {
+    const beds = [makeBed('b1', 'r1', 'h1'), makeBed('b2', 'r2', 'h1')];
+    const trace = explain(beds, [makeApplication('a1'), makeApplication('a2')]);
+
+    expect(trace.reason).toBe('ROOMMATE_GROUP_UNPLACEABLE');
+    expect(trace.groupSize).toBe(2);
+  });
+
+  it('should return null when a bed was available', () => {
+    const beds = [makeBed('b1', 'r1', 'h1')];
+    expect(explain(beds, [makeApplication('a1')])).toBeNull();
+  });
+});
@@ -0,0 +1,27 @@
+const { getSpaceGender, isGenderCompatible } = require('../services/genderPolicy');
+
+const makeRoom = (hostelGender, blockGender = null, floorGender = null) => ({
+  block: { gender: blockGender, hostel: { gender: hostelGender } },
+  floor: { gender: floorGender },
+});
+
+describe('Gender Policy', () => {
+  it('should apply single-gender hostels to every room', () => {
+    const room = makeRoom('MALE', 'FEMALE');
+
+    expect(getSpaceGender(room)).toBe('MALE');
+    expect(isGenderCompatible('MALE', room)).toBe(true);
+    expect(isGenderCompatible('FEMALE', room)).toBe(false);
+  });
+
+  it('should let the most specific level of a MIXED hostel win', () => {
+    expect(getSpaceGender(makeRoom('MIXED'))).toBe('MIXED');
+    expect(getSpaceGender(makeRoom('MIXED', 'FEMALE'))).toBe('FEMALE');
+    expect(getSpaceGender(makeRoom('MIXED', 'FEMALE', 'MALE'))).toBe('MALE');
+  });
+
+  it('should only place students without a gender in mixed spaces', () => {
+    expect(isGenderCompatible(null, makeRoom('MIXED'))).toBe(true);
+    expect(isGenderCompatible(null, makeRoom('MIXED', 'MALE'))).toBe(false);
+  });
+});
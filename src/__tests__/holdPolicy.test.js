@@ -0,0 +1,63 @@
+const { notHeld, holdCoversBed, isEligibleForHold, findBlockingHold, isHoldExpired, statusAfterMaintenance } = require('../services/holdPolicy');
+
+const makeHold = (extra = {}) => ({
+  id: 'hold-1',
+  roomId: 'r1',
+  bedId: null,
+  purpose: 'International arrivals',
+  eligibleUniversityIds: ['INT-001'],
+  expiresAt: new Date('2026-09-01T00:00:00Z'),
+  status: 'ACTIVE',
+  ...extra,
+});
+
+const bed1 = { id: 'b1', roomId: 'r1' };
+const bed2 = { id: 'b2', roomId: 'r1' };
+
+describe('Hold Policy', () => {
+  it('should cover every bed of a held room but only the held bed otherwise', () => {
+    expect(holdCoversBed(makeHold(), bed2)).toBe(true);
+    expect(holdCoversBed(makeHold({ bedId: 'b1' }), bed1)).toBe(true);
+    expect(holdCoversBed(makeHold({ bedId: 'b1' }), bed2)).toBe(false);
+  });
+
+  it('should let only the intended students use a held bed', () => {
+    const holds = [makeHold({ bedId: 'b1' })];
+
+    expect(isEligibleForHold(holds[0], { universityId: ' int-001 ' })).toBe(true);
+    expect(findBlockingHold(holds, bed1, { universityId: 'INT-001' })).toBeNull();
+    expect(findBlockingHold(holds, bed1, { universityId: 'U-42' })).toBe(holds[0]);
+    expect(findBlockingHold(holds, bed1, { universityId: null })).toBe(holds[0]);
+    expect(findBlockingHold(holds, bed2, { universityId: 'U-42' })).toBeNull();
+  });
+
+  it('should ignore holds that are no longer active', () => {
+    const holds = [makeHold({ status: 'RELEASED' })];
+
+    expect(findBlockingHold(holds, bed1, { universityId: 'U-42' })).toBeNull();
+  });
+
+  it('should treat an active hold as expired from its expiry time', () => {
+    expect(isHoldExpired(makeHold(), new Date('2026-08-31T23:59:59Z'))).toBe(false);
+    expect(isHoldExpired(makeHold(), new Date('2026-09-01T00:00:00Z'))).toBe(true);
+    expect(isHoldExpired(makeHold({ status: 'EXPIRED' }), new Date('2026-10-01T00:00:00Z'))).toBe(false);
+  });
+
+  it('should only filter out beds with unexpired holds', () => {
+    const now = new Date('2026-08-31T00:00:00Z');
+
+    expect(notHeld(now)).toEqual({ holds: { none: { status: 'ACTIVE', expiresAt: { gt: now } } } });
+  });
+
+  it('should return a held room to RESERVED when its maintenance ends', () => {
+    // A room held, then taken out of service, then its ticket resolved
+    const roomHold = makeHold();
+    const beforeExpiry = new Date('2026-08-15T00:00:00Z');
+
+    expect(statusAfterMaintenance([roomHold], beforeExpiry)).toBe('RESERVED');
+    expect(statusAfterMaintenance([roomHold], new Date('2026-09-02T00:00:00Z'))).toBe('AVAILABLE');
+    expect(statusAfterMaintenance([makeHold({ status: 'RELEASED' })], beforeExpiry)).toBe('AVAILABLE');
+    expect(statusAfterMaintenance([makeHold({ bedId: 'b1' })], beforeExpiry)).toBe('AVAILABLE');
+    expect(statusAfterMaintenance([], beforeExpiry)).toBe('AVAILABLE');
+  });
+});
@@ -0,0 +1,36 @@
+const { getOfferTtlHours, getOfferExpiry, isOfferExpired } = require('../services/offerPolicy');
+
+describe('Offer Policy', () => {
+  const originalTtl = process.env.OFFER_TTL_HOURS;
+
+  afterEach(() => {
+    if (originalTtl === undefined) {
+      delete process.env.OFFER_TTL_HOURS;
+    } else {
+      process.env.OFFER_TTL_HOURS = originalTtl;
+    }
+  });
+
+  it('should default to a 72 hour acceptance window', () => {
+    delete process.env.OFFER_TTL_HOURS;
+    expect(getOfferTtlHours()).toBe(72);
+
+    process.env.OFFER_TTL_HOURS = 'not-a-number';
+    expect(getOfferTtlHours()).toBe(72);
+  });
+
+  it('should compute the deadline from the configured window', () => {
+    process.env.OFFER_TTL_HOURS = '24';
+    const now = new Date('2026-08-01T10:00:00Z');
+
+    expect(getOfferExpiry(now).toISOString()).toBe('2026-08-02T10:00:00.000Z');
+  });
+
+  it('should treat an offer as expired once its deadline has passed', () => {
+    const offer = { offerExpiresAt: new Date('2026-08-02T10:00:00Z') };
+
+    expect(isOfferExpired(offer, new Date('2026-08-02T09:59:59Z'))).toBe(false);
+    expect(isOfferExpired(offer, new Date('2026-08-02T10:00:00Z'))).toBe(true);
+    expect(isOfferExpired({ offerExpiresAt: null })).toBe(false);
+  });
+});
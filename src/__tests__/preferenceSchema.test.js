@@ -0,0 +1,97 @@
+const { checkPreferences, getRoomFeatures } = require('../services/preferenceSchema');
+
+const makeRoom = (hostelId, floorNumber, capacity, features = {}, hostelGender = 'MIXED') => ({
+  capacity,
+  features,
+  block: { hostelId, gender: null, hostel: { gender: hostelGender } },
+  floor: { floorNumber, gender: null },
+});
+
+const catalog = {
+  student: { gender: 'FEMALE', universityId: 'U1' },
+  hostels: [
+    { id: 'h1', name: 'North', gender: 'MIXED' },
+    { id: 'h2', name: 'South', gender: 'MALE' },
+  ],
+  rooms: [
+    makeRoom('h1', 1, 2, { ac: true }),
+    makeRoom('h1', 3, 1, { attachedBathroom: true }),
+    makeRoom('h2', 1, 1, { ac: true, attachedBathroom: true }, 'MALE'),
+  ],
+  roommates: [{ universityId: 'U2' }],
+};
+
+const paths = (errors) => errors.map((error) => error.path);
+
+describe('Preference Schema', () => {
+  it('should accept preferences that live rooms can satisfy', () => {
+    const errors = checkPreferences({
+      preferredHostels: ['h1'],
+      roomType: 'SINGLE',
+      requiredFeatures: ['attachedBathroom'],
+      floorRange: { min: 2, max: 4 },
+      roommatePreferences: { universityIds: ['U2'] },
+    }, catalog);
+
+    expect(errors).toEqual([]);
+  });
+
+  it('should report unknown, duplicate and wrong-gender hostels by position', () => {
+    const errors = checkPreferences({ preferredHostels: ['h1', 'missing', 'h2', 'h1'] }, catalog);
+
+    expect(paths(errors)).toEqual([
+      'preferences.preferredHostels[1]',
+      'preferences.preferredHostels[2]',
+      'preferences.preferredHostels[3]',
+    ]);
+    expect(errors[1].msg).toBe('South only houses male students');
+  });
+
+  it('should reject room types and features not offered in the chosen hostels', () => {
+    const errors = checkPreferences({
+      preferredHostels: ['h1'],
+      roomType: 'TRIPLE',
+      requiredFeatures: ['ac'],
+      desiredFeatures: ['pool'],
+    }, catalog);
+
+    expect(paths(errors)).toEqual(['preferences.roomType', 'preferences.desiredFeatures[0]']);
+  });
+
+  it('should require one room to combine the room type, features and floor range', () => {
+    expect(paths(checkPreferences({ roomType: 'SINGLE', requiredFeatures: ['ac'] }, catalog)))
+      .toEqual(['preferences.requiredFeatures']);
+    expect(paths(checkPreferences({ requiredFeatures: ['ac'], floorRange: { min: 2 } }, catalog)))
+      .toEqual(['preferences.floorRange']);
+  });
+
+  it('should check roommate requests against existing students', () => {
+    const errors = checkPreferences({ roommatePreferences: { universityIds: ['U1', 'U2', 'U3', 'U2'] } }, catalog);
+
+    expect(errors.map((error) => error.msg)).toEqual([
+      'You cannot request yourself as a roommate',
+      'No student with this university ID',
+      'Roommate is listed more than once',
+    ]);
+  });
+
+  it('should match roommates regardless of case and surrounding spaces', () => {
+    const errors = checkPreferences({ roommatePreferences: { universityIds: [' u2', 'u1', 'U2 '] } }, catalog);
+
+    expect(errors.map((error) => error.msg)).toEqual([
+      'You cannot request yourself as a roommate',
+      'Roommate is listed more than once',
+    ]);
+  });
+
+  it('should ask a student without a gender to set it before choosing a single-gender hostel', () => {
+    const errors = checkPreferences({ preferredHostels: ['h2', 'h1'] }, { ...catalog, student: { gender: null, universityId: 'U1' } });
+
+    expect(paths(errors)).toEqual(['preferences.preferredHostels[0]']);
+    expect(errors[0].msg).toBe('Set your gender in your profile before choosing South, which only houses male students');
+  });
+
+  it('should ignore the roomType override and false features', () => {
+    expect(getRoomFeatures({ features: { roomType: 'SUITE', ac: false, wifi: true } })).toEqual(['wifi']);
+  });
+});
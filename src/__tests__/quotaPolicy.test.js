@@ -0,0 +1,52 @@
+const {
+  computeQuotaState,
+  canUseHostel,
+  isQuotaReleased,
+} = require('../services/quotaPolicy');
+
+describe('Quota Policy', () => {
+  it('should hold back reserved beds from the general pool', () => {
+    const state = computeQuotaState({ totalBeds: 20, occupiedBeds: 14, freeBeds: 6 });
+
+    expect(state.pools.HANDICAPPED).toEqual({ reserved: 2, used: 0, remaining: 2 });
+    expect(state.pools.MERIT).toEqual({ reserved: 4, used: 0, remaining: 4 });
+    expect(state.generalAvailable).toBe(0);
+
+    expect(canUseHostel(state, null)).toBe(false);
+    expect(canUseHostel(state, 'HANDICAPPED')).toBe(true);
+    expect(canUseHostel(state, 'MERIT')).toBe(true);
+  });
+
+  it('should count used reserved beds', () => {
+    const state = computeQuotaState({
+      totalBeds: 20,
+      occupiedBeds: 15,
+      freeBeds: 5,
+      usedByCategory: { HANDICAPPED: 2, MERIT: 1 },
+    });
+
+    expect(state.pools.HANDICAPPED.remaining).toBe(0);
+    expect(state.pools.MERIT.remaining).toBe(3);
+    expect(state.generalAvailable).toBe(2);
+
+    // HANDICAPPED pool is exhausted but the general pool still has room
+    expect(canUseHostel(state, 'HANDICAPPED')).toBe(true);
+  });
+
+  it('should return unused reserved beds to the general pool once released', () => {
+    const state = computeQuotaState(
+      { totalBeds: 20, occupiedBeds: 14, freeBeds: 6 },
+      { released: true }
+    );
+
+    expect(state.heldBack).toBe(0);
+    expect(state.generalAvailable).toBe(6);
+    expect(canUseHostel(state, null)).toBe(true);
+  });
+
+  it('should treat a missing release date as not released', () => {
+    expect(isQuotaReleased(null)).toBe(false);
+    expect(isQuotaReleased(new Date('2020-01-01'), new Date('2021-01-01'))).toBe(true);
+    expect(isQuotaReleased(new Date('2022-01-01'), new Date('2021-01-01'))).toBe(false);
+  });
+});
@@ -0,0 +1,36 @@
+const { planCapacityChange } = require('../services/roomCapacity');
+
+const makeBeds = (occupied, numbers = [1, 2, 3, 4]) => numbers.map((bedNumber) => ({
+  id: `b${bedNumber}`,
+  bedNumber,
+  occupiedBy: occupied.includes(bedNumber) ? `s${bedNumber}` : null,
+}));
+
+describe('Room Capacity', () => {
+  it('should add beds using the lowest free bed numbers', () => {
+    const plan = planCapacityChange(makeBeds([], [1, 3]), 4);
+
+    expect(plan.addBedNumbers).toEqual([2, 4]);
+    expect(plan.removeBeds).toEqual([]);
+  });
+
+  it('should remove free beds, highest numbers first', () => {
+    const plan = planCapacityChange(makeBeds([4]), 2);
+
+    expect(plan.removeBeds.map((bed) => bed.id)).toEqual(['b3', 'b2']);
+    expect(plan.relocationsNeeded).toBe(0);
+  });
+
+  it('should remove nothing when occupants would have to move', () => {
+    const plan = planCapacityChange(makeBeds([1, 2, 3]), 1);
+
+    expect(plan.removeBeds).toEqual([]);
+    expect(plan.relocationsNeeded).toBe(2);
+  });
+
+  it('should only remove beds the caller considers free', () => {
+    const plan = planCapacityChange(makeBeds([]), 3, (bed) => bed.bedNumber !== 4);
+
+    expect(plan.removeBeds.map((bed) => bed.id)).toEqual(['b3']);
+  });
+});
@@ -0,0 +1,34 @@
+const { describeRoomUsage } = require('../services/roomUsage');
+
+const makeUsage = (extra = {}) => ({
+  occupiedBeds: 0,
+  activeAllocations: 0,
+  allocations: 0,
+  transferRequests: 0,
+  maintenanceTickets: 0,
+  ...extra,
+});
+
+describe('Room Usage', () => {
+  it('should allow deleting a space nothing refers to', () => {
+    expect(describeRoomUsage('room', makeUsage())).toBeNull();
+  });
+
+  it('should report occupants before history', () => {
+    const message = describeRoomUsage('block', makeUsage({ occupiedBeds: 1, activeAllocations: 2, allocations: 5 }));
+
+    expect(message).toBe('This block still has 2 occupied bed(s); relocate or check out the occupants first');
+  });
+
+  it('should refuse when past allocations, transfers or tickets refer to the space', () => {
+    const message = describeRoomUsage('floor', makeUsage({ allocations: 3, maintenanceTickets: 1 }));
+
+    expect(message).toBe('This floor is referenced by 3 allocation(s), 1 maintenance ticket(s) and cannot be deleted without losing that history');
+  });
+
+  it('should count references made by hostel ID', () => {
+    const message = describeRoomUsage('hostel', makeUsage({ waitlistEntries: 2, applications: 4 }));
+
+    expect(message).toBe('This hostel is referenced by 2 waitlist entr(ies), 4 application(s) and cannot be deleted without losing that history');
+  });
+});
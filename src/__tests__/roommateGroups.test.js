@@ -0,0 +1,51 @@
+const { getRequestedRoommates, buildRoommateGroups, getUnnotifiedRoommates } = require('../services/roommateGroups');
+
+const makeApplication = (id, universityId, requested = []) => ({
+  id,
+  student: { universityId },
+  preferences: { roommatePreferences: { universityIds: requested } },
+});
+
+describe('Roommate Groups', () => {
+  it('should normalize requested university IDs and ignore self-requests', () => {
+    const application = makeApplication('a1', 'STU001', [' stu002 ', 'STU001', 'STU002']);
+
+    expect(getRequestedRoommates(application)).toEqual(['STU002']);
+  });
+
+  it('should group mutual requests together', () => {
+    const applications = [
+      makeApplication('a1', 'STU001', ['STU002']),
+      makeApplication('a2', 'STU002', ['STU001', 'STU003']),
+      makeApplication('a3', 'STU003', ['STU002']),
+      makeApplication('a4', 'STU004'),
+    ];
+
+    const { groups, oneSided } = buildRoommateGroups(applications);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].map((application) => application.id)).toEqual(['a1', 'a2', 'a3']);
+    expect(oneSided).toEqual([]);
+  });
+
+  it('should report one-sided requests to the requester', () => {
+    const applications = [
+      makeApplication('a1', 'STU001', ['STU002', 'STU009']),
+      makeApplication('a2', 'STU002'),
+    ];
+
+    const { groups, oneSided } = buildRoommateGroups(applications);
+
+    expect(groups).toEqual([]);
+    expect(oneSided).toHaveLength(1);
+    expect(oneSided[0].application.id).toBe('a1');
+    expect(oneSided[0].universityIds).toEqual(['STU002', 'STU009']);
+  });
+
+  it('should only email about one-sided requests once', () => {
+    const application = { ...makeApplication('a1', 'STU001', ['STU002', 'STU003']), roommateNoticeIds: ['stu002'] };
+
+    expect(getUnnotifiedRoommates(application, ['STU002', 'STU003'])).toEqual(['STU003']);
+    expect(getUnnotifiedRoommates({ ...application, roommateNoticeIds: undefined }, ['STU002'])).toEqual(['STU002']);
+  });
+});
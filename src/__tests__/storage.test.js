@@ -0,0 +1,34 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage, buildStorageKey } = require('../utils/storage');
+
+describe('Document Storage', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'hostel-storage-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should save, read and remove files on local disk', async () => {
+    const storage = createLocalStorage({ root });
+    const key = buildStorageKey('priority-claims/c1', 'certificate.pdf');
+
+    await storage.save(key, Buffer.from('%PDF-1.4'));
+    expect((await storage.read(key)).toString()).toBe('%PDF-1.4');
+
+    await storage.remove(key);
+    await expect(storage.read(key)).rejects.toThrow();
+  });
+
+  it('should keep keys inside the storage root', async () => {
+    const storage = createLocalStorage({ root });
+
+    await expect(storage.save('../outside.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    expect(buildStorageKey('claims', '../../etc/pass wd')).toMatch(/^claims\/[0-9a-f-]{36}-pass_wd$/);
+  });
+});
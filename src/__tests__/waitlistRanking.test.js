@@ -0,0 +1,61 @@
+const { getWaitlistPool, rankWaitlist } = require('../services/waitlistRanking');
+
+const makeEntry = (id, { termId = 't1', hostelId = 'h1', roomType = null, priorityCategory = null, appliedAt = '2026-01-01' } = {}) => ({
+  id: `entry-${id}`,
+  applicationId: id,
+  termId,
+  hostelId,
+  roomType,
+  rank: 0,
+  application: { id, priorityCategory, appliedAt: new Date(appliedAt) },
+});
+
+describe('Waitlist Ranking', () => {
+  it('should derive the pool from the term, first preferred hostel and room type', () => {
+    expect(getWaitlistPool({ termId: 't1', preferences: { preferredHostels: ['h2', 'h1'], roomType: 'SINGLE' } }))
+      .toEqual({ termId: 't1', hostelId: 'h2', roomType: 'SINGLE' });
+    expect(getWaitlistPool({ termId: 't1', preferences: { roomType: 'STANDARD' } }))
+      .toEqual({ termId: 't1', hostelId: null, roomType: null });
+  });
+
+  it('should rank by priority and then application time within a pool', () => {
+    const [pool] = rankWaitlist([
+      makeEntry('late', { appliedAt: '2026-03-01' }),
+      makeEntry('early', { appliedAt: '2026-01-01' }),
+      makeEntry('priority', { appliedAt: '2026-04-01', priorityCategory: 'HANDICAPPED' }),
+    ]);
+
+    expect(pool.entries.map((entry) => [entry.applicationId, entry.position])).toEqual([
+      ['priority', 1],
+      ['early', 2],
+      ['late', 3],
+    ]);
+  });
+
+  it('should rank each hostel/room type pool independently from 1', () => {
+    const pools = rankWaitlist([
+      makeEntry('a', { hostelId: 'h1' }),
+      makeEntry('b', { hostelId: 'h1', roomType: 'SINGLE' }),
+      makeEntry('c', { hostelId: 'h2', appliedAt: '2025-12-01' }),
+      makeEntry('d', { hostelId: 'h2' }),
+    ]);
+
+    expect(pools.map((pool) => [pool.hostelId, pool.roomType, pool.entries.map((e) => e.position)])).toEqual([
+      ['h1', null, [1]],
+      ['h1', 'SINGLE', [1]],
+      ['h2', null, [1, 2]],
+    ]);
+  });
+
+  it('should rank the same hostel pool separately in each term', () => {
+    const pools = rankWaitlist([
+      makeEntry('old', { termId: 't1', appliedAt: '2025-06-01' }),
+      makeEntry('new', { termId: 't2', appliedAt: '2026-06-01' }),
+    ]);
+
+    expect(pools.map((pool) => [pool.termId, pool.entries.map((e) => [e.applicationId, e.position])])).toEqual([
+      ['t1', [['old', 1]]],
+      ['t2', [['new', 1]]],
+    ]);
+  });
+});
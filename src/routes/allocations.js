@@ -1,9 +1,12 @@
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate, authorize } = require('../middleware/auth');
 const { createAuditLog } = require('../middleware/auditLog');
 const { sendAllocationNotification, sendWaitlistNotification } = require('../utils/email');
 const allocationEngine = require('../services/allocationEngine');
+const { STRATEGIES } = require('../services/allocationStrategies');
+const termService = require('../services/termService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -12,61 +15,325 @@ const prisma = new PrismaClient();
  * @swagger
  * /api/allocate/run:
  *   post:
- *     summary: Trigger allocation run (Admin only)
+ *     summary: Trigger allocation run for the active term (Admin only)
  *     tags: [Allocations]
  *     security:
  *       - cookieAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Preview placements and waitlist without committing anything
+ *               mode:
+ *                 type: string
+ *                 enum: [SEQUENTIAL, PLANNED]
+ *                 default: SEQUENTIAL
+ *                 description: PLANNED computes the whole assignment in memory and commits it in chunks
+ *               strategy:
+ *                 type: string
+ *                 enum: [FCFS, LOTTERY, MERIT, STABLE_MATCHING]
+ *                 default: FCFS
+ *               seed:
+ *                 type: string
+ *                 description: Lottery seed; generated and returned when omitted
+ *               policy:
+ *                 type: object
+ *                 properties:
+ *                   quotas:
+ *                     type: object
+ *                     description: Reserved fraction per priority category, e.g. {"MERIT": 0.15}
+ *                   quotaReleaseDate:
+ *                     type: string
+ *                     format: date-time
  *     responses:
  *       200:
- *         description: Allocation run completed
+ *         description: Allocation run completed (or dry-run preview)
+ *       409:
+ *         description: Another allocation run is already in progress, or no term is active
  */
-router.post('/run', authenticate, authorize('ADMIN'), async (req, res, next) => {
+router.post(
+  '/run',
+  authenticate,
+  authorize('ADMIN'),
+  [
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+    body('mode').optional().isIn(allocationEngine.RUN_MODES).withMessage(`Mode must be one of ${allocationEngine.RUN_MODES.join(', ')}`),
+    body('strategy').optional().isIn(Object.keys(STRATEGIES)).withMessage(`Strategy must be one of ${Object.keys(STRATEGIES).join(', ')}`),
+    body('seed').optional().isString().withMessage('Seed must be a string'),
+    body('policy').optional().isObject().withMessage('Policy must be an object'),
+    body('policy.quotas').optional().isObject().withMessage('Quotas must be an object'),
+    body('policy.quotas.*').optional().isFloat({ min: 0, max: 1 }).withMessage('Quota fractions must be between 0 and 1'),
+    body('policy.quotaReleaseDate').optional().isISO8601().withMessage('Quota release date must be an ISO 8601 date'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+      const result = await allocationEngine.runAllocation(req.user.id, {
+        dryRun,
+        mode: req.body.mode,
+        strategy: req.body.strategy,
+        seed: req.body.seed,
+        policy: req.body.policy,
+      });
+
+      res.json({
+        success: true,
+        message: dryRun ? 'Allocation dry run completed' : 'Allocation run completed',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/allocate/runs:
+ *   get:
+ *     summary: List allocation runs, newest first (Admin/Warden only)
+ *     tags: [Allocations]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [RUNNING, COMPLETED, FAILED]
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [MANUAL, CRON, QUEUE]
+ *       - in: query
+ *         name: termId
+ *         schema:
+ *           type: string
+ *         description: Defaults to the active term
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ */
+router.get(
+  '/runs',
+  authenticate,
+  authorize('ADMIN', 'WARDEN'),
+  [
+    query('status').optional().isIn(['RUNNING', 'COMPLETED', 'FAILED']),
+    query('source').optional().isIn(['MANUAL', 'CRON', 'QUEUE']),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { status, source, limit = 20 } = req.query;
+
+      const where = {};
+      if (status) {
+        where.status = status;
+      }
+      if (source) {
+        where.triggerSource = source;
+      }
+
+      const termId = await termService.resolveTermId(req.query.termId);
+      if (termId) {
+        where.termId = termId;
+      }
+
+      const runs = await prisma.allocationRun.findMany({
+        where,
+        orderBy: { startedAt: 'desc' },
+        take: parseInt(limit),
+      });
+
+      res.json({ success: true, data: runs });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/allocate/runs/{id}:
+ *   get:
+ *     summary: Get an allocation run with its per-application outcomes (Admin/Warden only)
+ *     tags: [Allocations]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get('/runs/:id', authenticate, authorize('ADMIN', 'WARDEN'), async (req, res, next) => {
   try {
-    const result = await allocationEngine.runAllocation(req.user.id);
-    
-    res.json({
-      success: true,
-      message: 'Allocation run completed',
-      data: result,
+    const run = await prisma.allocationRun.findUnique({
+      where: { id: req.params.id },
+      include: {
+        outcomes: {
+          include: {
+            application: {
+              include: {
+                student: {
+                  select: { id: true, name: true, email: true, universityId: true },
+                },
+              },
+            },
+          },
+          orderBy: { createdAt: 'asc' },
+        },
+      },
     });
+
+    if (!run) {
+      return res.status(404).json({ success: false, message: 'Allocation run not found' });
+    }
+
+    res.json({ success: true, data: run });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * @swagger
+ * /api/allocate/{id}/deallocate:
+ *   post:
+ *     summary: End an allocation and release its bed (Warden/Admin only)
+ *     description: The allocation is kept as ENDED with the reason and time; the freed bed is offered to the waitlist.
+ *     tags: [Allocations]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Checked out at end of semester
+ *     responses:
+ *       200:
+ *         description: Allocation ended; `promotions` lists waitlisted students offered the bed
+ *       404:
+ *         description: Allocation not found
+ *       409:
+ *         description: Allocation is not active
+ */
+router.post(
+  '/:id/deallocate',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    body('reason').trim().notEmpty().withMessage('Reason is required')
+      .isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { allocation, promotions } = await allocationEngine.deallocate(req.params.id, req.user.id, req.body.reason);
+
+      res.json({
+        success: true,
+        message: 'Allocation ended',
+        data: allocation,
+        promotions: promotions.map((promotion) => promotion.allocation),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/allocate/strategies:
+ *   get:
+ *     summary: List available allocation strategies
+ *     tags: [Allocations]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get('/strategies', authenticate, authorize('ADMIN', 'WARDEN'), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.values(STRATEGIES).map(({ name, description }) => ({ name, description })),
+  });
+});
+
 /**
  * @swagger
  * /api/allocate/stats:
  *   get:
  *     summary: Get allocation statistics
+ *     description: Application counts are for one term (the active term by default); bed counts are live.
  *     tags: [Allocations]
  *     security:
  *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: termId
+ *         schema:
+ *           type: string
  */
 router.get('/stats', authenticate, authorize('ADMIN', 'WARDEN'), async (req, res, next) => {
   try {
+    const termId = await termService.resolveTermId(req.query.termId);
+    const inTerm = (where = {}) => ({ where: { ...where, ...(termId && { termId }) } });
+
     const [
       totalApplications,
       pendingApplications,
+      approvedApplications,
+      offeredApplications,
       allocatedApplications,
       waitlistedApplications,
       totalBeds,
       occupiedBeds,
+      quotas,
     ] = await Promise.all([
-      prisma.application.count(),
-      prisma.application.count({ where: { status: 'PENDING' } }),
-      prisma.application.count({ where: { status: 'ALLOCATED' } }),
-      prisma.application.count({ where: { status: 'WAITLISTED' } }),
+      prisma.application.count(inTerm()),
+      prisma.application.count(inTerm({ status: 'PENDING' })),
+      prisma.application.count(inTerm({ status: 'APPROVED' })),
+      prisma.application.count(inTerm({ status: 'OFFERED' })),
+      prisma.application.count(inTerm({ status: 'ALLOCATED' })),
+      prisma.application.count(inTerm({ status: 'WAITLISTED' })),
       prisma.bed.count(),
       prisma.bed.count({ where: { occupiedBy: { not: null } } }),
+      allocationEngine.getQuotaUsage(),
     ]);
 
     res.json({
       success: true,
       data: {
+        termId,
         applications: {
           total: totalApplications,
           pending: pendingApplications,
+          approved: approvedApplications,
+          offered: offeredApplications,
           allocated: allocatedApplications,
           waitlisted: waitlistedApplications,
         },
@@ -76,6 +343,7 @@ router.get('/stats', authenticate, authorize('ADMIN', 'WARDEN'), async (req, res
           available: totalBeds - occupiedBeds,
           occupancyRate: totalBeds > 0 ? ((occupiedBeds / totalBeds) * 100).toFixed(2) : 0,
         },
+        quotas,
       },
     });
   } catch (error) {
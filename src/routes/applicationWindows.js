@@ -0,0 +1,249 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, authorize } = require('../middleware/auth');
+const { createAuditLog } = require('../middleware/auditLog');
+const termService = require('../services/termService');
+const { findWindow, getWindowStatus } = require('../services/applicationWindows');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const windowValidators = [
+  body('opensAt').isISO8601().withMessage('Opening date must be an ISO 8601 date'),
+  body('closesAt').isISO8601().withMessage('Closing date must be an ISO 8601 date')
+    .custom((closesAt, { req }) => new Date(closesAt) > new Date(req.body.opensAt))
+    .withMessage('Closing date must be after the opening date'),
+  body('allowLate').optional().isBoolean().withMessage('allowLate must be a boolean'),
+  body('lateUntil').optional({ values: 'null' }).isISO8601().withMessage('Late deadline must be an ISO 8601 date')
+    .custom((lateUntil, { req }) => new Date(lateUntil) > new Date(req.body.closesAt))
+    .withMessage('Late deadline must be after the closing date'),
+];
+
+const toWindowData = ({ opensAt, closesAt, allowLate, lateUntil }) => ({
+  opensAt: new Date(opensAt),
+  closesAt: new Date(closesAt),
+  allowLate: allowLate === true || allowLate === 'true',
+  lateUntil: lateUntil ? new Date(lateUntil) : null,
+});
+
+/**
+ * @swagger
+ * /api/application-windows:
+ *   get:
+ *     summary: Application windows of the active term with their live status (public)
+ *     description: Each window reports `state` (UPCOMING, OPEN, LATE, CLOSED), `nextChangeAt` and `secondsRemaining` for a countdown. With `hostelId`, only the window that applies to that hostel is returned.
+ *     tags: [Application Windows]
+ *     parameters:
+ *       - in: query
+ *         name: hostelId
+ *         schema:
+ *           type: string
+ */
+router.get(
+  '/',
+  [
+    query('hostelId').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const term = await termService.getActiveTerm();
+      if (!term) {
+        return res.json({ success: true, data: { term: null, serverTime: new Date(), windows: [] } });
+      }
+
+      let windows = await prisma.applicationWindow.findMany({
+        where: { termId: term.id },
+        include: { hostel: { select: { id: true, name: true } } },
+        orderBy: { opensAt: 'asc' },
+      });
+
+      if (req.query.hostelId) {
+        const window = findWindow(windows, req.query.hostelId);
+        windows = window ? [window] : [];
+      }
+
+      const now = new Date();
+      res.json({
+        success: true,
+        data: {
+          term: { id: term.id, name: term.name },
+          serverTime: now,
+          windows: windows.map((window) => ({
+            id: window.id,
+            hostel: window.hostel,
+            ...getWindowStatus(window, now),
+          })),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/application-windows:
+ *   post:
+ *     summary: Configure an application window for a term (Admin only)
+ *     description: Without `hostelId` the window applies to every hostel that has no window of its own.
+ *     tags: [Application Windows]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - opensAt
+ *               - closesAt
+ *             properties:
+ *               termId:
+ *                 type: string
+ *                 description: Defaults to the active term
+ *               hostelId:
+ *                 type: string
+ *               opensAt:
+ *                 type: string
+ *                 format: date-time
+ *               closesAt:
+ *                 type: string
+ *                 format: date-time
+ *               allowLate:
+ *                 type: boolean
+ *                 description: Accept applications after closing, ranked after on-time ones
+ *               lateUntil:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Window created
+ *       409:
+ *         description: The term already has a window for this hostel
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('ADMIN'),
+  [
+    body('termId').optional().isString(),
+    body('hostelId').optional({ values: 'null' }).isString(),
+    ...windowValidators,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const termId = req.body.termId || (await termService.requireActiveTerm()).id;
+      const hostelId = req.body.hostelId || null;
+
+      const term = await prisma.term.findUnique({ where: { id: termId } });
+      if (!term) {
+        return res.status(404).json({ success: false, message: 'Term not found' });
+      }
+
+      if (hostelId && !(await prisma.hostel.findUnique({ where: { id: hostelId } }))) {
+        return res.status(404).json({ success: false, message: 'Hostel not found' });
+      }
+
+      const existing = await prisma.applicationWindow.findFirst({ where: { termId, hostelId } });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: hostelId ? 'This hostel already has a window for the term' : 'The term already has a general window',
+        });
+      }
+
+      const window = await prisma.applicationWindow.create({
+        data: { termId, hostelId, ...toWindowData(req.body) },
+      });
+
+      await createAuditLog(req.user.id, 'CREATE', 'APPLICATION_WINDOW', window.id, { termId, hostelId, ...toWindowData(req.body) });
+
+      res.status(201).json({ success: true, data: window });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/application-windows/{id}:
+ *   put:
+ *     summary: Change the dates or late policy of a window (Admin only)
+ *     tags: [Application Windows]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('ADMIN'),
+  windowValidators,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const existing = await prisma.applicationWindow.findUnique({ where: { id: req.params.id } });
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Application window not found' });
+      }
+
+      const window = await prisma.applicationWindow.update({
+        where: { id: existing.id },
+        data: toWindowData(req.body),
+      });
+
+      await createAuditLog(req.user.id, 'UPDATE', 'APPLICATION_WINDOW', window.id, {
+        before: toWindowData(existing),
+        after: toWindowData(req.body),
+      });
+
+      res.json({ success: true, data: window });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/application-windows/{id}:
+ *   delete:
+ *     summary: Remove a window (Admin only)
+ *     tags: [Application Windows]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.delete('/:id', authenticate, authorize('ADMIN'), async (req, res, next) => {
+  try {
+    const existing = await prisma.applicationWindow.findUnique({ where: { id: req.params.id } });
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Application window not found' });
+    }
+
+    await prisma.applicationWindow.delete({ where: { id: existing.id } });
+    await createAuditLog(req.user.id, 'DELETE', 'APPLICATION_WINDOW', existing.id, toWindowData(existing));
+
+    res.json({ success: true, message: 'Application window removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,227 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { authenticate, authorize } = require('../middleware/auth');
-const { auditMiddleware } = require('../middleware/auditLog');
+const { auditMiddleware, createAuditLog } = require('../middleware/auditLog');
+const allocationEngine = require('../services/allocationEngine');
+const { ACTIVE_ALLOCATION_STATUSES } = require('../services/offerPolicy');
+const { sendApplicationRejectedNotification } = require('../utils/email');
+const termService = require('../services/termService');
+const { checkSubmission, checkPreferenceChange } = require('../services/applicationWindows');
+const { getWaitlistPool } = require('../services/waitlistRanking');
+const { PRIORITY_ORDER } = require('../services/allocationStrategies');
+const { PREFERENCE_FIELDS, PREFERENCE_LIMITS, checkPreferences } = require('../services/preferenceSchema');
+const { getStorage } = require('../utils/storage');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Applications the student may still edit or withdraw
+const EDITABLE_STATUSES = ['PENDING', 'APPROVED', 'WAITLISTED'];
+
+// Applications still in play; any other application is reopened when the student reapplies
+const ACTIVE_APPLICATION_STATUSES = ['PENDING', 'APPROVED', 'WAITLISTED', 'IN_PROGRESS', 'OFFERED'];
+
+const APPLICATION_INCLUDE = {
+  student: {
+    select: { id: true, name: true, email: true },
+  },
+  priorityClaim: true,
+};
+
+/**
+ * Resubmit a closed application (withdrawn, rejected, declined...) with new
+ * preferences; a student has one application per term. Returns null if the
+ * application changed status in the meantime.
+ */
+const reopenApplication = async (existing, { preferences, priorityCategory, isLate }, studentId) => {
+  const result = await prisma.$transaction(async (tx) => {
+    const reopened = await tx.application.updateMany({
+      where: { id: existing.id, status: existing.status },
+      data: {
+        preferences,
+        status: 'PENDING',
+        appliedAt: new Date(),
+        priorityCategory: null,
+        meritScore: null,
+        isLate,
+        decisionTrace: Prisma.DbNull,
+        reviewedBy: null,
+        reviewedAt: null,
+        reviewReason: null,
+      },
+    });
+
+    if (reopened.count === 0) {
+      return null;
+    }
+
+    const latest = await tx.applicationPreferenceVersion.findFirst({
+      where: { applicationId: existing.id },
+      orderBy: { version: 'desc' },
+    });
+    await tx.applicationPreferenceVersion.create({
+      data: { applicationId: existing.id, version: latest ? latest.version + 1 : 1, preferences, changedBy: studentId },
+    });
+
+    // The earlier claim was for the earlier submission; its document rows go with it
+    const documents = await tx.priorityDocument.findMany({
+      where: { claim: { applicationId: existing.id } },
+      select: { storageKey: true },
+    });
+    await tx.priorityClaim.deleteMany({ where: { applicationId: existing.id } });
+    if (priorityCategory) {
+      await tx.priorityClaim.create({ data: { applicationId: existing.id, category: priorityCategory } });
+    }
+
+    return {
+      application: await tx.application.findUnique({ where: { id: existing.id }, include: APPLICATION_INCLUDE }),
+      storageKeys: documents.map((document) => document.storageKey),
+    };
+  });
+
+  if (!result) {
+    return null;
+  }
+
+  // Only once the rows are gone for good; a file left behind is logged, not fatal
+  const storage = result.storageKeys.length > 0 ? getStorage() : null;
+  for (const storageKey of result.storageKeys) {
+    try {
+      await storage.remove(storageKey);
+    } catch (error) {
+      console.error(`Failed to remove stored document ${storageKey}:`, error);
+    }
+  }
+
+  return result.application;
+};
+
+// Statuses a warden decision applies to: only pending applications are
+// approved, while anything not yet placed can still be rejected
+const REVIEWABLE_STATUSES = {
+  APPROVE: ['PENDING'],
+  REJECT: ['PENDING', 'APPROVED', 'WAITLISTED'],
+};
+
+// Shape of `preferences`; values are checked against live data by validatePreferences
+const preferenceValidators = [
+  body('preferences').isObject().withMessage('Preferences must be an object')
+    .bail()
+    .custom((preferences) => Object.keys(preferences).every((key) => PREFERENCE_FIELDS.includes(key)))
+    .withMessage(`Preferences may only contain: ${PREFERENCE_FIELDS.join(', ')}`),
+  body('preferences.preferredHostels').optional()
+    .isArray({ max: PREFERENCE_LIMITS.preferredHostels })
+    .withMessage(`Preferred hostels must be a list of at most ${PREFERENCE_LIMITS.preferredHostels} hostel IDs`),
+  body('preferences.preferredHostels.*').isString().notEmpty().withMessage('Hostel IDs must be strings'),
+  body('preferences.roomType').optional().isString().notEmpty().withMessage('Room type must be a string'),
+  ...['requiredFeatures', 'desiredFeatures'].flatMap((field) => [
+    body(`preferences.${field}`).optional()
+      .isArray({ max: PREFERENCE_LIMITS.features })
+      .withMessage(`${field} must be a list of at most ${PREFERENCE_LIMITS.features} features`),
+    body(`preferences.${field}.*`).isString().notEmpty().withMessage('Features must be strings'),
+  ]),
+  body('preferences.floorRange').optional().isObject().withMessage('Floor range must be an object with min and/or max'),
+  body('preferences.floorRange.min').optional().isInt().withMessage('Floor range min must be an integer'),
+  body('preferences.floorRange.max').optional().isInt().withMessage('Floor range max must be an integer')
+    .custom((max, { req }) => req.body.preferences.floorRange.min === undefined || max >= req.body.preferences.floorRange.min)
+    .withMessage('Floor range max must not be below min'),
+  body('preferences.roommatePreferences').optional().isObject().withMessage('Roommate preferences must be an object'),
+  body('preferences.roommatePreferences.universityIds').optional()
+    .isArray({ max: PREFERENCE_LIMITS.roommates })
+    .withMessage(`Roommate requests must be a list of at most ${PREFERENCE_LIMITS.roommates} university IDs`),
+  body('preferences.roommatePreferences.universityIds.*').isString().notEmpty().withMessage('University IDs must be strings'),
+];
+
+/**
+ * Check preferences against the hostels, rooms and students they refer to.
+ * Returns field-level errors; empty when the preferences can be honoured.
+ */
+const validatePreferences = async (preferences, studentId) => {
+  const preferredHostels = preferences.preferredHostels || [];
+  const universityIds = (preferences.roommatePreferences || {}).universityIds || [];
+
+  const [student, hostels, rooms, roommates] = await Promise.all([
+    prisma.user.findUnique({ where: { id: studentId }, select: { gender: true, universityId: true } }),
+    prisma.hostel.findMany({ where: { id: { in: preferredHostels } }, select: { id: true, name: true, gender: true } }),
+    prisma.room.findMany({
+      where: {
+        status: { not: 'MAINTENANCE' },
+        ...(preferredHostels.length > 0 && { block: { hostelId: { in: preferredHostels } } }),
+      },
+      select: {
+        capacity: true,
+        features: true,
+        block: { select: { hostelId: true, gender: true, hostel: { select: { gender: true } } } },
+        floor: { select: { floorNumber: true, gender: true } },
+      },
+    }),
+    universityIds.length > 0
+      ? prisma.user.findMany({
+        // Roommate grouping ignores case and surrounding spaces, so the lookup does too
+        where: { universityId: { in: universityIds.map((id) => id.trim()), mode: 'insensitive' }, role: 'STUDENT' },
+        select: { universityId: true },
+      })
+      : [],
+  ]);
+
+  return checkPreferences(preferences, { student, hostels, rooms, roommates });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApplicationPreferences:
+ *       type: object
+ *       description: Checked on submit and edit against live hostels, rooms and students; problems are returned as field-level errors.
+ *       additionalProperties: false
+ *       properties:
+ *         preferredHostels:
+ *           type: array
+ *           description: Hostel IDs, most preferred first; each must exist and admit the student's gender
+ *           maxItems: 10
+ *           items:
+ *             type: string
+ *         roomType:
+ *           type: string
+ *           description: STANDARD means any; otherwise a room type offered in the preferred hostels
+ *           example: DOUBLE
+ *         requiredFeatures:
+ *           type: array
+ *           description: Features a room must have; at least one room must have all of them
+ *           maxItems: 20
+ *           items:
+ *             type: string
+ *         desiredFeatures:
+ *           type: array
+ *           maxItems: 20
+ *           items:
+ *             type: string
+ *         floorRange:
+ *           type: object
+ *           properties:
+ *             min:
+ *               type: integer
+ *             max:
+ *               type: integer
+ *         roommatePreferences:
+ *           type: object
+ *           properties:
+ *             universityIds:
+ *               type: array
+ *               description: Requested roommates; only mutual requests are honoured
+ *               maxItems: 5
+ *               items:
+ *                 type: string
+ */
+
 /**
  * @swagger
  * /api/applications:
  *   post:
- *     summary: Submit a room application (Student only)
+ *     summary: Submit a room application for the active term (Student only)
+ *     description: A student has one application and at most one allocation per term; reapplying after a withdrawal, rejection or declined offer reopens that application. Submissions must fall in the application window of the first preferred hostel (or the term-wide window); after closing they are rejected, or accepted with `isLate` when the window allows late applications.
  *     tags: [Applications]
  *     security:
  *       - cookieAuth: []
@@ -25,17 +235,20 @@ const prisma = new PrismaClient();
  *               - preferences
  *             properties:
  *               preferences:
- *                 type: object
+ *                 $ref: '#/components/schemas/ApplicationPreferences'
  *               priorityCategory:
  *                 type: string
+ *                 enum: [HANDICAPPED, MERIT]
+ *                 description: Opens a priority claim; the category only counts once a warden verifies it (see /api/priority-claims)
  */
 router.post(
   '/',
   authenticate,
   authorize('STUDENT'),
   [
-    body('preferences').isObject().withMessage('Preferences must be an object'),
-    body('priorityCategory').optional().isString(),
+    ...preferenceValidators,
+    body('priorityCategory').optional({ values: 'null' }).isIn(PRIORITY_ORDER)
+      .withMessage(`Priority category must be one of: ${PRIORITY_ORDER.join(', ')}`),
   ],
   async (req, res, next) => {
     try {
@@ -46,25 +259,28 @@ router.post(
 
       const { preferences, priorityCategory } = req.body;
       const studentId = req.user.id;
+      const term = await termService.requireActiveTerm();
 
-      // Check if student already has an active application
-      const existingApplication = await prisma.application.findFirst({
-        where: {
-          studentId,
-          status: { in: ['PENDING', 'WAITLISTED', 'IN_PROGRESS'] },
-        },
+      const preferenceErrors = await validatePreferences(preferences, studentId);
+      if (preferenceErrors.length > 0) {
+        return res.status(400).json({ success: false, errors: preferenceErrors });
+      }
+
+      // Check if student already has an active application this term
+      const existingApplication = await prisma.application.findUnique({
+        where: { studentId_termId: { studentId, termId: term.id } },
       });
 
-      if (existingApplication) {
+      if (existingApplication && ACTIVE_APPLICATION_STATUSES.includes(existingApplication.status)) {
         return res.status(400).json({
           success: false,
           message: 'You already have an active application',
         });
       }
 
-      // Check if student already has an allocation
+      // Check if student already has an allocation this term
       const existingAllocation = await prisma.allocation.findFirst({
-        where: { studentId },
+        where: { studentId, termId: term.id, status: { in: ACTIVE_ALLOCATION_STATUSES } },
       });
 
       if (existingAllocation) {
@@ -74,26 +290,59 @@ router.post(
         });
       }
 
-      const application = await prisma.application.create({
-        data: {
-          studentId,
-          preferences,
-          priorityCategory: priorityCategory || null,
-          status: 'PENDING',
-        },
-        include: {
-          student: {
-            select: { id: true, name: true, email: true },
+      const windows = await prisma.applicationWindow.findMany({ where: { termId: term.id } });
+      const submission = checkSubmission(windows, preferences);
+
+      if (!submission.accepted) {
+        return res.status(403).json({
+          success: false,
+          message: submission.message,
+          window: submission.status,
+        });
+      }
+
+      const application = existingApplication
+        ? await reopenApplication(existingApplication, { preferences, priorityCategory, isLate: submission.late }, studentId)
+        : await prisma.application.create({
+          data: {
+            studentId,
+            termId: term.id,
+            preferences,
+            // Set only when the priority claim is verified
+            priorityCategory: null,
+            isLate: submission.late,
+            status: 'PENDING',
+            preferenceVersions: {
+              create: { version: 1, preferences, changedBy: studentId },
+            },
+            ...(priorityCategory && {
+              priorityClaim: { create: { category: priorityCategory } },
+            }),
           },
-        },
-      });
+          include: APPLICATION_INCLUDE,
+        });
+
+      if (!application) {
+        return res.status(409).json({
+          success: false,
+          message: 'Your application changed while it was being resubmitted; please try again',
+        });
+      }
 
       res.status(201).json({
         success: true,
-        message: 'Application submitted successfully',
+        message: submission.late
+          ? submission.message
+          : priorityCategory
+            ? 'Application submitted; upload supporting documents for your priority claim'
+            : 'Application submitted successfully',
         data: application,
       });
     } catch (error) {
+      // Another submission for this term got in first
+      if (error.code === 'P2002') {
+        return res.status(409).json({ success: false, message: 'You already have an application for this term' });
+      }
       next(error);
     }
   }
@@ -103,15 +352,22 @@ router.post(
  * @swagger
  * /api/applications/me:
  *   get:
- *     summary: Get current student's application
+ *     summary: Get current student's application for a term (the active term by default)
+ *     description: A rejected application carries the warden's `reviewReason`. A waitlisted application carries `decisionTrace`, explaining why the last allocation run did not place it, and `waitlistPosition` ({position, ahead, poolSize}) within its hostel/room type pool.
  *     tags: [Applications]
  *     security:
  *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: termId
+ *         schema:
+ *           type: string
  */
 router.get('/me', authenticate, authorize('STUDENT'), async (req, res, next) => {
   try {
+    const termId = await termService.resolveTermId(req.query.termId);
     const application = await prisma.application.findFirst({
-      where: { studentId: req.user.id },
+      where: { studentId: req.user.id, ...(termId && { termId }) },
       include: {
         allocations: {
           include: {
@@ -129,6 +385,7 @@ router.get('/me', authenticate, authorize('STUDENT'), async (req, res, next) =>
           },
         },
         waitlistEntry: true,
+        priorityClaim: { include: { documents: true } },
       },
       orderBy: { appliedAt: 'desc' },
     });
@@ -141,7 +398,11 @@ router.get('/me', authenticate, authorize('STUDENT'), async (req, res, next) =>
       });
     }
 
-    res.json({ success: true, data: application });
+    const waitlistPosition = application.status === 'WAITLISTED'
+      ? await allocationEngine.getWaitlistPosition(application.id)
+      : null;
+
+    res.json({ success: true, data: { ...application, waitlistPosition } });
   } catch (error) {
     next(error);
   }
@@ -151,10 +412,20 @@ router.get('/me', authenticate, authorize('STUDENT'), async (req, res, next) =>
  * @swagger
  * /api/applications:
  *   get:
- *     summary: List all applications (Warden/Admin only)
+ *     summary: List applications of a term (Warden/Admin only)
  *     tags: [Applications]
  *     security:
  *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: termId
+ *         schema:
+ *           type: string
+ *         description: Defaults to the active term
  */
 router.get('/', authenticate, authorize('WARDEN', 'ADMIN'), async (req, res, next) => {
   try {
@@ -165,6 +436,11 @@ router.get('/', authenticate, authorize('WARDEN', 'ADMIN'), async (req, res, nex
       where.status = status;
     }
 
+    const termId = await termService.resolveTermId(req.query.termId);
+    if (termId) {
+      where.termId = termId;
+    }
+
     const applications = await prisma.application.findMany({
       where,
       include: {
@@ -187,6 +463,7 @@ router.get('/', authenticate, authorize('WARDEN', 'ADMIN'), async (req, res, nex
           },
         },
         waitlistEntry: true,
+        priorityClaim: { include: { documents: true } },
       },
       orderBy: { appliedAt: 'desc' },
     });
@@ -203,6 +480,7 @@ router.get('/', authenticate, authorize('WARDEN', 'ADMIN'), async (req, res, nex
  * /api/applications/{id}:
  *   get:
  *     summary: Get application by ID
+ *     description: Includes `decisionTrace` ({reason, message, counts, runId}) when the last run did not place the application.
  *     tags: [Applications]
  *     security:
  *       - cookieAuth: []
@@ -231,6 +509,7 @@ router.get('/:id', authenticate, async (req, res, next) => {
           },
         },
         waitlistEntry: true,
+        priorityClaim: { include: { documents: true } },
       },
     });
 
@@ -249,5 +528,594 @@ router.get('/:id', authenticate, async (req, res, next) => {
   }
 });
 
-module.exports = router;
+/**
+ * @swagger
+ * /api/applications/{id}/merit-score:
+ *   patch:
+ *     summary: Set the merit score used by the MERIT strategy (Warden/Admin only)
+ *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - meritScore
+ *             properties:
+ *               meritScore:
+ *                 type: number
+ */
+router.patch(
+  '/:id/merit-score',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    body('meritScore').isFloat({ min: 0 }).withMessage('Merit score must be a non-negative number'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const application = await prisma.application.findUnique({ where: { id: req.params.id } });
+      if (!application) {
+        return res.status(404).json({ success: false, message: 'Application not found' });
+      }
+
+      const meritScore = parseFloat(req.body.meritScore);
+      const updatedApplication = await prisma.application.update({
+        where: { id: application.id },
+        data: { meritScore },
+      });
+
+      await createAuditLog(req.user.id, 'UPDATE', 'APPLICATION', application.id, {
+        action: 'merit_score_change',
+        oldMeritScore: application.meritScore,
+        newMeritScore: meritScore,
+      });
+
+      res.json({ success: true, data: updatedApplication });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Approve or reject one application. Returns the updated application, or null
+ * when its status no longer allows the decision.
+ */
+const reviewApplication = async (applicationId, decision, reviewerId, reason = null) => {
+  const reviewed = await prisma.$transaction(async (tx) => {
+    const updated = await tx.application.updateMany({
+      where: { id: applicationId, status: { in: REVIEWABLE_STATUSES[decision] } },
+      data: {
+        status: decision === 'APPROVE' ? 'APPROVED' : 'REJECTED',
+        reviewedBy: reviewerId,
+        reviewedAt: new Date(),
+        reviewReason: reason,
+      },
+    });
+
+    if (updated.count === 0) {
+      return null;
+    }
+
+    // A rejected student leaves the waitlist and everyone behind moves up
+    const entry = await tx.waitlistEntry.findUnique({ where: { applicationId } });
+    if (entry) {
+      await tx.waitlistEntry.delete({ where: { id: entry.id } });
+      await allocationEngine.recomputeWaitlistRanks(tx, [{ termId: entry.termId, hostelId: entry.hostelId, roomType: entry.roomType }]);
+    }
+
+    return tx.application.findUnique({
+      where: { id: applicationId },
+      include: { student: { select: { id: true, name: true, email: true } } },
+    });
+  });
+
+  if (!reviewed) {
+    return null;
+  }
+
+  await createAuditLog(reviewerId, decision, 'APPLICATION', applicationId, { reason });
+
+  if (decision === 'REJECT') {
+    await sendApplicationRejectedNotification(reviewed.student.email, reviewed.student.name, reason);
+  }
+
+  return reviewed;
+};
+
+const reviewValidators = (decision) => [
+  (decision === 'REJECT'
+    ? body('reason').trim().notEmpty().withMessage('A reason is required to reject an application')
+    : body('reason').optional().trim()
+  ).isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+];
+
+/**
+ * @swagger
+ * /api/applications/review:
+ *   post:
+ *     summary: Approve or reject several applications at once (Warden/Admin only)
+ *     description: Only approved applications take part in allocation runs. Applications whose status no longer allows the decision are reported in `skipped`.
+ *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - applicationIds
+ *               - decision
+ *             properties:
+ *               applicationIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               decision:
+ *                 type: string
+ *                 enum: [APPROVE, REJECT]
+ *               reason:
+ *                 type: string
+ *                 description: Required when rejecting; emailed to the student
+ */
+router.post(
+  '/review',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    body('applicationIds').isArray({ min: 1, max: 500 }).withMessage('applicationIds must be a list of 1 to 500 IDs'),
+    body('applicationIds.*').isString(),
+    body('decision').isIn(['APPROVE', 'REJECT']).withMessage('Decision must be APPROVE or REJECT'),
+    body('reason')
+      .if(body('decision').equals('REJECT'))
+      .trim().notEmpty().withMessage('A reason is required to reject applications'),
+    body('reason').optional().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { decision } = req.body;
+      const reason = req.body.reason?.trim() || null;
+      const reviewed = [];
+      const skipped = [];
+
+      for (const applicationId of [...new Set(req.body.applicationIds)]) {
+        const application = await reviewApplication(applicationId, decision, req.user.id, reason);
+        (application ? reviewed : skipped).push(application || applicationId);
+      }
+
+      res.json({
+        success: true,
+        message: `${reviewed.length} application(s) ${decision === 'APPROVE' ? 'approved' : 'rejected'}`,
+        data: { reviewed, skipped },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/applications/{id}/approve:
+ *   post:
+ *     summary: Approve a pending application for allocation (Warden/Admin only)
+ *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Application approved
+ *       409:
+ *         description: The application is not pending
+ */
+router.post('/:id/approve', authenticate, authorize('WARDEN', 'ADMIN'), reviewValidators('APPROVE'), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const application = await prisma.application.findUnique({ where: { id: req.params.id } });
+    if (!application) {
+      return res.status(404).json({ success: false, message: 'Application not found' });
+    }
+
+    const approved = await reviewApplication(application.id, 'APPROVE', req.user.id, req.body.reason || null);
+    if (!approved) {
+      return res.status(409).json({ success: false, message: 'Only pending applications can be approved' });
+    }
+
+    res.json({ success: true, message: 'Application approved', data: approved });
+  } catch (error) {
+    next(error);
+  }
+});
 
+/**
+ * @swagger
+ * /api/applications/{id}/reject:
+ *   post:
+ *     summary: Reject an application with a reason (Warden/Admin only)
+ *     description: The student is emailed the reason, which also appears on `GET /api/applications/me`.
+ *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Application rejected
+ *       409:
+ *         description: The application has already been placed or closed
+ */
+router.post('/:id/reject', authenticate, authorize('WARDEN', 'ADMIN'), reviewValidators('REJECT'), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const application = await prisma.application.findUnique({ where: { id: req.params.id } });
+    if (!application) {
+      return res.status(404).json({ success: false, message: 'Application not found' });
+    }
+
+    const rejected = await reviewApplication(application.id, 'REJECT', req.user.id, req.body.reason);
+    if (!rejected) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only pending, approved or waitlisted applications can be rejected',
+      });
+    }
+
+    res.json({ success: true, message: 'Application rejected', data: rejected });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Load a student's own application for a change made by the student
+ */
+const findOwnApplication = async (req, res) => {
+  const application = await prisma.application.findUnique({ where: { id: req.params.id } });
+
+  if (!application) {
+    res.status(404).json({ success: false, message: 'Application not found' });
+    return null;
+  }
+
+  if (application.studentId !== req.user.id) {
+    res.status(403).json({ success: false, message: 'Access denied' });
+    return null;
+  }
+
+  return application;
+};
+
+/**
+ * @swagger
+ * /api/applications/{id}/accept:
+ *   post:
+ *     summary: Accept the room offer made for an application (Student only)
+ *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Offer accepted
+ *       404:
+ *         description: No open offer
+ *       409:
+ *         description: The offer has expired or was already answered
+ */
+router.post('/:id/accept', authenticate, authorize('STUDENT'), async (req, res, next) => {
+  try {
+    const application = await findOwnApplication(req, res);
+    if (!application) {
+      return;
+    }
+
+    const allocation = await allocationEngine.acceptOffer(application.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Offer accepted',
+      data: allocation,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}/decline:
+ *   post:
+ *     summary: Decline the room offer made for an application (Student only)
+ *     description: The bed is released and offered to the next student on the waitlist.
+ *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *       404:
+ *         description: No open offer
+ *       409:
+ *         description: The offer was already answered
+ */
+router.post('/:id/decline', authenticate, authorize('STUDENT'), async (req, res, next) => {
+  try {
+    const application = await findOwnApplication(req, res);
+    if (!application) {
+      return;
+    }
+
+    await allocationEngine.declineOffer(application.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Offer declined',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}:
+ *   patch:
+ *     summary: Update the preferences of an application not yet placed (Student only)
+ *     description: Each change is kept as a new preference version. A waitlisted application moves to the pool of its new first choice and both pools are re-ranked. Changing the preferred hostels is checked against the application window of the new first choice, as on submission; after closing it is rejected, or marks the application late when the window allows late applications.
+ *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - preferences
+ *             properties:
+ *               preferences:
+ *                 $ref: '#/components/schemas/ApplicationPreferences'
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *       400:
+ *         description: Field-level errors in `errors`
+ *       403:
+ *         description: The application window of the new first choice is not open
+ *       409:
+ *         description: The application is no longer pending, approved or waitlisted
+ */
+router.patch('/:id', authenticate, authorize('STUDENT'), preferenceValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const application = await findOwnApplication(req, res);
+    if (!application) {
+      return;
+    }
+
+    const { preferences } = req.body;
+
+    const preferenceErrors = await validatePreferences(preferences, req.user.id);
+    if (preferenceErrors.length > 0) {
+      return res.status(400).json({ success: false, errors: preferenceErrors });
+    }
+
+    const windows = await prisma.applicationWindow.findMany({ where: { termId: application.termId } });
+    const submission = checkPreferenceChange(windows, application.preferences, preferences);
+
+    if (!submission.accepted) {
+      return res.status(403).json({
+        success: false,
+        message: submission.message,
+        window: submission.status,
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Guard on status so an allocation run cannot pick the application up mid-edit
+      const updated = await tx.application.updateMany({
+        where: { id: application.id, status: { in: EDITABLE_STATUSES } },
+        // A late application stays late whatever it is changed to
+        data: { preferences, ...(submission.late && { isLate: true }) },
+      });
+
+      if (updated.count === 0) {
+        return null;
+      }
+
+      const latest = await tx.applicationPreferenceVersion.findFirst({
+        where: { applicationId: application.id },
+        orderBy: { version: 'desc' },
+      });
+      const version = await tx.applicationPreferenceVersion.create({
+        data: {
+          applicationId: application.id,
+          version: latest ? latest.version + 1 : 1,
+          preferences,
+          changedBy: req.user.id,
+        },
+      });
+
+      // A waitlisted student follows their new first choice into its pool
+      const entry = await tx.waitlistEntry.findUnique({ where: { applicationId: application.id } });
+      if (entry) {
+        const pool = getWaitlistPool({ ...application, preferences });
+        await tx.waitlistEntry.update({ where: { id: entry.id }, data: pool });
+        await allocationEngine.recomputeWaitlistRanks(tx, [
+          { termId: entry.termId, hostelId: entry.hostelId, roomType: entry.roomType },
+          pool,
+        ]);
+      }
+
+      return {
+        application: await tx.application.findUnique({ where: { id: application.id } }),
+        version,
+      };
+    });
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only pending, approved or waitlisted applications can be edited',
+      });
+    }
+
+    await createAuditLog(req.user.id, 'UPDATE', 'APPLICATION', application.id, {
+      action: 'preferences_change',
+      version: result.version.version,
+      oldPreferences: application.preferences,
+      newPreferences: preferences,
+      ...(submission.late && { isLate: true }),
+    });
+
+    res.json({
+      success: true,
+      message: submission.late ? submission.message : 'Preferences updated',
+      data: result.application,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}/versions:
+ *   get:
+ *     summary: Preference history of an application, oldest first
+ *     description: Students may only view their own applications.
+ *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get('/:id/versions', authenticate, async (req, res, next) => {
+  try {
+    const application = await prisma.application.findUnique({ where: { id: req.params.id } });
+
+    if (!application) {
+      return res.status(404).json({ success: false, message: 'Application not found' });
+    }
+
+    if (req.user.role === 'STUDENT' && application.studentId !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const versions = await prisma.applicationPreferenceVersion.findMany({
+      where: { applicationId: application.id },
+      orderBy: { version: 'asc' },
+    });
+
+    res.json({ success: true, data: versions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}/withdraw:
+ *   post:
+ *     summary: Withdraw an application not yet placed (Student only)
+ *     description: The waitlist entry is removed and everyone behind the student moves up. The student may apply again afterwards.
+ *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Application withdrawn
+ *       409:
+ *         description: The application is no longer pending, approved or waitlisted
+ */
+router.post('/:id/withdraw', authenticate, authorize('STUDENT'), async (req, res, next) => {
+  try {
+    const application = await findOwnApplication(req, res);
+    if (!application) {
+      return;
+    }
+
+    const withdrawn = await prisma.$transaction(async (tx) => {
+      const updated = await tx.application.updateMany({
+        where: { id: application.id, status: { in: EDITABLE_STATUSES } },
+        data: { status: 'WITHDRAWN', decisionTrace: Prisma.DbNull },
+      });
+
+      if (updated.count === 0) {
+        return null;
+      }
+
+      // Leaving the waitlist moves everyone behind the student up
+      const entry = await tx.waitlistEntry.findUnique({ where: { applicationId: application.id } });
+      if (entry) {
+        await tx.waitlistEntry.delete({ where: { id: entry.id } });
+        await allocationEngine.recomputeWaitlistRanks(tx, [{ termId: entry.termId, hostelId: entry.hostelId, roomType: entry.roomType }]);
+      }
+
+      return tx.application.findUnique({ where: { id: application.id } });
+    });
+
+    if (!withdrawn) {
+      return res.status(409).json({
+        success: false,
+        message: application.status === 'OFFERED'
+          ? 'Decline the room offer instead of withdrawing'
+          : 'Only pending, approved or waitlisted applications can be withdrawn',
+      });
+    }
+
+    await createAuditLog(req.user.id, 'UPDATE', 'APPLICATION', application.id, {
+      action: 'withdraw',
+      previousStatus: application.status,
+    });
+
+    res.json({ success: true, message: 'Application withdrawn', data: withdrawn });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const { PrismaClient } = require('@prisma/client');
 const { generateToken, setTokenCookie } = require('../utils/jwt');
 const { authenticate } = require('../middleware/auth');
 const { createAuditLog } = require('../middleware/auditLog');
+const { STUDENT_GENDERS } = require('../services/genderPolicy');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -35,6 +36,9 @@ const prisma = new PrismaClient();
  *                 type: string
  *               universityId:
  *                 type: string
+ *               gender:
+ *                 type: string
+ *                 enum: [MALE, FEMALE]
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -48,6 +52,7 @@ router.post(
     body('email').isEmail().withMessage('Valid email is required'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
     body('universityId').trim().notEmpty().withMessage('University ID is required'),
+    body('gender').optional().isIn(STUDENT_GENDERS).withMessage('Gender must be MALE or FEMALE'),
   ],
   async (req, res, next) => {
     try {
@@ -56,7 +61,7 @@ router.post(
         return res.status(400).json({ success: false, errors: errors.array() });
       }
 
-      const { name, email, password, universityId } = req.body;
+      const { name, email, password, universityId, gender } = req.body;
 
       // Check if user exists
       const existingUser = await prisma.user.findUnique({ where: { email } });
@@ -74,9 +79,10 @@ router.post(
           email,
           passwordHash,
           universityId,
+          gender: gender || null,
           role: 'STUDENT',
         },
-        select: { id: true, name: true, email: true, role: true },
+        select: { id: true, name: true, email: true, role: true, gender: true },
       });
 
       await createAuditLog(user.id, 'CREATE', 'USER', user.id, { action: 'register' });
@@ -188,6 +194,76 @@ router.get('/me', authenticate, async (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /api/auth/me:
+ *   patch:
+ *     summary: Update current user's profile
+ *     description: Gender can be set once; after that only an admin can correct it (PATCH /api/users/{id}/gender), as it decides which rooms the student may be placed in.
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               gender:
+ *                 type: string
+ *                 enum: [MALE, FEMALE]
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       403:
+ *         description: Gender is already set
+ */
+router.patch(
+  '/me',
+  authenticate,
+  [
+    body('gender').isIn(STUDENT_GENDERS).withMessage('Gender must be MALE or FEMALE'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { gender } = req.body;
+
+      if (req.user.gender && req.user.gender !== gender) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your gender is already set; ask an admin to correct it',
+        });
+      }
+
+      const user = await prisma.user.update({
+        where: { id: req.user.id },
+        data: { gender },
+        select: { id: true, name: true, email: true, role: true, gender: true },
+      });
+
+      await createAuditLog(req.user.id, 'UPDATE', 'USER', user.id, {
+        action: 'profile_update',
+        oldGender: req.user.gender,
+        newGender: gender,
+      });
+
+      res.json({
+        success: true,
+        message: 'Profile updated successfully',
+        user,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/auth/logout:
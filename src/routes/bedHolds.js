@@ -0,0 +1,239 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, authorize } = require('../middleware/auth');
+const bedHoldService = require('../services/bedHoldService');
+const { HOLD_STATUSES } = require('../services/holdPolicy');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const HOLD_INCLUDE = {
+  room: {
+    select: {
+      id: true,
+      number: true,
+      status: true,
+      block: { select: { id: true, name: true, hostel: { select: { id: true, name: true } } } },
+    },
+  },
+  bed: { select: { id: true, bedNumber: true, occupiedBy: true } },
+  owner: { select: { id: true, name: true, email: true } },
+};
+
+const holdValidators = [
+  body('reason').optional({ values: 'null' }).trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  body('eligibleUniversityIds').optional().isArray({ max: 500 }).withMessage('Eligible students must be a list of university IDs'),
+  body('eligibleUniversityIds.*').isString().trim().notEmpty().withMessage('University IDs must be strings'),
+];
+
+/**
+ * @swagger
+ * /api/bed-holds:
+ *   get:
+ *     summary: List bed and room holds (Warden/Admin only)
+ *     tags: [Bed Holds]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, FULFILLED, RELEASED, EXPIRED]
+ *       - in: query
+ *         name: hostelId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: roomId
+ *         schema:
+ *           type: string
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    query('status').optional().isIn(HOLD_STATUSES),
+    query('hostelId').optional().isString(),
+    query('roomId').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { status, hostelId, roomId } = req.query;
+      const where = {
+        ...(status && { status }),
+        ...(roomId && { roomId }),
+        ...(hostelId && { room: { block: { hostelId } } }),
+      };
+
+      const holds = await prisma.bedHold.findMany({
+        where,
+        include: HOLD_INCLUDE,
+        orderBy: { expiresAt: 'asc' },
+      });
+
+      res.json({ success: true, data: holds });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/bed-holds:
+ *   post:
+ *     summary: Hold a bed or a whole room for a purpose (Warden/Admin only)
+ *     description: Held beds are skipped by allocation runs and waitlist promotion. A whole-room hold marks the room RESERVED. Manual assignment into a held bed is limited to the students in `eligibleUniversityIds`. The worker releases holds once they expire.
+ *     tags: [Bed Holds]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roomId
+ *               - purpose
+ *               - expiresAt
+ *             properties:
+ *               roomId:
+ *                 type: string
+ *               bedId:
+ *                 type: string
+ *                 description: Hold only this bed; omit to hold the whole room
+ *               purpose:
+ *                 type: string
+ *                 example: International arrivals
+ *               reason:
+ *                 type: string
+ *               eligibleUniversityIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Hold placed
+ *       409:
+ *         description: Bed occupied or already held, or room not available
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    body('roomId').isString().notEmpty().withMessage('Room ID is required'),
+    body('bedId').optional({ values: 'null' }).isString(),
+    body('purpose').trim().notEmpty().isLength({ max: 100 }).withMessage('Purpose is required (at most 100 characters)'),
+    body('expiresAt').isISO8601().withMessage('Expiry must be an ISO 8601 date')
+      .custom((expiresAt) => new Date(expiresAt) > new Date())
+      .withMessage('Expiry must be in the future'),
+    ...holdValidators,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const hold = await bedHoldService.createHold(req.user.id, req.body);
+
+      res.status(201).json({ success: true, message: 'Hold placed', data: hold });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/bed-holds/{id}:
+ *   patch:
+ *     summary: Change the intended students, reason or expiry of an active hold (Warden/Admin only)
+ *     tags: [Bed Holds]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               eligibleUniversityIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ */
+router.patch(
+  '/:id',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    body('expiresAt').optional().isISO8601().withMessage('Expiry must be an ISO 8601 date')
+      .custom((expiresAt) => new Date(expiresAt) > new Date())
+      .withMessage('Expiry must be in the future'),
+    ...holdValidators,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const hold = await bedHoldService.updateHold(req.params.id, req.user.id, req.body);
+
+      res.json({ success: true, message: 'Hold updated', data: hold });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/bed-holds/{id}/release:
+ *   post:
+ *     summary: Release an active hold early (Warden/Admin only)
+ *     description: A held room becomes AVAILABLE again and its free beds are offered to the waitlist.
+ *     tags: [Bed Holds]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Hold released; `promotions` lists waitlisted students placed in the freed beds
+ */
+router.post('/:id/release', authenticate, authorize('WARDEN', 'ADMIN'), async (req, res, next) => {
+  try {
+    const { hold, promotions } = await bedHoldService.releaseHold(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Hold released',
+      data: hold,
+      promotions: promotions.map((promotion) => promotion.allocation),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,11 +2,93 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate, authorize } = require('../middleware/auth');
-const { auditMiddleware } = require('../middleware/auditLog');
+const { auditMiddleware, createAuditLog } = require('../middleware/auditLog');
+const { STUDENT_GENDERS, HOSTEL_GENDERS } = require('../services/genderPolicy');
+const { countRoomUsage, describeRoomUsage } = require('../services/roomUsage');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const BLOCK_ORDER = [{ sortOrder: 'asc' }, { name: 'asc' }];
+const FLOOR_ORDER = [{ sortOrder: 'asc' }, { floorNumber: 'asc' }];
+
+const HOSTEL_INCLUDE = {
+  blocks: {
+    orderBy: BLOCK_ORDER,
+    include: {
+      floors: {
+        orderBy: FLOOR_ORDER,
+        include: {
+          rooms: {
+            include: {
+              beds: true,
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Respond 409 when something still refers to the rooms matching `roomWhere`
+ * (see countRoomUsage) or `extraUsage` has references; returns whether it did
+ */
+const refuseIfInUse = async (res, label, roomWhere, { extraUsage = {}, transferFilters = [] } = {}) => {
+  const usage = { ...await countRoomUsage(prisma, roomWhere, transferFilters), ...extraUsage };
+  const message = describeRoomUsage(label, usage);
+
+  if (message) {
+    res.status(409).json({ success: false, message, usage });
+  }
+  return Boolean(message);
+};
+
+/**
+ * Waitlist entries and applications that name a hostel by ID. Neither has a
+ * foreign key, so deleting the hostel would leave them pointing at nothing.
+ */
+const countHostelReferences = async (hostelId) => {
+  const [waitlistEntries, applications] = await Promise.all([
+    prisma.waitlistEntry.count({ where: { hostelId } }),
+    prisma.application.count({
+      where: { preferences: { path: ['preferredHostels'], array_contains: [hostelId] } },
+    }),
+  ]);
+  return { waitlistEntries, applications };
+};
+
+/**
+ * Respond 409 when students who are not `gender` live in or are offered beds
+ * in the rooms matching `roomWhere`; returns whether it did
+ */
+const refuseIfGenderMismatch = async (res, roomWhere, gender, label) => {
+  const mismatched = await prisma.bed.count({
+    where: {
+      occupiedBy: { not: null },
+      room: roomWhere,
+      occupant: { OR: [{ gender: { not: gender } }, { gender: null }] },
+    },
+  });
+
+  if (mismatched > 0) {
+    res.status(409).json({
+      success: false,
+      message: `${mismatched} occupant(s) are not ${gender.toLowerCase()}; relocate them before changing the ${label}'s gender`,
+    });
+  }
+  return mismatched > 0;
+};
+
+/**
+ * Validate a full ordering of child IDs: every existing ID exactly once
+ */
+const isCompleteOrder = (orderedIds, existingIds) => (
+  orderedIds.length === existingIds.length &&
+  new Set(orderedIds).size === orderedIds.length &&
+  orderedIds.every((id) => existingIds.includes(id))
+);
+
 /**
  * @swagger
  * /api/hostels:
@@ -20,21 +102,7 @@ const prisma = new PrismaClient();
 router.get('/', async (req, res, next) => {
   try {
     const hostels = await prisma.hostel.findMany({
-      include: {
-        blocks: {
-          include: {
-            floors: {
-              include: {
-                rooms: {
-                  include: {
-                    beds: true,
-                  },
-                },
-              },
-            },
-          },
-        },
-      },
+      include: HOSTEL_INCLUDE,
     });
 
     res.json({ success: true, data: hostels });
@@ -73,7 +141,7 @@ router.post(
   auditMiddleware('CREATE', 'HOSTEL'),
   [
     body('name').trim().notEmpty().withMessage('Name is required'),
-    body('gender').isIn(['MALE', 'FEMALE', 'MIXED']).withMessage('Gender must be MALE, FEMALE, or MIXED'),
+    body('gender').isIn(HOSTEL_GENDERS).withMessage('Gender must be MALE, FEMALE, or MIXED'),
   ],
   async (req, res, next) => {
     try {
@@ -112,21 +180,7 @@ router.get('/:id', async (req, res, next) => {
   try {
     const hostel = await prisma.hostel.findUnique({
       where: { id: req.params.id },
-      include: {
-        blocks: {
-          include: {
-            floors: {
-              include: {
-                rooms: {
-                  include: {
-                    beds: true,
-                  },
-                },
-              },
-            },
-          },
-        },
-      },
+      include: HOSTEL_INCLUDE,
     });
 
     if (!hostel) {
@@ -139,5 +193,661 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/hostels/{id}:
+ *   patch:
+ *     summary: Rename a hostel or change its gender (Admin only)
+ *     description: A hostel can only become single-gender when every occupant has that gender; block and floor gender overrides are cleared, as they only apply in MIXED hostels.
+ *     tags: [Hostels]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               gender:
+ *                 type: string
+ *                 enum: [MALE, FEMALE, MIXED]
+ */
+router.patch(
+  '/:id',
+  authenticate,
+  authorize('ADMIN'),
+  [
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('gender').optional().isIn(HOSTEL_GENDERS).withMessage('Gender must be MALE, FEMALE, or MIXED'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const hostel = await prisma.hostel.findUnique({ where: { id: req.params.id } });
+      if (!hostel) {
+        return res.status(404).json({ success: false, message: 'Hostel not found' });
+      }
+
+      const data = {};
+      if (req.body.name !== undefined) {
+        data.name = req.body.name;
+      }
+      if (req.body.gender !== undefined) {
+        data.gender = req.body.gender;
+      }
+
+      if (data.gender && data.gender !== 'MIXED' && data.gender !== hostel.gender &&
+        await refuseIfGenderMismatch(res, { block: { hostelId: hostel.id } }, data.gender, 'hostel')) {
+        return;
+      }
+
+      const updated = await prisma.$transaction(async (tx) => {
+        if (data.gender && data.gender !== 'MIXED') {
+          await tx.block.updateMany({ where: { hostelId: hostel.id }, data: { gender: null } });
+          await tx.floor.updateMany({ where: { block: { hostelId: hostel.id } }, data: { gender: null } });
+        }
+
+        return tx.hostel.update({ where: { id: hostel.id }, data });
+      });
+
+      await createAuditLog(req.user.id, 'UPDATE', 'HOSTEL', hostel.id, {
+        before: { name: hostel.name, gender: hostel.gender },
+        after: data,
+      });
+
+      res.json({ success: true, data: updated });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/hostels/{id}:
+ *   delete:
+ *     summary: Delete a hostel with its blocks, floors, rooms and beds (Admin only)
+ *     description: Refused while any bed in the hostel is occupied or offered, and whenever past allocations, transfer requests, maintenance tickets, waitlist entries or application preferences refer to it, since deleting it would lose or orphan them.
+ *     tags: [Hostels]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Hostel deleted
+ *       409:
+ *         description: The hostel is in use; `usage` has the counts
+ */
+router.delete('/:id', authenticate, authorize('ADMIN'), async (req, res, next) => {
+  try {
+    const hostel = await prisma.hostel.findUnique({ where: { id: req.params.id } });
+    if (!hostel) {
+      return res.status(404).json({ success: false, message: 'Hostel not found' });
+    }
+
+    const inUse = await refuseIfInUse(res, 'hostel', { block: { hostelId: hostel.id } }, {
+      extraUsage: await countHostelReferences(hostel.id),
+      transferFilters: [{ targetHostelId: hostel.id }],
+    });
+    if (inUse) {
+      return;
+    }
+
+    await prisma.hostel.delete({ where: { id: hostel.id } });
+    await createAuditLog(req.user.id, 'DELETE', 'HOSTEL', hostel.id, { name: hostel.name, gender: hostel.gender });
+
+    res.json({ success: true, message: 'Hostel deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/hostels/{id}/blocks:
+ *   post:
+ *     summary: Add a block to a hostel (Admin only)
+ *     description: New blocks are placed after the existing ones.
+ *     tags: [Hostels]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               gender:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [MALE, FEMALE]
+ */
+router.post(
+  '/:id/blocks',
+  authenticate,
+  authorize('ADMIN'),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('gender').optional({ values: 'null' }).isIn(STUDENT_GENDERS).withMessage('Gender must be MALE, FEMALE or null'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { name } = req.body;
+      const gender = req.body.gender || null;
+
+      const hostel = await prisma.hostel.findUnique({ where: { id: req.params.id } });
+      if (!hostel) {
+        return res.status(404).json({ success: false, message: 'Hostel not found' });
+      }
+
+      if (gender && hostel.gender !== 'MIXED') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only blocks in MIXED hostels can be marked single-gender',
+        });
+      }
+
+      if (await prisma.block.findFirst({ where: { hostelId: hostel.id, name } })) {
+        return res.status(400).json({ success: false, message: 'Block already exists' });
+      }
+
+      const { _max: last } = await prisma.block.aggregate({ where: { hostelId: hostel.id }, _max: { sortOrder: true } });
+
+      const block = await prisma.block.create({
+        data: { hostelId: hostel.id, name, gender, sortOrder: (last.sortOrder ?? -1) + 1 },
+      });
+
+      await createAuditLog(req.user.id, 'CREATE', 'BLOCK', block.id, { hostelId: hostel.id, name, gender });
+
+      res.status(201).json({ success: true, data: block });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/hostels/{id}/blocks/order:
+ *   put:
+ *     summary: Reorder the blocks of a hostel (Admin only)
+ *     tags: [Hostels]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - blockIds
+ *             properties:
+ *               blockIds:
+ *                 type: array
+ *                 description: Every block of the hostel, in the new order
+ *                 items:
+ *                   type: string
+ */
+router.put(
+  '/:id/blocks/order',
+  authenticate,
+  authorize('ADMIN'),
+  [
+    body('blockIds').isArray({ min: 1 }).withMessage('blockIds must be a non-empty list'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { blockIds } = req.body;
+      const blocks = await prisma.block.findMany({ where: { hostelId: req.params.id }, orderBy: BLOCK_ORDER });
+
+      if (!isCompleteOrder(blockIds, blocks.map((block) => block.id))) {
+        return res.status(400).json({ success: false, message: 'blockIds must list every block of the hostel exactly once' });
+      }
+
+      await prisma.$transaction(
+        blockIds.map((blockId, index) => prisma.block.update({ where: { id: blockId }, data: { sortOrder: index } }))
+      );
+
+      await createAuditLog(req.user.id, 'UPDATE', 'HOSTEL', req.params.id, {
+        action: 'reorder_blocks',
+        before: blocks.map((block) => block.id),
+        after: blockIds,
+      });
+
+      const reordered = await prisma.block.findMany({ where: { hostelId: req.params.id }, orderBy: BLOCK_ORDER });
+
+      res.json({ success: true, data: reordered });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/hostels/{id}/blocks/{blockId}:
+ *   patch:
+ *     summary: Rename a block or mark it single-gender in a MIXED hostel (Admin only)
+ *     tags: [Hostels]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               gender:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [MALE, FEMALE]
+ */
+router.patch(
+  '/:id/blocks/:blockId',
+  authenticate,
+  authorize('ADMIN'),
+  [
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('gender').optional({ values: 'null' }).isIn(STUDENT_GENDERS).withMessage('Gender must be MALE, FEMALE or null'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { id, blockId } = req.params;
+
+      const block = await prisma.block.findFirst({
+        where: { id: blockId, hostelId: id },
+        include: { hostel: true },
+      });
+
+      if (!block) {
+        return res.status(404).json({ success: false, message: 'Block not found' });
+      }
+
+      const data = {};
+      if (req.body.name !== undefined) {
+        data.name = req.body.name;
+      }
+      if (req.body.gender !== undefined) {
+        data.gender = req.body.gender || null;
+      }
+
+      if (data.gender && block.hostel.gender !== 'MIXED') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only blocks in MIXED hostels can be marked single-gender',
+        });
+      }
+
+      // Floors with a gender of their own are not affected by the block's
+      if (data.gender && data.gender !== block.gender &&
+        await refuseIfGenderMismatch(res, { blockId, floor: { gender: null } }, data.gender, 'block')) {
+        return;
+      }
+
+      if (data.name && data.name !== block.name &&
+        await prisma.block.findFirst({ where: { hostelId: id, name: data.name } })) {
+        return res.status(400).json({ success: false, message: 'Block already exists' });
+      }
+
+      const updatedBlock = await prisma.block.update({
+        where: { id: blockId },
+        data,
+      });
+
+      await createAuditLog(req.user.id, 'UPDATE', 'BLOCK', blockId, {
+        before: Object.fromEntries(Object.keys(data).map((field) => [field, block[field]])),
+        after: data,
+      });
+
+      res.json({ success: true, data: updatedBlock });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/hostels/{id}/blocks/{blockId}:
+ *   delete:
+ *     summary: Delete a block with its floors, rooms and beds (Admin only)
+ *     description: Refused while any bed in the block is occupied or offered, and whenever past allocations, transfer requests or maintenance tickets refer to its rooms.
+ *     tags: [Hostels]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.delete('/:id/blocks/:blockId', authenticate, authorize('ADMIN'), async (req, res, next) => {
+  try {
+    const { id, blockId } = req.params;
+
+    const block = await prisma.block.findFirst({ where: { id: blockId, hostelId: id } });
+    if (!block) {
+      return res.status(404).json({ success: false, message: 'Block not found' });
+    }
+
+    if (await refuseIfInUse(res, 'block', { blockId })) {
+      return;
+    }
+
+    await prisma.block.delete({ where: { id: blockId } });
+    await createAuditLog(req.user.id, 'DELETE', 'BLOCK', blockId, { hostelId: id, name: block.name });
+
+    res.json({ success: true, message: 'Block deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/hostels/{id}/blocks/{blockId}/floors:
+ *   post:
+ *     summary: Add a floor to a block (Admin only)
+ *     tags: [Hostels]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - floorNumber
+ *             properties:
+ *               floorNumber:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               gender:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [MALE, FEMALE]
+ */
+router.post(
+  '/:id/blocks/:blockId/floors',
+  authenticate,
+  authorize('ADMIN'),
+  [
+    body('floorNumber').isInt().withMessage('Floor number must be an integer').toInt(),
+    body('name').optional({ values: 'null' }).trim().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+    body('gender').optional({ values: 'null' }).isIn(STUDENT_GENDERS).withMessage('Gender must be MALE, FEMALE or null'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { id, blockId } = req.params;
+      const { floorNumber } = req.body;
+      const gender = req.body.gender || null;
+
+      const block = await prisma.block.findFirst({
+        where: { id: blockId, hostelId: id },
+        include: { hostel: true },
+      });
+
+      if (!block) {
+        return res.status(404).json({ success: false, message: 'Block not found' });
+      }
+
+      if (gender && block.hostel.gender !== 'MIXED') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only floors in MIXED hostels can be marked single-gender',
+        });
+      }
+
+      const { _max: last } = await prisma.floor.aggregate({ where: { blockId }, _max: { sortOrder: true } });
+
+      const floor = await prisma.floor.create({
+        data: {
+          blockId,
+          floorNumber,
+          name: req.body.name || null,
+          gender,
+          sortOrder: (last.sortOrder ?? -1) + 1,
+        },
+      });
+
+      await createAuditLog(req.user.id, 'CREATE', 'FLOOR', floor.id, { blockId, floorNumber, name: floor.name, gender });
+
+      res.status(201).json({ success: true, data: floor });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(400).json({ success: false, message: 'Floor already exists in this block' });
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/hostels/{id}/blocks/{blockId}/floors/order:
+ *   put:
+ *     summary: Reorder the floors of a block (Admin only)
+ *     tags: [Hostels]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - floorIds
+ *             properties:
+ *               floorIds:
+ *                 type: array
+ *                 description: Every floor of the block, in the new order
+ *                 items:
+ *                   type: string
+ */
+router.put(
+  '/:id/blocks/:blockId/floors/order',
+  authenticate,
+  authorize('ADMIN'),
+  [
+    body('floorIds').isArray({ min: 1 }).withMessage('floorIds must be a non-empty list'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { id, blockId } = req.params;
+      const { floorIds } = req.body;
+      const floors = await prisma.floor.findMany({ where: { blockId, block: { hostelId: id } }, orderBy: FLOOR_ORDER });
+
+      if (!isCompleteOrder(floorIds, floors.map((floor) => floor.id))) {
+        return res.status(400).json({ success: false, message: 'floorIds must list every floor of the block exactly once' });
+      }
+
+      await prisma.$transaction(
+        floorIds.map((floorId, index) => prisma.floor.update({ where: { id: floorId }, data: { sortOrder: index } }))
+      );
+
+      await createAuditLog(req.user.id, 'UPDATE', 'BLOCK', blockId, {
+        action: 'reorder_floors',
+        before: floors.map((floor) => floor.id),
+        after: floorIds,
+      });
+
+      const reordered = await prisma.floor.findMany({ where: { blockId }, orderBy: FLOOR_ORDER });
+
+      res.json({ success: true, data: reordered });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/hostels/{id}/blocks/{blockId}/floors/{floorId}:
+ *   patch:
+ *     summary: Rename or renumber a floor, or mark it single-gender in a MIXED hostel (Admin only)
+ *     tags: [Hostels]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 nullable: true
+ *               floorNumber:
+ *                 type: integer
+ *               gender:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [MALE, FEMALE]
+ */
+router.patch(
+  '/:id/blocks/:blockId/floors/:floorId',
+  authenticate,
+  authorize('ADMIN'),
+  [
+    body('name').optional({ values: 'null' }).trim().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+    body('floorNumber').optional().isInt().withMessage('Floor number must be an integer').toInt(),
+    body('gender').optional({ values: 'null' }).isIn(STUDENT_GENDERS).withMessage('Gender must be MALE, FEMALE or null'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { id, blockId, floorId } = req.params;
+
+      const floor = await prisma.floor.findFirst({
+        where: { id: floorId, blockId, block: { hostelId: id } },
+        include: { block: { include: { hostel: true } } },
+      });
+
+      if (!floor) {
+        return res.status(404).json({ success: false, message: 'Floor not found' });
+      }
+
+      const data = {};
+      if (req.body.name !== undefined) {
+        data.name = req.body.name || null;
+      }
+      if (req.body.floorNumber !== undefined) {
+        data.floorNumber = req.body.floorNumber;
+      }
+      if (req.body.gender !== undefined) {
+        data.gender = req.body.gender || null;
+      }
+
+      if (data.gender && floor.block.hostel.gender !== 'MIXED') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only floors in MIXED hostels can be marked single-gender',
+        });
+      }
+
+      // Clearing a floor's gender hands it back to the block's
+      if (data.gender !== undefined) {
+        const newGender = data.gender || floor.block.gender;
+        if (newGender && newGender !== (floor.gender || floor.block.gender) &&
+          await refuseIfGenderMismatch(res, { floorId }, newGender, 'floor')) {
+          return;
+        }
+      }
+
+      const updatedFloor = await prisma.floor.update({
+        where: { id: floorId },
+        data,
+      });
+
+      await createAuditLog(req.user.id, 'UPDATE', 'FLOOR', floorId, {
+        before: Object.fromEntries(Object.keys(data).map((field) => [field, floor[field]])),
+        after: data,
+      });
+
+      res.json({ success: true, data: updatedFloor });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(400).json({ success: false, message: 'Floor already exists in this block' });
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/hostels/{id}/blocks/{blockId}/floors/{floorId}:
+ *   delete:
+ *     summary: Delete a floor with its rooms and beds (Admin only)
+ *     description: Refused while any bed on the floor is occupied or offered, and whenever past allocations, transfer requests or maintenance tickets refer to its rooms.
+ *     tags: [Hostels]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.delete('/:id/blocks/:blockId/floors/:floorId', authenticate, authorize('ADMIN'), async (req, res, next) => {
+  try {
+    const { id, blockId, floorId } = req.params;
+
+    const floor = await prisma.floor.findFirst({ where: { id: floorId, blockId, block: { hostelId: id } } });
+    if (!floor) {
+      return res.status(404).json({ success: false, message: 'Floor not found' });
+    }
+
+    if (await refuseIfInUse(res, 'floor', { floorId })) {
+      return;
+    }
+
+    await prisma.floor.delete({ where: { id: floorId } });
+    await createAuditLog(req.user.id, 'DELETE', 'FLOOR', floorId, { blockId, floorNumber: floor.floorNumber, name: floor.name });
+
+    res.json({ success: true, message: 'Floor deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
 
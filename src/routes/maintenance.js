@@ -0,0 +1,322 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, authorize } = require('../middleware/auth');
+const maintenanceService = require('../services/maintenanceService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const { TICKET_CATEGORIES, TICKET_PRIORITIES } = maintenanceService;
+
+const TICKET_STATUSES = ['OPEN', 'IN_PROGRESS', 'RESOLVED'];
+
+const USER_SELECT = { id: true, name: true, email: true };
+
+const TICKET_INCLUDE = {
+  room: {
+    select: {
+      id: true,
+      number: true,
+      status: true,
+      block: { select: { id: true, name: true, hostel: { select: { id: true, name: true } } } },
+    },
+  },
+  bed: { select: { id: true, bedNumber: true } },
+  reporter: { select: USER_SELECT },
+  assignee: { select: USER_SELECT },
+};
+
+/**
+ * @swagger
+ * /api/maintenance-tickets:
+ *   post:
+ *     summary: Report a maintenance problem in a room or bed
+ *     description: Students can report problems in the room they live in. Wardens and admins can report any room and set `outOfService`, which puts the room in MAINTENANCE so no one is allocated to it; the occupants to relocate are returned in `affectedOccupants`.
+ *     tags: [Maintenance]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roomId
+ *               - category
+ *               - description
+ *             properties:
+ *               roomId:
+ *                 type: string
+ *               bedId:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [PLUMBING, ELECTRICAL, FURNITURE, CLEANING, PEST_CONTROL, OTHER]
+ *               priority:
+ *                 type: string
+ *                 enum: [LOW, MEDIUM, HIGH, URGENT]
+ *               description:
+ *                 type: string
+ *               outOfService:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Ticket opened
+ */
+router.post(
+  '/',
+  authenticate,
+  [
+    body('roomId').isString().notEmpty().withMessage('Room ID is required'),
+    body('bedId').optional({ values: 'null' }).isString(),
+    body('category').isIn(TICKET_CATEGORIES).withMessage(`Category must be one of: ${TICKET_CATEGORIES.join(', ')}`),
+    body('priority').optional().isIn(TICKET_PRIORITIES).withMessage(`Priority must be one of: ${TICKET_PRIORITIES.join(', ')}`),
+    body('description').trim().notEmpty().isLength({ max: 2000 }).withMessage('Description is required (at most 2000 characters)'),
+    body('outOfService').optional().isBoolean().withMessage('outOfService must be a boolean'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { ticket, affectedOccupants } = await maintenanceService.createTicket(req.user, {
+        ...req.body,
+        outOfService: req.body.outOfService === true || req.body.outOfService === 'true',
+      });
+
+      res.status(201).json({
+        success: true,
+        message: ticket.outOfService ? 'Ticket opened; the room is out of service' : 'Ticket opened',
+        data: ticket,
+        affectedOccupants,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/maintenance-tickets:
+ *   get:
+ *     summary: List maintenance tickets
+ *     description: Students see the tickets they reported; wardens and admins see all, most urgent first.
+ *     tags: [Maintenance]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, IN_PROGRESS, RESOLVED]
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: roomId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ */
+router.get(
+  '/',
+  authenticate,
+  [
+    query('status').optional().isIn(TICKET_STATUSES),
+    query('priority').optional().isIn(TICKET_PRIORITIES),
+    query('roomId').optional().isString(),
+    query('assignedTo').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { status, priority, roomId, assignedTo } = req.query;
+      const where = {
+        ...(status && { status }),
+        ...(priority && { priority }),
+        ...(roomId && { roomId }),
+        ...(assignedTo && { assignedTo }),
+        ...(req.user.role === 'STUDENT' && { reportedBy: req.user.id }),
+      };
+
+      const tickets = await prisma.maintenanceTicket.findMany({
+        where,
+        include: TICKET_INCLUDE,
+        orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }],
+      });
+
+      res.json({ success: true, data: tickets });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/maintenance-tickets/{id}:
+ *   get:
+ *     summary: Get a ticket
+ *     description: For a room out of service, `affectedOccupants` lists the students still allocated to it.
+ *     tags: [Maintenance]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const ticket = await prisma.maintenanceTicket.findUnique({
+      where: { id: req.params.id },
+      include: TICKET_INCLUDE,
+    });
+
+    if (!ticket) {
+      return res.status(404).json({ success: false, message: 'Ticket not found' });
+    }
+
+    if (req.user.role === 'STUDENT' && ticket.reportedBy !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const showOccupants = req.user.role !== 'STUDENT' && ticket.outOfService && ticket.status !== 'RESOLVED';
+
+    res.json({
+      success: true,
+      data: ticket,
+      ...(showOccupants && {
+        affectedOccupants: await maintenanceService.getAffectedOccupants(prisma, ticket.roomId),
+      }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/maintenance-tickets/{id}/assign:
+ *   post:
+ *     summary: Assign a ticket to a warden (Warden/Admin only)
+ *     tags: [Maintenance]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               assigneeId:
+ *                 type: string
+ *                 description: Defaults to the current user
+ */
+router.post(
+  '/:id/assign',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    body('assigneeId').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const ticket = await maintenanceService.assignTicket(req.params.id, req.body.assigneeId || req.user.id, req.user.id);
+
+      res.json({ success: true, message: 'Ticket assigned', data: ticket });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/maintenance-tickets/{id}/out-of-service:
+ *   post:
+ *     summary: Take the ticket's room out of service (Warden/Admin only)
+ *     description: The room goes to MAINTENANCE and is skipped by allocation; `affectedOccupants` lists the students to relocate.
+ *     tags: [Maintenance]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.post('/:id/out-of-service', authenticate, authorize('WARDEN', 'ADMIN'), async (req, res, next) => {
+  try {
+    const { ticket, affectedOccupants } = await maintenanceService.takeOutOfService(req.params.id, req.user.id);
+
+    res.json({ success: true, message: 'Room taken out of service', data: ticket, affectedOccupants });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/maintenance-tickets/{id}/resolve:
+ *   post:
+ *     summary: Resolve a ticket (Warden/Admin only)
+ *     description: If the ticket took the room out of service and no other open ticket does, the room returns to AVAILABLE and its free beds are offered to the waitlist.
+ *     tags: [Maintenance]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resolution
+ *             properties:
+ *               resolution:
+ *                 type: string
+ */
+router.post(
+  '/:id/resolve',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    body('resolution').trim().notEmpty().isLength({ max: 2000 }).withMessage('A resolution note is required (at most 2000 characters)'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { ticket, returnedToService, promotions } = await maintenanceService.resolveTicket(
+        req.params.id,
+        req.user.id,
+        req.body.resolution
+      );
+
+      res.json({
+        success: true,
+        message: returnedToService ? 'Ticket resolved; the room is available again' : 'Ticket resolved',
+        data: ticket,
+        promotions: promotions.map((promotion) => promotion.allocation),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,494 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, authorize } = require('../middleware/auth');
+const { createAuditLog } = require('../middleware/auditLog');
+const allocationEngine = require('../services/allocationEngine');
+const termService = require('../services/termService');
+const { PRIORITY_ORDER } = require('../services/allocationStrategies');
+const { getStorage, buildStorageKey } = require('../utils/storage');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const CLAIM_STATUSES = ['PENDING', 'VERIFIED', 'REJECTED'];
+
+const DOCUMENT_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+const MAX_DOCUMENT_BYTES = parseInt(process.env.PRIORITY_DOCUMENT_MAX_BYTES || String(5 * 1024 * 1024));
+
+// Claims can be opened while the application can still be edited
+const CLAIMABLE_APPLICATION_STATUSES = ['PENDING', 'APPROVED', 'WAITLISTED'];
+
+// Claim statuses each decision may be applied to; a verification can be revoked
+const REVIEWABLE_STATUSES = {
+  APPROVE: ['PENDING'],
+  REJECT: ['PENDING', 'VERIFIED'],
+};
+
+const DOCUMENT_SELECT = { id: true, fileName: true, mimeType: true, size: true, uploadedAt: true };
+
+const CLAIM_INCLUDE = {
+  application: {
+    select: {
+      id: true,
+      termId: true,
+      status: true,
+      priorityCategory: true,
+      student: { select: { id: true, name: true, email: true, universityId: true } },
+    },
+  },
+  documents: { select: DOCUMENT_SELECT, orderBy: { uploadedAt: 'asc' } },
+};
+
+/**
+ * Load a claim the user may see: their own, or any for wardens and admins
+ */
+const findVisibleClaim = async (claimId, user) => {
+  const claim = await prisma.priorityClaim.findUnique({ where: { id: claimId }, include: CLAIM_INCLUDE });
+
+  if (!claim) {
+    const error = new Error('Priority claim not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (user.role === 'STUDENT' && claim.application.student.id !== user.id) {
+    const error = new Error('Access denied');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return claim;
+};
+
+/**
+ * Verify or reject a claim. The application's priority category follows the
+ * decision, and a waitlisted application is re-ranked within its pool.
+ * Returns null if the claim's status no longer allows the decision.
+ */
+const reviewClaim = async (claimId, decision, reviewerId, note = null) => {
+  const reviewed = await prisma.$transaction(async (tx) => {
+    const updated = await tx.priorityClaim.updateMany({
+      where: { id: claimId, status: { in: REVIEWABLE_STATUSES[decision] } },
+      data: {
+        status: decision === 'APPROVE' ? 'VERIFIED' : 'REJECTED',
+        reviewedBy: reviewerId,
+        reviewedAt: new Date(),
+        reviewNote: note,
+      },
+    });
+
+    if (updated.count === 0) {
+      return null;
+    }
+
+    const claim = await tx.priorityClaim.findUnique({ where: { id: claimId } });
+    await tx.application.update({
+      where: { id: claim.applicationId },
+      data: { priorityCategory: decision === 'APPROVE' ? claim.category : null },
+    });
+
+    const entry = await tx.waitlistEntry.findUnique({ where: { applicationId: claim.applicationId } });
+    if (entry) {
+      await allocationEngine.recomputeWaitlistRanks(tx, [{ termId: entry.termId, hostelId: entry.hostelId, roomType: entry.roomType }]);
+    }
+
+    return tx.priorityClaim.findUnique({ where: { id: claimId }, include: CLAIM_INCLUDE });
+  });
+
+  if (reviewed) {
+    await createAuditLog(reviewerId, decision, 'PRIORITY_CLAIM', claimId, {
+      applicationId: reviewed.applicationId,
+      category: reviewed.category,
+      note,
+    });
+  }
+
+  return reviewed;
+};
+
+/**
+ * @swagger
+ * /api/priority-claims:
+ *   post:
+ *     summary: Claim a priority category for an application (Student only)
+ *     description: The category has no effect on allocation until a warden verifies it. A claim can also be opened when submitting the application.
+ *     tags: [Priority Claims]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - applicationId
+ *               - category
+ *             properties:
+ *               applicationId:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [HANDICAPPED, MERIT]
+ *     responses:
+ *       201:
+ *         description: Claim opened; upload supporting documents next
+ *       409:
+ *         description: The application already has a claim or can no longer be changed
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('STUDENT'),
+  [
+    body('applicationId').isString().withMessage('Application ID is required'),
+    body('category').isIn(PRIORITY_ORDER).withMessage(`Category must be one of: ${PRIORITY_ORDER.join(', ')}`),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const application = await prisma.application.findUnique({
+        where: { id: req.body.applicationId },
+        include: { priorityClaim: true },
+      });
+
+      if (!application || application.studentId !== req.user.id) {
+        return res.status(404).json({ success: false, message: 'Application not found' });
+      }
+
+      if (application.priorityClaim) {
+        return res.status(409).json({ success: false, message: 'This application already has a priority claim' });
+      }
+
+      if (!CLAIMABLE_APPLICATION_STATUSES.includes(application.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `A priority claim cannot be added to a ${application.status.toLowerCase()} application`,
+        });
+      }
+
+      const claim = await prisma.priorityClaim.create({
+        data: { applicationId: application.id, category: req.body.category },
+        include: CLAIM_INCLUDE,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Priority claim opened; upload supporting documents for verification',
+        data: claim,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/priority-claims:
+ *   get:
+ *     summary: List priority claims of a term (Warden/Admin only)
+ *     tags: [Priority Claims]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, VERIFIED, REJECTED]
+ *       - in: query
+ *         name: termId
+ *         schema:
+ *           type: string
+ *         description: Defaults to the active term
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    query('status').optional().isIn(CLAIM_STATUSES),
+    query('termId').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const where = {};
+      if (req.query.status) {
+        where.status = req.query.status;
+      }
+      const termId = await termService.resolveTermId(req.query.termId);
+      if (termId) {
+        where.application = { termId };
+      }
+
+      const claims = await prisma.priorityClaim.findMany({
+        where,
+        include: CLAIM_INCLUDE,
+        orderBy: { createdAt: 'asc' },
+      });
+
+      res.json({ success: true, data: claims });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/priority-claims/{id}:
+ *   get:
+ *     summary: Get a priority claim with its documents
+ *     tags: [Priority Claims]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const claim = await findVisibleClaim(req.params.id, req.user);
+
+    res.json({ success: true, data: claim });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/priority-claims/{id}/documents:
+ *   post:
+ *     summary: Attach a supporting document to a pending claim (Student only)
+ *     description: The file is sent base64-encoded. PDF, JPEG and PNG files up to PRIORITY_DOCUMENT_MAX_BYTES (5 MB by default) are accepted.
+ *     tags: [Priority Claims]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileName
+ *               - mimeType
+ *               - content
+ *             properties:
+ *               fileName:
+ *                 type: string
+ *               mimeType:
+ *                 type: string
+ *                 enum: [application/pdf, image/jpeg, image/png]
+ *               content:
+ *                 type: string
+ *                 format: byte
+ *     responses:
+ *       201:
+ *         description: Document stored
+ *       409:
+ *         description: The claim has already been reviewed
+ */
+router.post(
+  '/:id/documents',
+  authenticate,
+  authorize('STUDENT'),
+  [
+    body('fileName').trim().notEmpty().isLength({ max: 255 }).withMessage('File name is required'),
+    body('mimeType').isIn(DOCUMENT_MIME_TYPES).withMessage(`File type must be one of: ${DOCUMENT_MIME_TYPES.join(', ')}`),
+    body('content').isBase64().withMessage('Content must be base64-encoded'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const claim = await findVisibleClaim(req.params.id, req.user);
+
+      if (claim.status !== 'PENDING') {
+        return res.status(409).json({ success: false, message: 'Documents can only be added to a pending claim' });
+      }
+
+      const buffer = Buffer.from(req.body.content, 'base64');
+      if (buffer.length === 0 || buffer.length > MAX_DOCUMENT_BYTES) {
+        return res.status(400).json({
+          success: false,
+          message: `Documents must be between 1 byte and ${MAX_DOCUMENT_BYTES} bytes`,
+        });
+      }
+
+      const storage = getStorage();
+      const storageKey = await storage.save(buildStorageKey(`priority-claims/${claim.id}`, req.body.fileName), buffer);
+
+      let document;
+      try {
+        document = await prisma.priorityDocument.create({
+          data: {
+            claimId: claim.id,
+            fileName: req.body.fileName,
+            mimeType: req.body.mimeType,
+            size: buffer.length,
+            storageKey,
+          },
+          select: DOCUMENT_SELECT,
+        });
+      } catch (error) {
+        await storage.remove(storageKey);
+        throw error;
+      }
+
+      res.status(201).json({ success: true, message: 'Document uploaded', data: document });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/priority-claims/{id}/documents/{documentId}:
+ *   get:
+ *     summary: Download a supporting document
+ *     tags: [Priority Claims]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get('/:id/documents/:documentId', authenticate, async (req, res, next) => {
+  try {
+    const claim = await findVisibleClaim(req.params.id, req.user);
+
+    const document = await prisma.priorityDocument.findFirst({
+      where: { id: req.params.documentId, claimId: claim.id },
+    });
+
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    const buffer = await getStorage().read(document.storageKey);
+
+    res.setHeader('Content-Type', document.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(document.fileName)}"`);
+    res.send(buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/priority-claims/{id}/verify:
+ *   post:
+ *     summary: Verify a pending claim (Warden/Admin only)
+ *     description: The claimed category starts counting for ordering and quotas; a waitlisted application is re-ranked.
+ *     tags: [Priority Claims]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim verified
+ *       409:
+ *         description: Claim not pending, or no supporting documents
+ */
+router.post(
+  '/:id/verify',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const existing = await findVisibleClaim(req.params.id, req.user);
+      if (existing.documents.length === 0) {
+        return res.status(409).json({ success: false, message: 'The claim has no supporting documents' });
+      }
+
+      const claim = await reviewClaim(existing.id, 'APPROVE', req.user.id, req.body.note || null);
+      if (!claim) {
+        return res.status(409).json({ success: false, message: 'Only pending claims can be verified' });
+      }
+
+      res.json({ success: true, message: 'Priority claim verified', data: claim });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/priority-claims/{id}/reject:
+ *   post:
+ *     summary: Reject a claim or revoke a verification (Warden/Admin only)
+ *     description: The application loses its priority category; allocations already made are not changed.
+ *     tags: [Priority Claims]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ */
+router.post(
+  '/:id/reject',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    body('note').trim().notEmpty().withMessage('A note is required to reject a claim')
+      .isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const existing = await findVisibleClaim(req.params.id, req.user);
+
+      const claim = await reviewClaim(existing.id, 'REJECT', req.user.id, req.body.note);
+      if (!claim) {
+        return res.status(409).json({ success: false, message: 'This claim has already been rejected' });
+      }
+
+      res.json({ success: true, message: 'Priority claim rejected', data: claim });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate, authorize } = require('../middleware/auth');
+const termService = require('../services/termService');
+const { ACTIVE_ALLOCATION_STATUSES } = require('../services/offerPolicy');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -10,13 +12,25 @@ const prisma = new PrismaClient();
  * /api/reports/occupancy:
  *   get:
  *     summary: Export occupancy report as CSV (Admin/Warden only)
+ *     description: Lists current occupants and open offers; ended, declined and expired allocations are left out.
  *     tags: [Reports]
  *     security:
  *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: termId
+ *         schema:
+ *           type: string
+ *         description: Defaults to the active term
  */
 router.get('/occupancy', authenticate, authorize('ADMIN', 'WARDEN'), async (req, res, next) => {
   try {
+    const termId = await termService.resolveTermId(req.query.termId);
     const allocations = await prisma.allocation.findMany({
+      where: {
+        status: { in: ACTIVE_ALLOCATION_STATUSES },
+        ...(termId && { termId }),
+      },
       include: {
         student: {
           select: { name: true, email: true, universityId: true },
@@ -37,7 +51,7 @@ router.get('/occupancy', authenticate, authorize('ADMIN', 'WARDEN'), async (req,
     });
 
     // Convert to CSV
-    const csvHeader = 'Hostel,Block,Floor,Room,Bed,Student Name,Email,University ID,Allocated At\n';
+    const csvHeader = 'Hostel,Block,Floor,Room,Bed,Student Name,Email,University ID,Status,Allocated At\n';
     const csvRows = allocations.map((allocation) => {
       const { student, room, bed } = allocation;
       return [
@@ -49,6 +63,7 @@ router.get('/occupancy', authenticate, authorize('ADMIN', 'WARDEN'), async (req,
         student.name,
         student.email,
         student.universityId || '',
+        allocation.status,
         allocation.allocatedAt.toISOString(),
       ].map((field) => `"${String(field).replace(/"/g, '""')}"`).join(',');
     });
@@ -71,16 +86,28 @@ router.get('/occupancy', authenticate, authorize('ADMIN', 'WARDEN'), async (req,
  *     tags: [Reports]
  *     security:
  *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: termId
+ *         schema:
+ *           type: string
+ *         description: Defaults to the active term
  */
 router.get('/applications', authenticate, authorize('ADMIN', 'WARDEN'), async (req, res, next) => {
   try {
+    const termId = await termService.resolveTermId(req.query.termId);
     const applications = await prisma.application.findMany({
+      where: termId ? { termId } : {},
       include: {
         student: {
           select: { name: true, email: true, universityId: true },
         },
         waitlistEntry: true,
+        // Only the current bed; past allocations are history
         allocations: {
+          where: { status: { in: ACTIVE_ALLOCATION_STATUSES } },
+          orderBy: { allocatedAt: 'desc' },
+          take: 1,
           include: {
             room: {
               include: {
@@ -98,7 +125,7 @@ router.get('/applications', authenticate, authorize('ADMIN', 'WARDEN'), async (r
       orderBy: { appliedAt: 'desc' },
     });
 
-    const csvHeader = 'Student Name,Email,University ID,Status,Priority Category,Applied At,Hostel,Room,Bed,Waitlist Rank\n';
+    const csvHeader = 'Student Name,Email,University ID,Status,Priority Category,Late,Applied At,Hostel,Room,Bed,Waitlist Rank\n';
     const csvRows = applications.map((app) => {
       const allocation = app.allocations[0];
       return [
@@ -107,6 +134,7 @@ router.get('/applications', authenticate, authorize('ADMIN', 'WARDEN'), async (r
         app.student.universityId || '',
         app.status,
         app.priorityCategory || '',
+        app.isLate ? 'Yes' : 'No',
         app.appliedAt.toISOString(),
         allocation?.room?.block?.hostel?.name || '',
         allocation?.room?.number || '',
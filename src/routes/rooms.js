@@ -2,11 +2,114 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate, authorize } = require('../middleware/auth');
-const { auditMiddleware } = require('../middleware/auditLog');
+const { auditMiddleware, createAuditLog } = require('../middleware/auditLog');
+const { scoreBed } = require('../services/bedScoring');
+const { getSpaceGender, isGenderCompatible } = require('../services/genderPolicy');
+const allocationEngine = require('../services/allocationEngine');
+const { ACTIVE_ALLOCATION_STATUSES } = require('../services/offerPolicy');
+const termService = require('../services/termService');
+const { notHeld, holdCoversBed, findBlockingHold } = require('../services/holdPolicy');
+const { planCapacityChange } = require('../services/roomCapacity');
+const { countRoomUsage, describeRoomUsage } = require('../services/roomUsage');
+const { OPEN_TICKET_STATUSES } = require('../services/maintenanceService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const ROOM_STATUSES = ['AVAILABLE', 'OCCUPIED', 'MAINTENANCE', 'RESERVED'];
+
+// Room fields whose edits are audited with before/after values
+const EDITABLE_FIELDS = ['number', 'capacity', 'features', 'status'];
+
+const STUDENT_SELECT = { id: true, name: true, email: true, universityId: true };
+
+/**
+ * Whether nobody lives in, is offered or holds a bed (beds loaded with their
+ * allocation and hold statuses)
+ */
+const isVacant = (bed) => (
+  !bed.occupiedBy &&
+  !bed.allocations.some((allocation) => ACTIVE_ALLOCATION_STATUSES.includes(allocation.status)) &&
+  !bed.holds.some((hold) => hold.status === 'ACTIVE')
+);
+
+/**
+ * Why a room cannot be moved to `status` by hand, or null. MAINTENANCE and
+ * RESERVED are entered and left through maintenance tickets and room holds,
+ * so a room is never out of service with nothing open to bring it back.
+ */
+const checkManualStatusChange = async (room, status) => {
+  if (status === room.status) {
+    return null;
+  }
+
+  if (status === 'MAINTENANCE') {
+    return 'Open a maintenance ticket to take a room out of service';
+  }
+  if (status === 'RESERVED') {
+    return 'Place a room hold to reserve a room';
+  }
+
+  if (room.status === 'MAINTENANCE') {
+    const openTickets = await prisma.maintenanceTicket.count({
+      where: { roomId: room.id, outOfService: true, status: { in: OPEN_TICKET_STATUSES } },
+    });
+    if (openTickets > 0) {
+      return 'Resolve the open maintenance tickets to bring the room back into service';
+    }
+  }
+  if (room.status === 'RESERVED') {
+    const activeHolds = await prisma.bedHold.count({ where: { roomId: room.id, bedId: null, status: 'ACTIVE' } });
+    if (activeHolds > 0) {
+      return 'Release the room hold to end the reservation';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Suggest where `count` occupants of a room could move: free, unheld beds in
+ * other available rooms of the same hostel that suit each student's gender
+ */
+const buildRelocationPlan = async (room, count) => {
+  const allocations = await prisma.allocation.findMany({
+    where: { roomId: room.id, status: { in: ACTIVE_ALLOCATION_STATUSES } },
+    include: { student: { select: { ...STUDENT_SELECT, gender: true } }, bed: true },
+  });
+  const movers = allocations
+    .sort((a, b) => b.bed.bedNumber - a.bed.bedNumber)
+    .slice(0, count);
+
+  const freeBeds = await prisma.bed.findMany({
+    where: {
+      occupiedBy: null,
+      ...notHeld(),
+      room: { id: { not: room.id }, status: 'AVAILABLE', block: { hostelId: room.block.hostelId } },
+    },
+    include: { room: { include: { block: { include: { hostel: true } }, floor: true } } },
+    orderBy: [{ room: { number: 'asc' } }, { bedNumber: 'asc' }],
+  });
+
+  const taken = new Set();
+  return movers.map((allocation) => {
+    const target = freeBeds.find((bed) => !taken.has(bed.id) && isGenderCompatible(allocation.student.gender, bed.room));
+    if (target) {
+      taken.add(target.id);
+    }
+
+    const { gender, ...student } = allocation.student;
+    return {
+      allocationId: allocation.id,
+      student,
+      fromBedNumber: allocation.bed.bedNumber,
+      suggestedBed: target
+        ? { id: target.id, bedNumber: target.bedNumber, roomId: target.roomId, roomNumber: target.room.number }
+        : null,
+    };
+  });
+};
+
 /**
  * @swagger
  * /api/rooms:
@@ -171,14 +274,344 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/rooms/{id}:
+ *   patch:
+ *     summary: Update a room (Admin/Warden only)
+ *     description: Raising `capacity` adds beds; lowering it removes free beds that have never been allocated, held or ticketed, so no history is lost. If occupied beds would have to go, nothing changes and a 409 carries a `relocationPlan` suggesting free beds in the same hostel for the occupants who need to move. As with PATCH /api/rooms/{id}/status, MAINTENANCE and RESERVED are left to maintenance tickets and room holds. Changes are audited with before/after values.
+ *     tags: [Rooms]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               number:
+ *                 type: string
+ *               capacity:
+ *                 type: integer
+ *               features:
+ *                 type: object
+ *               status:
+ *                 type: string
+ *                 enum: [AVAILABLE, OCCUPIED, MAINTENANCE, RESERVED]
+ *     responses:
+ *       200:
+ *         description: Room updated; `promotions` lists waitlisted students placed in new or reopened beds
+ *       409:
+ *         description: Occupants must be relocated first, the only removable beds have history, or the status change belongs to a ticket or hold
+ */
+router.patch(
+  '/:id',
+  authenticate,
+  authorize('ADMIN', 'WARDEN'),
+  [
+    body('number').optional().trim().notEmpty().withMessage('Room number cannot be empty'),
+    body('capacity').optional().isInt({ min: 1 }).withMessage('Capacity must be at least 1').toInt(),
+    body('features').optional().isObject().withMessage('Features must be an object'),
+    body('status').optional().isIn(ROOM_STATUSES).withMessage('Invalid room status'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const room = await prisma.room.findUnique({
+        where: { id: req.params.id },
+        include: {
+          block: true,
+          beds: {
+            include: {
+              allocations: { select: { status: true } },
+              holds: { select: { status: true } },
+              maintenanceTickets: { select: { id: true } },
+            },
+          },
+        },
+      });
+
+      if (!room) {
+        return res.status(404).json({ success: false, message: 'Room not found' });
+      }
+
+      const changes = EDITABLE_FIELDS.filter((field) => (
+        req.body[field] !== undefined && JSON.stringify(req.body[field]) !== JSON.stringify(room[field])
+      ));
+
+      if (changes.length === 0) {
+        const { beds, block, ...unchanged } = room;
+        return res.json({ success: true, message: 'Nothing to change', data: unchanged });
+      }
+
+      if (changes.includes('status')) {
+        const refusal = await checkManualStatusChange(room, req.body.status);
+        if (refusal) {
+          return res.status(409).json({ success: false, message: refusal });
+        }
+      }
+
+      // A bed can go only if nobody holds, is offered or lives in it, and
+      // nothing refers to it: deleting a bed cascades to its allocation,
+      // hold and ticket history
+      const plan = changes.includes('capacity')
+        ? planCapacityChange(room.beds, req.body.capacity, (bed) => (
+          isVacant(bed) && bed.allocations.length === 0 && bed.holds.length === 0 && bed.maintenanceTickets.length === 0
+        ))
+        : { addBedNumbers: [], removeBeds: [], relocationsNeeded: 0 };
+
+      if (plan.relocationsNeeded > 0) {
+        const { relocationsNeeded } = planCapacityChange(room.beds, req.body.capacity, isVacant);
+
+        if (relocationsNeeded > 0) {
+          return res.status(409).json({
+            success: false,
+            message: `Lowering the capacity to ${req.body.capacity} needs ${relocationsNeeded} occupant(s) to move out first`,
+            relocationPlan: await buildRelocationPlan(room, relocationsNeeded),
+          });
+        }
+
+        return res.status(409).json({
+          success: false,
+          message: `Lowering the capacity to ${req.body.capacity} would delete ${plan.relocationsNeeded} bed(s) with allocation, hold or maintenance history`,
+        });
+      }
+
+      const data = Object.fromEntries(changes.map((field) => [field, req.body[field]]));
+
+      const { updated, addedBeds } = await prisma.$transaction(async (tx) => {
+        if (plan.removeBeds.length > 0) {
+          // Guard on occupancy in case a bed was taken since the plan was made
+          const removed = await tx.bed.deleteMany({
+            where: {
+              id: { in: plan.removeBeds.map((bed) => bed.id) },
+              occupiedBy: null,
+              allocations: { none: {} },
+              holds: { none: {} },
+              maintenanceTickets: { none: {} },
+            },
+          });
+          if (removed.count !== plan.removeBeds.length) {
+            const error = new Error('Beds changed while updating the room; please try again');
+            error.statusCode = 409;
+            throw error;
+          }
+        }
+
+        const created = [];
+        for (const bedNumber of plan.addBedNumbers) {
+          created.push(await tx.bed.create({ data: { roomId: room.id, bedNumber } }));
+        }
+
+        return {
+          updated: await tx.room.update({ where: { id: room.id }, data }),
+          addedBeds: created,
+        };
+      });
+
+      await createAuditLog(req.user.id, 'UPDATE', 'ROOM', room.id, {
+        before: Object.fromEntries(changes.map((field) => [field, room[field]])),
+        after: data,
+        ...(plan.addBedNumbers.length > 0 && { addedBedNumbers: plan.addBedNumbers }),
+        ...(plan.removeBeds.length > 0 && { removedBedNumbers: plan.removeBeds.map((bed) => bed.bedNumber) }),
+      });
+
+      // New beds, or a room coming back into service, go to the waitlist first
+      let promotions = [];
+      if (updated.status === 'AVAILABLE') {
+        const freedBedIds = room.status !== 'AVAILABLE'
+          ? [...room.beds.filter((bed) => !bed.occupiedBy && !plan.removeBeds.includes(bed)), ...addedBeds].map((bed) => bed.id)
+          : addedBeds.map((bed) => bed.id);
+
+        if (freedBedIds.length > 0) {
+          promotions = await allocationEngine.promoteFromWaitlist(freedBedIds, req.user.id);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'Room updated',
+        data: updated,
+        promotions: promotions.map((promotion) => promotion.allocation),
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(400).json({ success: false, message: 'A room with this number already exists on this floor' });
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rooms/{id}:
+ *   delete:
+ *     summary: Delete a room and its beds (Admin only)
+ *     description: Refused while anyone is offered or allocated a bed in the room, and whenever past allocations, transfer requests or maintenance tickets refer to it, since those would be deleted with it.
+ *     tags: [Rooms]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Room deleted
+ *       409:
+ *         description: The room is in use; `usage` has the counts and `occupants` lists active allocations
+ */
+router.delete('/:id', authenticate, authorize('ADMIN'), async (req, res, next) => {
+  try {
+    const room = await prisma.room.findUnique({
+      where: { id: req.params.id },
+      include: { beds: true },
+    });
+
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+
+    const usage = await countRoomUsage(prisma, { id: room.id });
+    const inUse = describeRoomUsage('room', usage);
+
+    if (inUse) {
+      const activeAllocations = await prisma.allocation.findMany({
+        where: { roomId: room.id, status: { in: ACTIVE_ALLOCATION_STATUSES } },
+        include: { student: { select: STUDENT_SELECT }, bed: { select: { bedNumber: true } } },
+      });
+
+      return res.status(409).json({
+        success: false,
+        message: inUse,
+        usage,
+        occupants: activeAllocations.map((allocation) => ({
+          allocationId: allocation.id,
+          status: allocation.status,
+          bedNumber: allocation.bed.bedNumber,
+          student: allocation.student,
+        })),
+      });
+    }
+
+    await prisma.room.delete({ where: { id: room.id } });
+
+    await createAuditLog(req.user.id, 'DELETE', 'ROOM', room.id, {
+      blockId: room.blockId,
+      floorId: room.floorId,
+      number: room.number,
+      capacity: room.capacity,
+      features: room.features,
+      status: room.status,
+    });
+
+    res.json({ success: true, message: 'Room deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/rooms/{id}/status:
+ *   patch:
+ *     summary: Change a room's status (Warden/Admin only)
+ *     description: When a room becomes AVAILABLE again, its free beds are offered to the waitlist. Rooms go into and out of MAINTENANCE through maintenance tickets, and into and out of RESERVED through room holds; those changes are refused here while a ticket or hold is open.
+ *     tags: [Rooms]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [AVAILABLE, OCCUPIED, MAINTENANCE, RESERVED]
+ *     responses:
+ *       200:
+ *         description: Status updated; `promotions` lists waitlisted students placed in the room
+ *       409:
+ *         description: The change belongs to a maintenance ticket or room hold
+ */
+router.patch(
+  '/:id/status',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    body('status').isIn(ROOM_STATUSES).withMessage('Invalid room status'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const room = await prisma.room.findUnique({
+        where: { id: req.params.id },
+        include: { beds: true },
+      });
+
+      if (!room) {
+        return res.status(404).json({ success: false, message: 'Room not found' });
+      }
+
+      const { status } = req.body;
+
+      const refusal = await checkManualStatusChange(room, status);
+      if (refusal) {
+        return res.status(409).json({ success: false, message: refusal });
+      }
+
+      const updated = await prisma.room.update({
+        where: { id: room.id },
+        data: { status },
+      });
+
+      await createAuditLog(req.user.id, 'UPDATE', 'ROOM', room.id, {
+        before: { status: room.status },
+        after: { status },
+      });
+
+      // Beds coming back into service go to the waitlist first
+      let promotions = [];
+      if (status === 'AVAILABLE' && room.status !== 'AVAILABLE') {
+        promotions = await allocationEngine.promoteFromWaitlist(
+          room.beds.filter((bed) => !bed.occupiedBy).map((bed) => bed.id),
+          req.user.id
+        );
+      }
+
+      res.json({
+        success: true,
+        data: updated,
+        promotions: promotions.map((promotion) => promotion.allocation),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/rooms/{id}/assign:
  *   post:
  *     summary: Manually assign a student to a room (Warden/Admin only)
+ *     description: Held beds (see /api/bed-holds) can only be assigned to students the hold was placed for; assigning a held bed fulfils its hold.
  *     tags: [Rooms]
  *     security:
  *       - cookieAuth: []
+ *     responses:
+ *       201:
+ *         description: Student assigned; `warnings` lists any confirmed roommate pairs this splits
  */
 router.post(
   '/:id/assign',
@@ -201,13 +634,25 @@ router.post(
       // Check if room exists
       const room = await prisma.room.findUnique({
         where: { id: roomId },
-        include: { beds: true },
+        include: {
+          beds: true,
+          block: {
+            include: {
+              hostel: true,
+            },
+          },
+          floor: true,
+        },
       });
 
       if (!room) {
         return res.status(404).json({ success: false, message: 'Room not found' });
       }
 
+      if (room.status === 'MAINTENANCE') {
+        return res.status(409).json({ success: false, message: 'This room is out of service for maintenance' });
+      }
+
       // Check if student exists
       const student = await prisma.user.findUnique({
         where: { id: studentId },
@@ -221,15 +666,33 @@ router.post(
         return res.status(400).json({ success: false, message: 'User is not a student' });
       }
 
-      // Check if student already has an allocation
+      // Single-gender hostels, blocks and floors only take students of that gender
+      if (!isGenderCompatible(student.gender, room)) {
+        return res.status(400).json({
+          success: false,
+          message: student.gender
+            ? `This room is reserved for ${getSpaceGender(room)} students`
+            : 'Student gender must be set before assigning a single-gender room',
+        });
+      }
+
+      // Manual assignments belong to the active term
+      const term = await termService.requireActiveTerm();
+
+      // Check if student already has an allocation this term
       const existingAllocation = await prisma.allocation.findFirst({
-        where: { studentId },
+        where: { studentId, termId: term.id, status: { in: ACTIVE_ALLOCATION_STATUSES } },
       });
 
       if (existingAllocation) {
         return res.status(400).json({ success: false, message: 'Student already has an allocation' });
       }
 
+      // Held beds are kept for the students they were held for
+      const holds = await prisma.bedHold.findMany({
+        where: { roomId, status: 'ACTIVE', expiresAt: { gt: new Date() } },
+      });
+
       // Find available bed
       let bed;
       if (bedNumber) {
@@ -237,13 +700,35 @@ router.post(
         if (!bed) {
           return res.status(400).json({ success: false, message: 'Specified bed is not available' });
         }
+
+        const blockingHold = findBlockingHold(holds, bed, student);
+        if (blockingHold) {
+          return res.status(409).json({
+            success: false,
+            message: `This bed is held for ${blockingHold.purpose} until ${blockingHold.expiresAt.toISOString()}`,
+          });
+        }
       } else {
-        bed = room.beds.find(b => !b.occupiedBy);
+        const usableBeds = room.beds.filter(b => !b.occupiedBy && !findBlockingHold(holds, b, student));
+        // A student a hold was placed for takes a held bed first
+        bed = usableBeds.find(b => holds.some((hold) => holdCoversBed(hold, b))) || usableBeds[0];
         if (!bed) {
-          return res.status(400).json({ success: false, message: 'No available beds in this room' });
+          return res.status(400).json({
+            success: false,
+            message: room.beds.some(b => !b.occupiedBy)
+              ? 'The free beds in this room are held for other students'
+              : 'No available beds in this room',
+          });
         }
       }
 
+      // Warn when this placement separates the student from a confirmed (mutual) roommate
+      const freeBedsAfter = room.beds.filter((b) => !b.occupiedBy).length - 1;
+      const roommates = await allocationEngine.getConfirmedRoommates(studentId, term.id);
+      const warnings = roommates
+        .filter((roommate) => (roommate.roomId ? roommate.roomId !== roomId : freeBedsAfter < 1))
+        .map((roommate) => `This assignment splits a confirmed roommate pair with ${roommate.name} (${roommate.universityId})`);
+
       // Create allocation using transaction
       const result = await prisma.$transaction(async (tx) => {
         // Lock the bed
@@ -261,15 +746,28 @@ router.post(
           data: { occupiedBy: studentId },
         });
 
-        // Create or update application
-        let application = await tx.application.findFirst({
-          where: { studentId, status: { in: ['PENDING', 'WAITLISTED'] } },
+        // A bed-level hold has served its purpose once its bed is assigned
+        await tx.bedHold.updateMany({
+          where: { bedId: bed.id, status: 'ACTIVE' },
+          data: { status: 'FULFILLED', releasedAt: new Date(), releasedBy: req.user.id },
         });
 
+        // Create or update the student's application for the term (one per term)
+        let application = await tx.application.findUnique({
+          where: { studentId_termId: { studentId, termId: term.id } },
+        });
+
+        if (application && ['IN_PROGRESS', 'OFFERED'].includes(application.status)) {
+          const error = new Error('The student\'s application is being placed by an allocation run');
+          error.statusCode = 409;
+          throw error;
+        }
+
         if (!application) {
           application = await tx.application.create({
             data: {
               studentId,
+              termId: term.id,
               preferences: {},
               status: 'ALLOCATED',
             },
@@ -279,16 +777,29 @@ router.post(
             where: { id: application.id },
             data: { status: 'ALLOCATED' },
           });
+
+          // Leaving the waitlist moves everyone behind the student up
+          const entry = await tx.waitlistEntry.findUnique({ where: { applicationId: application.id } });
+          if (entry) {
+            await tx.waitlistEntry.delete({ where: { id: entry.id } });
+            await allocationEngine.recomputeWaitlistRanks(tx, [{ termId: entry.termId, hostelId: entry.hostelId, roomType: entry.roomType }]);
+          }
         }
 
+        // Record how well the warden's choice matches the student's preferences
+        const { score, satisfied } = scoreBed({ ...bed, room }, application.preferences);
+
         // Create allocation record
         const allocation = await tx.allocation.create({
           data: {
             applicationId: application.id,
             studentId,
+            termId: term.id,
             roomId,
             bedId: bed.id,
             allocatedBy: req.user.id,
+            matchScore: score,
+            matchDetails: satisfied,
           },
         });
 
@@ -299,7 +810,13 @@ router.post(
             action: 'ALLOCATE',
             targetType: 'ALLOCATION',
             targetId: allocation.id,
-            details: { manual: true, roomId, bedId: bed.id },
+            details: {
+              manual: true,
+              roomId,
+              bedId: bed.id,
+              holdIds: holds.filter((hold) => holdCoversBed(hold, bed)).map((hold) => hold.id),
+              warnings,
+            },
           },
         });
 
@@ -310,6 +827,7 @@ router.post(
         success: true,
         message: 'Student assigned successfully',
         data: result.allocation,
+        warnings,
       });
     } catch (error) {
       next(error);
@@ -0,0 +1,159 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, authorize } = require('../middleware/auth');
+const { createAuditLog } = require('../middleware/auditLog');
+const termService = require('../services/termService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * @swagger
+ * /api/terms:
+ *   get:
+ *     summary: List academic terms, newest first
+ *     tags: [Terms]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const terms = await prisma.term.findMany({ orderBy: { startsAt: 'desc' } });
+
+    res.json({ success: true, data: terms });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/terms/active:
+ *   get:
+ *     summary: Get the active academic term
+ *     tags: [Terms]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get('/active', authenticate, async (req, res, next) => {
+  try {
+    const term = await termService.getActiveTerm();
+
+    res.json({ success: true, data: term });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/terms:
+ *   post:
+ *     summary: Create an academic term (Admin only)
+ *     tags: [Terms]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - startsAt
+ *               - endsAt
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 2026-27 Odd Semester
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               activate:
+ *                 type: boolean
+ *                 description: Make this the active term straight away
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('ADMIN'),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('startsAt').isISO8601().withMessage('Start date must be an ISO 8601 date'),
+    body('endsAt').isISO8601().withMessage('End date must be an ISO 8601 date')
+      .custom((endsAt, { req }) => new Date(endsAt) > new Date(req.body.startsAt))
+      .withMessage('End date must be after the start date'),
+    body('activate').optional().isBoolean().withMessage('activate must be a boolean'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { name, startsAt, endsAt } = req.body;
+
+      const existing = await prisma.term.findUnique({ where: { name } });
+      if (existing) {
+        return res.status(409).json({ success: false, message: 'A term with this name already exists' });
+      }
+
+      let term = await prisma.term.create({
+        data: {
+          name,
+          startsAt: new Date(startsAt),
+          endsAt: new Date(endsAt),
+        },
+      });
+
+      if (req.body.activate === true || req.body.activate === 'true') {
+        term = await termService.activateTerm(term.id);
+      }
+
+      await createAuditLog(req.user.id, 'CREATE', 'TERM', term.id, { name, startsAt, endsAt, isActive: term.isActive });
+
+      res.status(201).json({ success: true, data: term });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/terms/{id}/activate:
+ *   post:
+ *     summary: Make a term the active one (Admin only)
+ *     description: New applications, allocation runs and default listings switch to this term.
+ *     tags: [Terms]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.post('/:id/activate', authenticate, authorize('ADMIN'), async (req, res, next) => {
+  try {
+    const term = await prisma.term.findUnique({ where: { id: req.params.id } });
+    if (!term) {
+      return res.status(404).json({ success: false, message: 'Term not found' });
+    }
+
+    const previous = await termService.getActiveTerm();
+    const activated = await termService.activateTerm(term.id);
+
+    await createAuditLog(req.user.id, 'UPDATE', 'TERM', term.id, {
+      action: 'activate',
+      previousTermId: previous ? previous.id : null,
+    });
+
+    res.json({ success: true, message: `${activated.name} is now the active term`, data: activated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,310 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, authorize } = require('../middleware/auth');
+const transferService = require('../services/transferService');
+const termService = require('../services/termService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const TRANSFER_STATUSES = ['PENDING_CONSENT', 'PENDING_APPROVAL', 'APPROVED', 'REJECTED', 'DECLINED', 'CANCELLED'];
+
+const STUDENT_SELECT = { id: true, name: true, email: true, universityId: true };
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   post:
+ *     summary: Request a room transfer or propose a swap (Student only)
+ *     description: MOVE requests go to the wardens; SWAP requests first need the other student's consent.
+ *     tags: [Transfers]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [MOVE, SWAP]
+ *               targetRoomId:
+ *                 type: string
+ *                 description: MOVE to this room
+ *               targetHostelId:
+ *                 type: string
+ *                 description: MOVE to any free bed in this hostel
+ *               swapWithUniversityId:
+ *                 type: string
+ *                 description: SWAP with this student
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Transfer request created
+ *       409:
+ *         description: An open transfer request already exists
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('STUDENT'),
+  [
+    body('type').isIn(['MOVE', 'SWAP']).withMessage('Type must be MOVE or SWAP'),
+    body('targetRoomId').optional().isString().withMessage('Target room must be a string'),
+    body('targetHostelId').optional().isString().withMessage('Target hostel must be a string'),
+    body('swapWithUniversityId').optional().isString().withMessage('University ID must be a string'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const request = await transferService.createTransferRequest(req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: request.type === 'SWAP'
+          ? 'Swap proposed; waiting for the other student to consent'
+          : 'Transfer request submitted',
+        data: request,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   get:
+ *     summary: List transfer requests
+ *     description: Students see requests they made or were asked to swap in; wardens and admins see all. Only requests for allocations of one term (the active term by default) are listed.
+ *     tags: [Transfers]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: termId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING_CONSENT, PENDING_APPROVAL, APPROVED, REJECTED, DECLINED, CANCELLED]
+ */
+router.get(
+  '/',
+  authenticate,
+  [
+    query('status').optional().isIn(TRANSFER_STATUSES),
+    query('termId').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const where = {};
+      if (req.query.status) {
+        where.status = req.query.status;
+      }
+      const termId = await termService.resolveTermId(req.query.termId);
+      if (termId) {
+        where.allocation = { termId };
+      }
+      if (req.user.role === 'STUDENT') {
+        where.OR = [{ requesterId: req.user.id }, { counterpartId: req.user.id }];
+      }
+
+      const requests = await prisma.transferRequest.findMany({
+        where,
+        include: {
+          requester: { select: STUDENT_SELECT },
+          counterpart: { select: STUDENT_SELECT },
+          allocation: { include: { room: true, bed: true } },
+          swapAllocation: { include: { room: true, bed: true } },
+          targetRoom: true,
+          targetHostel: { select: { id: true, name: true } },
+        },
+        orderBy: { createdAt: 'desc' },
+      });
+
+      res.json({ success: true, data: requests });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/transfers/{id}/consent:
+ *   post:
+ *     summary: Accept or decline a proposed swap (the other student only)
+ *     tags: [Transfers]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accept
+ *             properties:
+ *               accept:
+ *                 type: boolean
+ */
+router.post(
+  '/:id/consent',
+  authenticate,
+  authorize('STUDENT'),
+  [
+    body('accept').isBoolean().withMessage('accept must be a boolean'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const accept = req.body.accept === true || req.body.accept === 'true';
+      const request = await transferService.respondToSwap(req.params.id, req.user.id, accept);
+
+      res.json({
+        success: true,
+        message: accept ? 'Swap accepted; waiting for warden approval' : 'Swap declined',
+        data: request,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/transfers/{id}/cancel:
+ *   post:
+ *     summary: Cancel an open transfer request (requester only)
+ *     tags: [Transfers]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.post('/:id/cancel', authenticate, authorize('STUDENT'), async (req, res, next) => {
+  try {
+    const request = await transferService.cancelTransferRequest(req.params.id, req.user.id);
+
+    res.json({ success: true, message: 'Transfer request cancelled', data: request });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/transfers/{id}/approve:
+ *   post:
+ *     summary: Approve a transfer request and move the students (Warden/Admin only)
+ *     description: Beds and allocation history are updated in one locked transaction; a bed freed by a move is offered to the waitlist.
+ *     tags: [Transfers]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transfer carried out
+ *       409:
+ *         description: Request not awaiting approval, allocation changed, or no free bed
+ */
+router.post(
+  '/:id/approve',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { request, promotions } = await transferService.approveTransferRequest(req.params.id, req.user.id, req.body.note || null);
+
+      res.json({
+        success: true,
+        message: 'Transfer approved',
+        data: request,
+        promotions: promotions.map((promotion) => promotion.allocation),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/transfers/{id}/reject:
+ *   post:
+ *     summary: Reject a transfer request (Warden/Admin only)
+ *     tags: [Transfers]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ */
+router.post(
+  '/:id/reject',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const request = await transferService.rejectTransferRequest(req.params.id, req.user.id, req.body.note || null);
+
+      res.json({ success: true, message: 'Transfer request rejected', data: request });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
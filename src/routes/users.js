@@ -4,6 +4,9 @@ const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate, authorize } = require('../middleware/auth');
 const { auditMiddleware, createAuditLog } = require('../middleware/auditLog');
+const { STUDENT_GENDERS, getSpaceGender, isGenderCompatible } = require('../services/genderPolicy');
+const allocationEngine = require('../services/allocationEngine');
+const { ACTIVE_ALLOCATION_STATUSES } = require('../services/offerPolicy');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -39,6 +42,9 @@ const prisma = new PrismaClient();
  *                 enum: [STUDENT, WARDEN, ADMIN]
  *               universityId:
  *                 type: string
+ *               gender:
+ *                 type: string
+ *                 enum: [MALE, FEMALE]
  */
 router.post(
   '/',
@@ -51,6 +57,7 @@ router.post(
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
     body('role').isIn(['STUDENT', 'WARDEN', 'ADMIN']).withMessage('Role must be STUDENT, WARDEN, or ADMIN'),
     body('universityId').optional().trim(),
+    body('gender').optional().isIn(STUDENT_GENDERS).withMessage('Gender must be MALE or FEMALE'),
   ],
   async (req, res, next) => {
     try {
@@ -59,7 +66,7 @@ router.post(
         return res.status(400).json({ success: false, errors: errors.array() });
       }
 
-      const { name, email, password, role, universityId } = req.body;
+      const { name, email, password, role, universityId, gender } = req.body;
 
       // Check if user exists
       const existingUser = await prisma.user.findUnique({ where: { email } });
@@ -78,8 +85,9 @@ router.post(
           passwordHash,
           role,
           universityId: universityId || null,
+          gender: gender || null,
         },
-        select: { id: true, name: true, email: true, role: true, universityId: true },
+        select: { id: true, name: true, email: true, role: true, universityId: true, gender: true },
       });
 
       res.status(201).json({
@@ -119,6 +127,7 @@ router.get('/', authenticate, authorize('ADMIN', 'WARDEN'), async (req, res, nex
         email: true,
         role: true,
         universityId: true,
+        gender: true,
         createdAt: true,
       },
       orderBy: { createdAt: 'desc' },
@@ -193,6 +202,86 @@ router.patch(
   }
 );
 
+/**
+ * @swagger
+ * /api/users/{id}/gender:
+ *   patch:
+ *     summary: Correct a user's gender (Admin only)
+ *     description: Refused while the user is offered or allocated a bed in a space reserved for another gender; relocate them first.
+ *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               gender:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [MALE, FEMALE]
+ */
+router.patch(
+  '/:id/gender',
+  authenticate,
+  authorize('ADMIN'),
+  [
+    body('gender').optional({ values: 'null' }).isIn(STUDENT_GENDERS).withMessage('Gender must be MALE, FEMALE or null'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const gender = req.body.gender || null;
+
+      const user = await prisma.user.findUnique({ where: { id } });
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      const allocations = await prisma.allocation.findMany({
+        where: { studentId: id, status: { in: ACTIVE_ALLOCATION_STATUSES } },
+        include: { room: { include: { block: { include: { hostel: true } }, floor: true } } },
+      });
+      const conflicting = allocations.filter((allocation) => !isGenderCompatible(gender, allocation.room));
+
+      if (conflicting.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `The user is placed in a room reserved for ${getSpaceGender(conflicting[0].room).toLowerCase()} students; relocate them first`,
+          allocationIds: conflicting.map((allocation) => allocation.id),
+        });
+      }
+
+      const updatedUser = await prisma.user.update({
+        where: { id },
+        data: { gender },
+        select: { id: true, name: true, email: true, role: true, gender: true },
+      });
+
+      await createAuditLog(req.user.id, 'UPDATE', 'USER', id, {
+        action: 'gender_change',
+        oldGender: user.gender,
+        newGender: gender,
+      });
+
+      res.json({
+        success: true,
+        message: 'User gender updated successfully',
+        data: updatedUser,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -212,6 +301,7 @@ router.get('/:id', authenticate, authorize('ADMIN'), async (req, res, next) => {
         email: true,
         role: true,
         universityId: true,
+        gender: true,
         createdAt: true,
         updatedAt: true,
       },
@@ -232,6 +322,7 @@ router.get('/:id', authenticate, authorize('ADMIN'), async (req, res, next) => {
  * /api/users/{id}:
  *   delete:
  *     summary: Delete user (Admin only)
+ *     description: Beds the user occupied are offered to the waitlist; `promotions` lists the resulting allocations.
  *     tags: [Users]
  *     security:
  *       - cookieAuth: []
@@ -258,11 +349,23 @@ router.delete(
         return res.status(404).json({ success: false, message: 'User not found' });
       }
 
+      // Beds the user occupies are released on delete and offered to the waitlist
+      const freedBeds = await prisma.bed.findMany({
+        where: { occupiedBy: id },
+        select: { id: true },
+      });
+
       await prisma.user.delete({ where: { id } });
 
+      const promotions = await allocationEngine.promoteFromWaitlist(
+        freedBeds.map((bed) => bed.id),
+        req.user.id
+      );
+
       res.json({
         success: true,
         message: 'User deleted successfully',
+        promotions: promotions.map((promotion) => promotion.allocation),
       });
     } catch (error) {
       next(error);
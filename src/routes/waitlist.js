@@ -0,0 +1,89 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, authorize } = require('../middleware/auth');
+const allocationEngine = require('../services/allocationEngine');
+const termService = require('../services/termService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * @swagger
+ * /api/waitlist:
+ *   get:
+ *     summary: Waitlist in live rank order, grouped by hostel/room type pool (Warden/Admin only)
+ *     tags: [Waitlist]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: termId
+ *         schema:
+ *           type: string
+ *         description: Defaults to the active term
+ *       - in: query
+ *         name: hostelId
+ *         schema:
+ *           type: string
+ *         description: First-choice hostel of the pool; "any" for applicants without one
+ *       - in: query
+ *         name: roomType
+ *         schema:
+ *           type: string
+ *         description: Room type of the pool; "any" for applicants without one
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize('WARDEN', 'ADMIN'),
+  [
+    query('termId').optional().isString(),
+    query('hostelId').optional().isString(),
+    query('roomType').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const toFilter = (value) => (value === 'any' ? null : value);
+      const pools = await allocationEngine.getWaitlistPools({
+        termId: await termService.resolveTermId(req.query.termId),
+        hostelId: toFilter(req.query.hostelId),
+        roomType: toFilter(req.query.roomType),
+      });
+
+      const hostels = await prisma.hostel.findMany({
+        where: { id: { in: pools.map((pool) => pool.hostelId).filter(Boolean) } },
+        select: { id: true, name: true },
+      });
+      const hostelNames = new Map(hostels.map((hostel) => [hostel.id, hostel.name]));
+
+      res.json({
+        success: true,
+        data: pools.map((pool) => ({
+          termId: pool.termId,
+          hostelId: pool.hostelId,
+          hostelName: pool.hostelId ? hostelNames.get(pool.hostelId) || null : null,
+          roomType: pool.roomType,
+          size: pool.entries.length,
+          entries: pool.entries.map((entry) => ({
+            position: entry.position,
+            applicationId: entry.applicationId,
+            student: entry.application.student,
+            priorityCategory: entry.application.priorityCategory,
+            appliedAt: entry.application.appliedAt,
+            decisionTrace: entry.application.decisionTrace,
+          })),
+        })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -12,7 +12,15 @@ const roomRoutes = require('./routes/rooms');
 const applicationRoutes = require('./routes/applications');
 const allocationRoutes = require('./routes/allocations');
 const reportRoutes = require('./routes/reports');
+const waitlistRoutes = require('./routes/waitlist');
+const transferRoutes = require('./routes/transfers');
+const termRoutes = require('./routes/terms');
+const applicationWindowRoutes = require('./routes/applicationWindows');
+const priorityClaimRoutes = require('./routes/priorityClaims');
+const bedHoldRoutes = require('./routes/bedHolds');
+const maintenanceRoutes = require('./routes/maintenance');
 const { errorHandler } = require('./middleware/errorHandler');
+const expiryJobs = require('./services/expiryJobs');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -71,6 +79,8 @@ app.use(cors({
 }));
 
 // Middleware
+// Priority claim documents arrive base64-encoded, so that body limit is larger
+app.use('/api/priority-claims', express.json({ limit: process.env.PRIORITY_DOCUMENT_BODY_LIMIT || '8mb' }));
 app.use(express.json());
 app.use(cookieParser());
 
@@ -90,10 +100,30 @@ app.use('/api/rooms', roomRoutes);
 app.use('/api/applications', applicationRoutes);
 app.use('/api/allocate', allocationRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/terms', termRoutes);
+app.use('/api/application-windows', applicationWindowRoutes);
+app.use('/api/priority-claims', priorityClaimRoutes);
+app.use('/api/bed-holds', bedHoldRoutes);
+app.use('/api/maintenance-tickets', maintenanceRoutes);
 
 // Error handling
 app.use(errorHandler);
 
+// Offers and bed holds must expire in every deployment, so this does not wait for Redis.
+// Without a valid system user to audit it under, expiry is skipped and the API still starts.
+if (process.env.NODE_ENV !== 'test') {
+  expiryJobs.resolveSystemUserId()
+    .then((systemUserId) => {
+      expiryJobs.scheduleExpiryJobs(systemUserId);
+      console.log('Offer and bed hold expiry scheduled');
+    })
+    .catch((error) => {
+      console.error(`Offer and bed hold expiry not scheduled: ${error.message}`);
+    });
+}
+
 // Optionally initialize allocation worker (if Redis is configured)
 if (process.env.REDIS_HOST && process.env.ENABLE_SCHEDULED_ALLOCATION === 'true') {
   try {
@@ -1,298 +1,1708 @@
-const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { createAuditLog } = require('../middleware/auditLog');
-const { sendAllocationNotification, sendWaitlistNotification } = require('../utils/email');
+const {
+  sendAllocationNotification,
+  sendWaitlistNotification,
+  sendRoommateRequestNotification,
+} = require('../utils/email');
+const {
+  PRIORITY_QUOTAS,
+  resolveQuotaPolicy,
+  computeQuotaState,
+  canUseHostel,
+} = require('./quotaPolicy');
+const { getCandidateHostels, rankCandidateBeds, rankCandidateRooms } = require('./bedScoring');
+const { isGenderCompatible } = require('./genderPolicy');
+const { notHeld, NOT_HELD_SQL } = require('./holdPolicy');
+const {
+  normalizeUniversityId,
+  getRequestedRoommates,
+  buildRoommateGroups,
+  getUnnotifiedRoommates,
+} = require('./roommateGroups');
+const { planAllocation } = require('./allocationPlanner');
+const { DEFAULT_STRATEGY, orderApplications } = require('./allocationStrategies');
+const { explainNoPlacement, lockContentionTrace, errorTrace } = require('./decisionTrace');
+const { getWaitlistPool, compareWaitlist, rankWaitlist } = require('./waitlistRanking');
+const { ACTIVE_ALLOCATION_STATUSES, getOfferExpiry, isOfferExpired } = require('./offerPolicy');
+const { getActiveTerm, requireActiveTerm } = require('./termService');
 
 const prisma = new PrismaClient();
 
-// Priority categories and their quotas (configurable)
-const PRIORITY_QUOTAS = {
-  HANDICAPPED: 0.1, // 10% reserved
-  MERIT: 0.2, // 20% reserved
+// Key of the transaction-scoped advisory lock that serialises run starts
+const RUN_LOCK_KEY = 72100901;
+
+// How often a live run refreshes its heartbeat, and when a silent run counts as crashed
+const RUN_HEARTBEAT_MS = 30000;
+const RUN_STALE_AFTER_MS = parseInt(process.env.ALLOCATION_RUN_STALE_MS || '600000');
+
+// SEQUENTIAL places one application per transaction; PLANNED computes the whole
+// assignment in memory and commits it in chunks
+const RUN_MODES = ['SEQUENTIAL', 'PLANNED'];
+const DEFAULT_RUN_MODE = 'SEQUENTIAL';
+
+// Placements committed per transaction in PLANNED mode
+const PLAN_CHUNK_SIZE = parseInt(process.env.ALLOCATION_CHUNK_SIZE || '250');
+
+/**
+ * Quota settings for a run; `policy` may override the configured defaults
+ */
+const resolveRunQuotaPolicy = (policy = {}) => {
+  return resolveQuotaPolicy({
+    quotas: policy.quotas ? { ...PRIORITY_QUOTAS, ...policy.quotas } : undefined,
+    releaseDate: policy.quotaReleaseDate ? new Date(policy.quotaReleaseDate) : undefined,
+  });
+};
+
+/**
+ * Get the approved and waitlisted applications of a term; the run's strategy
+ * decides the final order
+ */
+const fetchEligibleApplications = async (termId) => {
+  return prisma.application.findMany({
+    where: {
+      termId,
+      status: { in: ['APPROVED', 'WAITLISTED'] },
+    },
+    include: {
+      student: true,
+    },
+    orderBy: { appliedAt: 'asc' },
+  });
+};
+
+// Free beds per hostel, used as hostel capacity by the stable matching strategy
+const getHostelCapacity = (quotaStates) => {
+  return new Map([...quotaStates.entries()].map(([hostelId, state]) => [hostelId, state.freeBeds]));
+};
+
+/**
+ * Put applications left IN_PROGRESS by a crashed run back where they were:
+ * WAITLISTED if they still have a waitlist entry, otherwise APPROVED
+ */
+const recoverAbandonedRuns = async (tx) => {
+  const runs = await tx.allocationRun.updateMany({
+    where: { status: 'RUNNING' },
+    data: {
+      status: 'FAILED',
+      finishedAt: new Date(),
+      error: 'Run abandoned: no heartbeat',
+    },
+  });
+
+  const waitlisted = await tx.application.updateMany({
+    where: { status: 'IN_PROGRESS', waitlistEntry: { isNot: null } },
+    data: { status: 'WAITLISTED' },
+  });
+
+  const approved = await tx.application.updateMany({
+    where: { status: 'IN_PROGRESS' },
+    data: { status: 'APPROVED' },
+  });
+
+  return {
+    runs: runs.count,
+    applications: waitlisted.count + approved.count,
+  };
+};
+
+/**
+ * The RUNNING run whose heartbeat is still fresh, if any
+ */
+const findActiveRun = async (client) => {
+  const run = await client.allocationRun.findFirst({
+    where: { status: 'RUNNING' },
+    orderBy: { startedAt: 'desc' },
+  });
+
+  if (!run || Date.now() - (run.heartbeatAt || run.startedAt).getTime() >= RUN_STALE_AFTER_MS) {
+    return null;
+  }
+
+  return run;
+};
+
+/**
+ * Claim the single allocation slot and create the run record.
+ *
+ * Run starts are serialised with an advisory lock; the RUNNING run row then
+ * acts as a lease for as long as its heartbeat is fresh. Throws a 409 while
+ * another run holds the lease.
+ */
+const startRun = async (allocatedBy, options) => {
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRawUnsafe('SELECT pg_advisory_xact_lock($1)', RUN_LOCK_KEY);
+
+    const active = await findActiveRun(tx);
+    if (active) {
+      const error = new Error(`Allocation run ${active.id} is already in progress`);
+      error.statusCode = 409;
+      error.runId = active.id;
+      throw error;
+    }
+
+    // No live run holds the lease, so anything still in flight was abandoned
+    const recovered = await recoverAbandonedRuns(tx);
+    if (recovered.runs > 0 || recovered.applications > 0) {
+      console.warn(`Recovered ${recovered.runs} abandoned run(s) and ${recovered.applications} in-progress application(s)`);
+    }
+
+    const now = new Date();
+    const run = await tx.allocationRun.create({
+      data: {
+        triggeredBy: allocatedBy,
+        triggerSource: options.source || 'MANUAL',
+        termId: options.termId,
+        strategy: options.strategy || DEFAULT_STRATEGY,
+        startedAt: now,
+        heartbeatAt: now,
+      },
+    });
+
+    return { run, recovered };
+  });
+};
+
+/**
+ * Keep a run's lease alive until the returned function is called
+ */
+const startHeartbeat = (runId) => {
+  const timer = setInterval(() => {
+    prisma.allocationRun.update({
+      where: { id: runId },
+      data: { heartbeatAt: new Date() },
+    }).catch((error) => console.error(`Heartbeat failed for run ${runId}:`, error));
+  }, RUN_HEARTBEAT_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+/**
+ * Record an ERROR outcome for applications and put them back to their previous status
+ */
+const recordErrors = async (runId, members, error, stats) => {
+  stats.errors += members.length;
+
+  await recordOutcomes(runId, members.map((member) => ({
+    applicationId: member.id,
+    outcome: 'ERROR',
+    details: { message: error.message },
+  })));
+
+  // Reset status on error
+  for (const member of members) {
+    await prisma.application.update({
+      where: { id: member.id },
+      data: {
+        status: member.status === 'WAITLISTED' ? 'WAITLISTED' : 'APPROVED',
+        decisionTrace: { ...errorTrace(error), runId },
+      },
+    });
+  }
+};
+
+/**
+ * Place applications one at a time (or one roommate group at a time),
+ * each in its own locking transaction. Returns the waitlisted applications.
+ */
+const processSequentially = async (runId, applications, allocatedBy, quotaPolicy, stats) => {
+  const { groups } = buildRoommateGroups(applications);
+  const waitlisted = [];
+
+  const groupByApplication = new Map();
+  for (const group of groups) {
+    for (const application of group) {
+      groupByApplication.set(application.id, group);
+    }
+  }
+
+  const processed = new Set();
+
+  for (const application of applications) {
+    if (processed.has(application.id)) {
+      continue;
+    }
+
+    // A group is handled when its highest-ranked member comes up
+    const members = groupByApplication.get(application.id) || [application];
+    members.forEach((member) => processed.add(member.id));
+
+    try {
+      // Mark as in progress to prevent double processing
+      await prisma.application.updateMany({
+        where: { id: { in: members.map((member) => member.id) } },
+        data: { status: 'IN_PROGRESS' },
+      });
+
+      const placements = members.length > 1
+        ? await placeGroup(members, allocatedBy, quotaPolicy)
+        : await placeApplication(application, allocatedBy, quotaPolicy);
+
+      if (placements) {
+        stats.allocated += members.length;
+
+        await recordOutcomes(runId, [].concat(placements).map((placement) => ({
+          applicationId: placement.application.id,
+          outcome: 'ALLOCATED',
+          allocationId: placement.allocation.id,
+          details: {
+            roomId: placement.room.id,
+            bedId: placement.bed.id,
+            matchScore: placement.allocation.matchScore,
+            roommateGroup: members.length > 1 ? members.map((member) => member.id) : undefined,
+          },
+        })));
+      } else {
+        const trace = { ...(await explainWaitlisting(members, quotaPolicy)), runId };
+
+        // Add to waitlist; ranks and emails follow once the run has finished
+        for (const member of members) {
+          await writeWaitlistEntry(prisma, member, trace);
+          waitlisted.push({ application: member, trace });
+        }
+        stats.waitlisted += members.length;
+
+        await recordOutcomes(runId, members.map((member) => ({
+          applicationId: member.id,
+          outcome: 'WAITLISTED',
+          details: trace,
+        })));
+      }
+    } catch (error) {
+      console.error(`Error processing application ${application.id}:`, error);
+      await recordErrors(runId, members, error, stats);
+    }
+  }
+
+  return waitlisted;
+};
+
+/**
+ * Split items into chunks of roughly `size`, never splitting a unit
+ */
+const chunkUnits = (units, size) => {
+  const chunks = [];
+  let current = [];
+  let count = 0;
+
+  for (const unit of units) {
+    if (count > 0 && count + unit.length > size) {
+      chunks.push(current);
+      current = [];
+      count = 0;
+    }
+    current.push(unit);
+    count += unit.length;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
+};
+
+/**
+ * Commit one chunk of planned placements in a single transaction.
+ *
+ * The planned beds are locked in one statement; a placement (or a whole
+ * roommate group) whose beds were taken or left the AVAILABLE pool since the
+ * snapshot is not committed and comes back in `conflicted`.
+ */
+const commitPlacementChunk = async (runId, units, allocatedBy) => {
+  return prisma.$transaction(async (tx) => {
+    const locked = await tx.$queryRawUnsafe(
+      `SELECT b.id FROM beds b
+       JOIN rooms r ON r.id = b.room_id
+       WHERE b.id = ANY($1::text[]) AND b.occupied_by IS NULL AND r.status = 'AVAILABLE' AND ${NOT_HELD_SQL}
+       FOR UPDATE OF b SKIP LOCKED`,
+      units.flat().map((placement) => placement.bedId)
+    );
+    const lockedIds = new Set(locked.map((row) => row.id));
+
+    const committed = [];
+    const conflicted = [];
+    for (const unit of units) {
+      (unit.every((placement) => lockedIds.has(placement.bedId)) ? committed : conflicted).push(unit);
+    }
+
+    const offerExpiresAt = getOfferExpiry();
+    const placements = committed.flat().map((placement) => ({
+      ...placement,
+      allocationId: crypto.randomUUID(),
+      offerExpiresAt,
+    }));
+    if (placements.length === 0) {
+      return { placements, conflicted };
+    }
+
+    const applicationIds = placements.map((placement) => placement.applicationId);
+
+    await tx.$executeRawUnsafe(
+      `UPDATE beds SET occupied_by = v.student_id
+       FROM UNNEST($1::text[], $2::text[]) AS v(id, student_id)
+       WHERE beds.id = v.id`,
+      placements.map((placement) => placement.bedId),
+      placements.map((placement) => placement.studentId)
+    );
+
+    await tx.application.updateMany({
+      where: { id: { in: applicationIds } },
+      data: { status: 'OFFERED', decisionTrace: Prisma.DbNull },
+    });
+
+    await tx.waitlistEntry.deleteMany({
+      where: { applicationId: { in: applicationIds } },
+    });
+
+    await tx.allocation.createMany({
+      data: placements.map((placement) => ({
+        id: placement.allocationId,
+        applicationId: placement.applicationId,
+        studentId: placement.studentId,
+        termId: placement.termId,
+        roomId: placement.roomId,
+        bedId: placement.bedId,
+        allocatedBy,
+        matchScore: placement.score,
+        matchDetails: placement.satisfied,
+        status: 'OFFERED',
+        offerExpiresAt,
+      })),
+    });
+
+    await tx.auditLog.createMany({
+      data: placements.map((placement) => ({
+        actorId: allocatedBy,
+        action: 'ALLOCATE',
+        targetType: 'ALLOCATION',
+        targetId: placement.allocationId,
+        details: {
+          applicationId: placement.applicationId,
+          studentId: placement.studentId,
+          roomId: placement.roomId,
+          bedId: placement.bedId,
+          matchScore: placement.score,
+          offerExpiresAt,
+          automated: true,
+          runId,
+          ...(placement.roommateGroup && { roommateGroup: placement.roommateGroup }),
+        },
+      })),
+    });
+
+    await recordOutcomes(runId, placements.map((placement) => ({
+      applicationId: placement.applicationId,
+      outcome: 'ALLOCATED',
+      allocationId: placement.allocationId,
+      details: {
+        roomId: placement.roomId,
+        bedId: placement.bedId,
+        matchScore: placement.score,
+        roommateGroup: placement.roommateGroup || undefined,
+      },
+    })), tx);
+
+    return { placements, conflicted };
+  }, {
+    timeout: 60000,
+  });
+};
+
+/**
+ * Commit one chunk of planned waitlist entries in a single transaction
+ */
+const commitWaitlistChunk = async (runId, entries, applicationsById) => {
+  return prisma.$transaction(async (tx) => {
+    for (const entry of entries) {
+      await writeWaitlistEntry(tx, applicationsById.get(entry.applicationId), { ...entry.trace, runId });
+    }
+
+    await recordOutcomes(runId, entries.map((entry) => ({
+      applicationId: entry.applicationId,
+      outcome: 'WAITLISTED',
+      details: { ...entry.trace, runId },
+    })), tx);
+  }, {
+    timeout: 60000,
+  });
+};
+
+/**
+ * Compute the whole assignment in memory from one snapshot, then commit it in
+ * chunked transactions. Placements that conflict with changes made since the
+ * snapshot are retried through the sequential path. Returns the waitlisted
+ * applications.
+ */
+const processPlanned = async (runId, applications, snapshot, allocatedBy, quotaPolicy, stats) => {
+  const planStartedAt = Date.now();
+  const plan = planAllocation(applications, snapshot);
+  const planMs = Date.now() - planStartedAt;
+
+  const applicationsById = new Map(applications.map((application) => [application.id, application]));
+  const bedsById = new Map(snapshot.freeBeds.map((bed) => [bed.id, bed]));
+
+  // Mark everything in the plan as in progress so a crash can be recovered
+  await prisma.application.updateMany({
+    where: { id: { in: applications.map((application) => application.id) } },
+    data: { status: 'IN_PROGRESS' },
+  });
+
+  // A roommate group's placements are adjacent in the plan and share one array
+  const units = [];
+  for (const placement of plan.placements) {
+    const last = units[units.length - 1];
+    if (placement.roommateGroup && last && last[0].roommateGroup === placement.roommateGroup) {
+      last.push(placement);
+    } else {
+      units.push([placement]);
+    }
+  }
+
+  const commitStartedAt = Date.now();
+  const conflicted = [];
+  const waitlisted = [];
+  let chunks = 0;
+
+  for (const chunk of chunkUnits(units, PLAN_CHUNK_SIZE)) {
+    chunks += 1;
+
+    try {
+      const result = await commitPlacementChunk(runId, chunk, allocatedBy);
+      stats.allocated += result.placements.length;
+      conflicted.push(...result.conflicted.flat());
+
+      for (const placement of result.placements) {
+        const bed = bedsById.get(placement.bedId);
+        await notifyPlacement({
+          application: applicationsById.get(placement.applicationId),
+          allocation: { offerExpiresAt: placement.offerExpiresAt },
+          room: bed.room,
+          bed,
+        });
+      }
+    } catch (error) {
+      console.error('Error committing planned placements:', error);
+      await recordErrors(runId, chunk.flat().map((placement) => applicationsById.get(placement.applicationId)), error, stats);
+    }
+  }
+
+  for (const entries of chunkUnits(plan.waitlist.map((entry) => [entry]), PLAN_CHUNK_SIZE)) {
+    chunks += 1;
+    const chunk = entries.flat();
+
+    try {
+      await commitWaitlistChunk(runId, chunk, applicationsById);
+      stats.waitlisted += chunk.length;
+      waitlisted.push(...chunk.map((entry) => ({
+        application: applicationsById.get(entry.applicationId),
+        trace: entry.trace,
+      })));
+    } catch (error) {
+      console.error('Error committing planned waitlist entries:', error);
+      await recordErrors(runId, chunk.map((entry) => applicationsById.get(entry.applicationId)), error, stats);
+    }
+  }
+
+  // Beds that changed under the plan: place these applicants against live data
+  if (conflicted.length > 0) {
+    waitlisted.push(...await processSequentially(
+      runId,
+      conflicted.map((placement) => applicationsById.get(placement.applicationId)),
+      allocatedBy,
+      quotaPolicy,
+      stats
+    ));
+  }
+
+  stats.throughput = {
+    planMs,
+    commitMs: Date.now() - commitStartedAt,
+    chunkSize: PLAN_CHUNK_SIZE,
+    chunks,
+    conflicts: conflicted.length,
+  };
+
+  return waitlisted;
+};
+
+/**
+ * Run the allocation engine. Only one run executes at a time; a second
+ * caller gets a 409 error.
+ *
+ * `options.mode` picks SEQUENTIAL (default) or PLANNED processing; both report
+ * throughput in the run summary.
+ *
+ * With `options.dryRun` the full assignment is only computed and returned;
+ * nothing is written, locked or emailed.
+ */
+const runAllocation = async (allocatedBy, options = {}) => {
+  if (options.dryRun) {
+    return simulateAllocation(options);
+  }
+
+  const mode = options.mode || DEFAULT_RUN_MODE;
+  const quotaPolicy = resolveRunQuotaPolicy(options.policy);
+  const term = await requireActiveTerm();
+  const { run, recovered } = await startRun(allocatedBy, { ...options, termId: term.id });
+  const { startedAt } = run;
+  const stopHeartbeat = startHeartbeat(run.id);
+
+  const stats = {
+    runId: run.id,
+    termId: term.id,
+    mode,
+    strategy: null,
+    allocated: 0,
+    waitlisted: 0,
+    errors: 0,
+    roommateGroups: 0,
+    unmatchedRoommateRequests: [],
+    recovered,
+  };
+
+  try {
+    const eligible = await fetchEligibleApplications(term.id);
+
+    // Planned runs work from a single capacity snapshot taken up front
+    const snapshot = mode === 'PLANNED' ? await loadCapacitySnapshot(quotaPolicy) : null;
+    const quotaStates = snapshot ? snapshot.quotaStates : await getQuotaStates(prisma, null, quotaPolicy);
+
+    const { strategy, ordered: applications } = orderApplications(eligible, {
+      strategy: options.strategy,
+      seed: options.seed,
+      capacity: getHostelCapacity(quotaStates),
+    });
+    stats.strategy = strategy;
+
+    if (strategy.seed) {
+      await prisma.allocationRun.update({
+        where: { id: run.id },
+        data: { seed: strategy.seed },
+      });
+    }
+
+    // Mutual roommate requests are placed together; one-sided ones are reported back
+    const { groups, oneSided } = buildRoommateGroups(applications);
+    stats.roommateGroups = groups.length;
+
+    const waitlisted = mode === 'PLANNED'
+      ? await processPlanned(run.id, applications, snapshot, allocatedBy, quotaPolicy, stats)
+      : await processSequentially(run.id, applications, allocatedBy, quotaPolicy, stats);
+
+    // Re-rank every pool once, closing the gaps left by placed students
+    const ranks = await recomputeWaitlistRanks(prisma);
+    for (const { application, trace } of waitlisted) {
+      await sendWaitlistNotification(
+        application.student.email,
+        application.student.name,
+        ranks.get(application.id),
+        trace?.message
+      );
+    }
+
+    for (const request of oneSided) {
+      stats.unmatchedRoommateRequests.push({
+        applicationId: request.application.id,
+        universityIds: request.universityIds,
+      });
+
+      const unnotified = getUnnotifiedRoommates(request.application, request.universityIds);
+      if (unnotified.length > 0) {
+        await sendRoommateRequestNotification(
+          request.application.student.email,
+          request.application.student.name,
+          unnotified
+        );
+        await prisma.application.update({
+          where: { id: request.application.id },
+          data: { roommateNoticeIds: { push: unnotified } },
+        });
+      }
+    }
+
+    const finishedAt = new Date();
+    const durationMs = finishedAt - startedAt;
+    stats.throughput = {
+      ...stats.throughput,
+      durationMs,
+      applicationsPerSecond: durationMs > 0
+        ? Math.round((applications.length / durationMs) * 100000) / 100
+        : applications.length,
+    };
+
+    await prisma.allocationRun.update({
+      where: { id: run.id },
+      data: {
+        status: 'COMPLETED',
+        finishedAt,
+        durationMs,
+        processedCount: applications.length,
+        allocatedCount: stats.allocated,
+        waitlistedCount: stats.waitlisted,
+        errorCount: stats.errors,
+        summary: { ...stats, policy: options.policy || null },
+      },
+    });
+
+    await createAuditLog(
+      allocatedBy,
+      'CREATE',
+      'ALLOCATION',
+      run.id,
+      { stats, policy: options.policy || null, timestamp: finishedAt }
+    );
+
+    return stats;
+  } catch (error) {
+    console.error('Allocation engine error:', error);
+
+    const finishedAt = new Date();
+    await prisma.allocationRun.update({
+      where: { id: run.id },
+      data: {
+        status: 'FAILED',
+        finishedAt,
+        durationMs: finishedAt - startedAt,
+        allocatedCount: stats.allocated,
+        waitlistedCount: stats.waitlisted,
+        errorCount: stats.errors,
+        summary: stats,
+        error: error.message,
+      },
+    });
+
+    throw error;
+  } finally {
+    stopHeartbeat();
+  }
+};
+
+/**
+ * Store the per-application outcome rows of a run
+ */
+const recordOutcomes = async (runId, outcomes, client = prisma) => {
+  await client.allocationRunOutcome.createMany({
+    data: outcomes.map((outcome) => ({ runId, ...outcome })),
+  });
+};
+
+// Relations loaded with every candidate bed
+const BED_INCLUDE = {
+  room: {
+    include: {
+      block: {
+        include: {
+          hostel: true,
+        },
+      },
+      floor: true,
+    },
+  },
+};
+
+/**
+ * Find free beds that every given applicant may take: the hostel's quota
+ * pools must admit their categories and the room must suit their gender
+ */
+const findCandidateBeds = async (tx, preferredHostels, applicants, quotaPolicy) => {
+  // Only consider hostels whose general pool (or the category's reserved pool) has room
+  const quotaStates = await getQuotaStates(tx, preferredHostels.length > 0 ? preferredHostels : null, quotaPolicy);
+  const allowedHostels = [...quotaStates.entries()]
+    .filter(([, state]) => applicants.every((applicant) => canUseHostel(state, applicant.priorityCategory)))
+    .map(([hostelId]) => hostelId);
+
+  if (allowedHostels.length === 0) {
+    return [];
+  }
+
+  const beds = await tx.bed.findMany({
+    where: {
+      occupiedBy: null,
+      ...notHeld(),
+      room: {
+        status: 'AVAILABLE',
+        block: {
+          hostelId: { in: allowedHostels },
+        },
+      },
+    },
+    include: BED_INCLUDE,
+  });
+
+  return beds.filter((bed) => applicants.every((applicant) => isGenderCompatible(applicant.student?.gender, bed.room)));
+};
+
+/**
+ * Work out why applicants could not be placed, from the beds that are free
+ * now. If a bed would have qualified, the placement lost the race for it.
+ */
+const explainWaitlisting = async (applicants, quotaPolicy) => {
+  const preferredHostels = getCandidateHostels(applicants[0]);
+  const hostelIds = preferredHostels.length > 0 ? preferredHostels : null;
+
+  const [freeBeds, quotaStates] = await Promise.all([
+    prisma.bed.findMany({
+      where: {
+        occupiedBy: null,
+        ...notHeld(),
+        room: {
+          status: 'AVAILABLE',
+          ...(hostelIds && { block: { hostelId: { in: hostelIds } } }),
+        },
+      },
+      include: BED_INCLUDE,
+    }),
+    getQuotaStates(prisma, hostelIds, quotaPolicy),
+  ]);
+
+  return explainNoPlacement(freeBeds, applicants, quotaStates) || lockContentionTrace();
+};
+
+/**
+ * Write the bed, application, allocation and audit rows for one placement.
+ * The allocation starts as an offer the student has to accept.
+ * The caller must already hold the row lock on the bed.
+ */
+const commitPlacement = async (tx, application, bed, match, allocatedBy, details = {}) => {
+  // Update bed (we already have the lock from raw SQL)
+  const updatedBed = await tx.bed.update({
+    where: { id: bed.id },
+    data: { occupiedBy: application.studentId },
+    include: BED_INCLUDE,
+  });
+
+  // The student now holds an offer for the bed
+  await tx.application.update({
+    where: { id: application.id },
+    data: { status: 'OFFERED', decisionTrace: Prisma.DbNull },
+  });
+
+  // Remove from waitlist if exists
+  await tx.waitlistEntry.deleteMany({
+    where: { applicationId: application.id },
+  });
+
+  // Create allocation record
+  const allocation = await tx.allocation.create({
+    data: {
+      applicationId: application.id,
+      studentId: application.studentId,
+      termId: application.termId,
+      roomId: updatedBed.room.id,
+      bedId: bed.id,
+      allocatedBy,
+      matchScore: match.score,
+      matchDetails: match.satisfied,
+      status: 'OFFERED',
+      offerExpiresAt: getOfferExpiry(),
+    },
+  });
+
+  // Create audit log entry
+  await tx.auditLog.create({
+    data: {
+      actorId: allocatedBy,
+      action: 'ALLOCATE',
+      targetType: 'ALLOCATION',
+      targetId: allocation.id,
+      details: {
+        applicationId: application.id,
+        studentId: application.studentId,
+        roomId: updatedBed.room.id,
+        bedId: bed.id,
+        matchScore: match.score,
+        offerExpiresAt: allocation.offerExpiresAt,
+        automated: true,
+        ...details,
+      },
+    },
+  });
+
+  return {
+    application,
+    allocation,
+    room: updatedBed.room,
+    bed: updatedBed,
+  };
+};
+
+/**
+ * Send the allocation email for a committed placement
+ */
+const notifyPlacement = async (placement) => {
+  const { application, allocation, room, bed } = placement;
+
+  await sendAllocationNotification(
+    application.student.email,
+    application.student.name,
+    {
+      hostelName: room.block.hostel.name,
+      blockName: room.block.name,
+      roomNumber: room.number,
+      bedNumber: bed.bedNumber,
+      offerExpiresAt: allocation?.offerExpiresAt,
+    }
+  );
+};
+
+/**
+ * Allocate a bed for an application
+ */
+const allocateBed = async (application, allocatedBy, quotaPolicy = resolveQuotaPolicy()) => {
+  return (await placeApplication(application, allocatedBy, quotaPolicy)) !== null;
+};
+
+/**
+ * Allocate the best matching bed and return the committed placement (or null)
+ */
+const placeApplication = async (application, allocatedBy, quotaPolicy = resolveQuotaPolicy()) => {
+  // Callers outside the batch run may pass an application without its student
+  if (!application.student) {
+    const student = await prisma.user.findUnique({ where: { id: application.studentId } });
+    application = { ...application, student };
+  }
+
+  const preferences = application.preferences || {};
+  const preferredHostels = getCandidateHostels(application);
+
+  // Use transaction with row-level locking
+  try {
+    const result = await prisma.$transaction(async (tx) => {
+      // Find candidate beds
+      const candidateBeds = await findCandidateBeds(tx, preferredHostels, [application], quotaPolicy);
+
+      // Rank candidates against the student's preferences (best match first)
+      const rankedBeds = rankCandidateBeds(candidateBeds, preferences, application.assignedHostelId);
+
+      if (rankedBeds.length === 0) {
+        return null;
+      }
+
+      // Try to lock and allocate the best available bed
+      let lockedBed = null;
+      for (const candidate of rankedBeds) {
+        try {
+          // Attempt to lock this bed row using raw SQL (Postgres style),
+          // rechecking that its room is still available and the bed not held
+          const locked = await tx.$queryRawUnsafe(
+            `SELECT b.id FROM beds b
+             JOIN rooms r ON r.id = b.room_id
+             WHERE b.id = $1 AND b.occupied_by IS NULL AND r.status = 'AVAILABLE' AND ${NOT_HELD_SQL}
+             FOR UPDATE OF b SKIP LOCKED`,
+            candidate.bed.id
+          );
+
+          // locked will typically be an array with one row if locked
+          if (locked && locked.length > 0) {
+            lockedBed = candidate;
+            break;
+          }
+        } catch (error) {
+          // If locking this candidate fails, continue to next
+          continue;
+        }
+      }
+
+      if (!lockedBed) {
+        return null;
+      }
+
+      return commitPlacement(tx, application, lockedBed.bed, lockedBed, allocatedBy);
+    }, {
+      timeout: 10000, // 10 second timeout
+    });
+
+    if (result) {
+      // Send notification email
+      await notifyPlacement(result);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Transaction error:', error);
+    return null;
+  }
+};
+
+/**
+ * Allocate a mutual roommate group into a single room.
+ * Either every member is placed in the same room or none is.
+ */
+const allocateGroup = async (group, allocatedBy, quotaPolicy = resolveQuotaPolicy()) => {
+  return (await placeGroup(group, allocatedBy, quotaPolicy)) !== null;
+};
+
+/**
+ * Place a roommate group and return the committed placements (or null)
+ */
+const placeGroup = async (group, allocatedBy, quotaPolicy = resolveQuotaPolicy()) => {
+  // The group follows the hostel choices of its highest-ranked member
+  const preferredHostels = getCandidateHostels(group[0]);
+  const groupApplicationIds = group.map((application) => application.id);
+
+  try {
+    const placements = await prisma.$transaction(async (tx) => {
+      const candidateBeds = await findCandidateBeds(tx, preferredHostels, group, quotaPolicy);
+      const candidateRooms = rankCandidateRooms(candidateBeds, group);
+
+      for (const candidate of candidateRooms) {
+        const locked = await tx.$queryRawUnsafe(
+          `SELECT b.id FROM beds b
+           JOIN rooms r ON r.id = b.room_id
+           WHERE b.id = ANY($1::text[]) AND b.occupied_by IS NULL AND r.status = 'AVAILABLE' AND ${NOT_HELD_SQL}
+           ORDER BY b.bed_number FOR UPDATE OF b SKIP LOCKED LIMIT $2`,
+          candidate.beds.map((bed) => bed.id),
+          group.length
+        );
+
+        if (!locked || locked.length < group.length) {
+          continue;
+        }
+
+        const results = [];
+        for (let i = 0; i < group.length; i++) {
+          const bed = candidate.beds.find((b) => b.id === locked[i].id);
+          results.push(await commitPlacement(tx, group[i], bed, candidate.matches[i], allocatedBy, {
+            roommateGroup: groupApplicationIds,
+          }));
+        }
+
+        return results;
+      }
+
+      return null;
+    }, {
+      timeout: 10000, // 10 second timeout
+    });
+
+    if (placements) {
+      for (const placement of placements) {
+        await notifyPlacement(placement);
+      }
+    }
+
+    return placements;
+  } catch (error) {
+    console.error('Transaction error:', error);
+    return null;
+  }
+};
+
+/**
+ * Give a freed bed to the highest-ranked waitlisted application that may take
+ * it (hostel choice, gender, quota and hard constraints all apply)
+ */
+const promoteToBed = async (bedId, promotedBy, quotaPolicy) => {
+  return prisma.$transaction(async (tx) => {
+    const locked = await tx.$queryRawUnsafe(
+      `SELECT b.id FROM beds b
+       JOIN rooms r ON r.id = b.room_id
+       WHERE b.id = $1 AND b.occupied_by IS NULL AND r.status = 'AVAILABLE' AND ${NOT_HELD_SQL}
+       FOR UPDATE OF b SKIP LOCKED`,
+      bedId
+    );
+
+    if (locked.length === 0) {
+      return null;
+    }
+
+    // Only the active term's waitlist competes for freed beds
+    const term = await getActiveTerm(tx);
+    if (!term) {
+      return null;
+    }
+
+    const bed = await tx.bed.findUnique({ where: { id: bedId }, include: BED_INCLUDE });
+    const hostelId = bed.room.block.hostelId;
+    const quotaState = (await getQuotaStates(tx, [hostelId], quotaPolicy)).get(hostelId);
+
+    const entries = await tx.waitlistEntry.findMany({
+      where: { termId: term.id, application: { status: 'WAITLISTED' } },
+      include: { application: { include: { student: true } } },
+    });
+    entries.sort((a, b) => compareWaitlist(a.application, b.application));
+
+    for (const entry of entries) {
+      const { application } = entry;
+      const candidateHostels = getCandidateHostels(application);
+
+      if (candidateHostels.length > 0 && !candidateHostels.includes(hostelId)) {
+        continue;
+      }
+
+      if (!isGenderCompatible(application.student.gender, bed.room) ||
+          !canUseHostel(quotaState, application.priorityCategory)) {
+        continue;
+      }
+
+      const [match] = rankCandidateBeds([bed], application.preferences);
+      if (!match) {
+        continue;
+      }
+
+      const placement = await commitPlacement(tx, application, bed, match, promotedBy, {
+        promotedFromWaitlist: true,
+        waitlistRank: entry.rank,
+      });
+
+      // Everyone behind the promoted student moves up
+      await recomputeWaitlistRanks(tx, [{ termId: entry.termId, hostelId: entry.hostelId, roomType: entry.roomType }]);
+
+      return placement;
+    }
+
+    return null;
+  }, {
+    timeout: 10000, // 10 second timeout
+  });
 };
 
 /**
- * Run the allocation engine
+ * Offer freed beds to the waitlist and notify the promoted students.
+ *
+ * Skipped while an allocation run is in progress, since the run places
+ * waitlisted applications into any bed that frees up. Failures are logged
+ * rather than thrown so they never break the action that freed the bed.
  */
-const runAllocation = async (allocatedBy) => {
-  const stats = {
-    allocated: 0,
-    waitlisted: 0,
-    errors: 0,
-  };
+const promoteFromWaitlist = async (bedIds, promotedBy) => {
+  const promotions = [];
 
   try {
-    // Get all pending applications, ordered by priority and applied date
-    const applications = await prisma.application.findMany({
-      where: {
-        status: { in: ['PENDING', 'WAITLISTED'] },
+    if (await findActiveRun(prisma)) {
+      return promotions;
+    }
+
+    const quotaPolicy = resolveQuotaPolicy();
+
+    for (const bedId of [].concat(bedIds)) {
+      const placement = await promoteToBed(bedId, promotedBy, quotaPolicy);
+
+      if (placement) {
+        promotions.push(placement);
+        await notifyPlacement(placement);
+      }
+    }
+  } catch (error) {
+    console.error('Waitlist promotion error:', error);
+  }
+
+  return promotions;
+};
+
+const statusError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Close an open offer as DECLINED or EXPIRED: release the bed and offer it to
+ * the waitlist. Returns null if the offer was already answered.
+ */
+const releaseOffer = async (offer, outcome, actorId) => {
+  const released = await prisma.$transaction(async (tx) => {
+    // Only an offer that is still open can be closed
+    const closed = await tx.allocation.updateMany({
+      where: { id: offer.id, status: 'OFFERED' },
+      data: {
+        status: outcome,
+        respondedAt: outcome === 'DECLINED' ? new Date() : undefined,
       },
-      include: {
-        student: true,
+    });
+
+    if (closed.count === 0) {
+      return null;
+    }
+
+    await tx.bed.updateMany({
+      where: { id: offer.bedId, occupiedBy: offer.studentId },
+      data: { occupiedBy: null },
+    });
+
+    await tx.application.update({
+      where: { id: offer.applicationId },
+      data: { status: outcome },
+    });
+
+    await tx.auditLog.create({
+      data: {
+        actorId,
+        action: outcome === 'DECLINED' ? 'DECLINE_OFFER' : 'EXPIRE_OFFER',
+        targetType: 'ALLOCATION',
+        targetId: offer.id,
+        details: {
+          applicationId: offer.applicationId,
+          studentId: offer.studentId,
+          roomId: offer.roomId,
+          bedId: offer.bedId,
+          offerExpiresAt: offer.offerExpiresAt,
+        },
       },
-      orderBy: [
-        { priorityCategory: 'desc' }, // Priority categories first
-        { appliedAt: 'asc' }, // FCFS within same priority
-      ],
     });
 
-    for (const application of applications) {
-      try {
-        // Mark as in progress to prevent double processing
-        await prisma.application.update({
-          where: { id: application.id },
-          data: { status: 'IN_PROGRESS' },
-        });
+    return offer;
+  });
 
-        const allocated = await allocateBed(application, allocatedBy);
+  if (!released) {
+    return null;
+  }
 
-        if (allocated) {
-          stats.allocated++;
-        } else {
-          // Add to waitlist
-          await addToWaitlist(application);
-          stats.waitlisted++;
-        }
-      } catch (error) {
-        console.error(`Error processing application ${application.id}:`, error);
-        stats.errors++;
+  const promotions = await promoteFromWaitlist([offer.bedId], actorId);
+  return { allocationId: offer.id, bedId: offer.bedId, promotions };
+};
 
-        // Reset status on error
-        await prisma.application.update({
-          where: { id: application.id },
-          data: { status: application.status === 'WAITLISTED' ? 'WAITLISTED' : 'PENDING' },
-        });
-      }
+/**
+ * Load the open offer of an application
+ */
+const findOpenOffer = async (applicationId) => {
+  const offer = await prisma.allocation.findFirst({
+    where: { applicationId, status: 'OFFERED' },
+  });
+
+  if (!offer) {
+    throw statusError('No open offer for this application', 404);
+  }
+
+  return offer;
+};
+
+/**
+ * Accept the open offer of an application
+ */
+const acceptOffer = async (applicationId, actorId) => {
+  const offer = await findOpenOffer(applicationId);
+
+  if (isOfferExpired(offer)) {
+    await releaseOffer(offer, 'EXPIRED', actorId);
+    throw statusError('This offer has expired', 409);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const accepted = await tx.allocation.updateMany({
+      where: { id: offer.id, status: 'OFFERED' },
+      data: { status: 'ACCEPTED', respondedAt: new Date() },
+    });
+
+    if (accepted.count === 0) {
+      throw statusError('This offer has already been answered', 409);
     }
 
-    await createAuditLog(
-      allocatedBy,
-      'CREATE',
-      'ALLOCATION',
-      'batch',
-      { stats, timestamp: new Date() }
-    );
+    await tx.application.update({
+      where: { id: applicationId },
+      data: { status: 'ALLOCATED' },
+    });
 
-    return stats;
-  } catch (error) {
-    console.error('Allocation engine error:', error);
-    throw error;
+    await tx.auditLog.create({
+      data: {
+        actorId,
+        action: 'ACCEPT_OFFER',
+        targetType: 'ALLOCATION',
+        targetId: offer.id,
+        details: {
+          applicationId,
+          studentId: offer.studentId,
+          roomId: offer.roomId,
+          bedId: offer.bedId,
+        },
+      },
+    });
+
+    return tx.allocation.findUnique({ where: { id: offer.id } });
+  });
+};
+
+/**
+ * Decline the open offer of an application; the bed goes to the waitlist
+ */
+const declineOffer = async (applicationId, actorId) => {
+  const offer = await findOpenOffer(applicationId);
+  const result = await releaseOffer(offer, 'DECLINED', actorId);
+
+  if (!result) {
+    throw statusError('This offer has already been answered', 409);
   }
+
+  return result;
 };
 
 /**
- * Allocate a bed for an application
+ * Expire every offer past its deadline and pass the beds on to the waitlist
  */
-const allocateBed = async (application, allocatedBy) => {
-  const preferences = application.preferences || {};
-  const preferredHostels = preferences.preferredHostels || [];
-  const roomType = preferences.roomType || 'STANDARD';
-  const priorityCategory = application.priorityCategory;
+const expireOffers = async (actorId) => {
+  const offers = await prisma.allocation.findMany({
+    where: {
+      status: 'OFFERED',
+      offerExpiresAt: { lte: new Date() },
+    },
+    orderBy: { offerExpiresAt: 'asc' },
+  });
 
-  // Build query for available beds (base)
-  const baseRoomFilter = {
-    status: 'AVAILABLE',
-  };
+  const stats = { expired: 0, promoted: 0 };
 
-  if (preferredHostels.length > 0) {
-    baseRoomFilter.block = {
-      hostelId: { in: preferredHostels },
-    };
+  for (const offer of offers) {
+    try {
+      const result = await releaseOffer(offer, 'EXPIRED', actorId);
+      if (result) {
+        stats.expired += 1;
+        stats.promoted += result.promotions.length;
+      }
+    } catch (error) {
+      console.error(`Failed to expire offer ${offer.id}:`, error);
+    }
   }
 
-  // Check for priority quotas (placeholder)
-  if (priorityCategory && PRIORITY_QUOTAS[priorityCategory]) {
-    const quota = PRIORITY_QUOTAS[priorityCategory];
-    // TODO: Apply quota logic (track reserved beds)
+  return stats;
+};
+
+/**
+ * End an active allocation (checkout): the bed is released, the allocation
+ * row is kept with its end reason, and the bed is offered to the waitlist
+ */
+const deallocate = async (allocationId, actorId, reason) => {
+  const allocation = await prisma.$transaction(async (tx) => {
+    const existing = await tx.allocation.findUnique({ where: { id: allocationId } });
+
+    if (!existing) {
+      throw statusError('Allocation not found', 404);
+    }
+
+    const endedAt = new Date();
+    const ended = await tx.allocation.updateMany({
+      where: { id: allocationId, status: { in: ACTIVE_ALLOCATION_STATUSES } },
+      data: {
+        status: 'ENDED',
+        endedAt,
+        endReason: reason,
+        endedBy: actorId,
+      },
+    });
+
+    if (ended.count === 0) {
+      throw statusError(`Allocation is already ${existing.status.toLowerCase()}`, 409);
+    }
+
+    await tx.bed.updateMany({
+      where: { id: existing.bedId, occupiedBy: existing.studentId },
+      data: { occupiedBy: null },
+    });
+
+    await tx.application.update({
+      where: { id: existing.applicationId },
+      data: { status: 'CHECKED_OUT' },
+    });
+
+    await tx.auditLog.create({
+      data: {
+        actorId,
+        action: 'DEALLOCATE',
+        targetType: 'ALLOCATION',
+        targetId: allocationId,
+        details: {
+          applicationId: existing.applicationId,
+          studentId: existing.studentId,
+          roomId: existing.roomId,
+          bedId: existing.bedId,
+          previousStatus: existing.status,
+          reason,
+        },
+      },
+    });
+
+    return tx.allocation.findUnique({ where: { id: allocationId } });
+  });
+
+  const promotions = await promoteFromWaitlist([allocation.bedId], actorId);
+
+  return { allocation, promotions };
+};
+
+/**
+ * Find students who have a mutual roommate request with the given student
+ * in a term; requests from other terms do not count
+ */
+const getConfirmedRoommates = async (studentId, termId) => {
+  const application = await prisma.application.findUnique({
+    where: { studentId_termId: { studentId, termId } },
+    include: { student: true },
+  });
+
+  if (!application || !application.student.universityId) {
+    return [];
   }
 
-  // Use transaction with row-level locking
-  try {
-    const result = await prisma.$transaction(async (tx) => {
-      // Build where clause for beds (single declaration)
-      const bedWhere = {
+  const requested = getRequestedRoommates(application);
+  if (requested.length === 0) {
+    return [];
+  }
+
+  const candidates = await prisma.user.findMany({
+    where: {
+      role: 'STUDENT',
+      OR: requested.map((universityId) => ({
+        universityId: { equals: universityId, mode: 'insensitive' },
+      })),
+    },
+    include: {
+      applications: {
+        where: { termId },
+      },
+      assignedBeds: true,
+    },
+  });
+
+  const ownId = normalizeUniversityId(application.student.universityId);
+
+  return candidates
+    .filter((candidate) => {
+      const [theirs] = candidate.applications;
+      return theirs && getRequestedRoommates({ ...theirs, student: candidate }).includes(ownId);
+    })
+    .map((candidate) => ({
+      studentId: candidate.id,
+      name: candidate.name,
+      universityId: candidate.universityId,
+      roomId: candidate.assignedBeds[0]?.roomId || null,
+    }));
+};
+
+/**
+ * Load every free bed and the quota state of every hostel in one pass
+ */
+const loadCapacitySnapshot = async (quotaPolicy) => {
+  const [freeBeds, quotaStates] = await Promise.all([
+    prisma.bed.findMany({
+      where: {
         occupiedBy: null,
-        room: baseRoomFilter,
-      };
+        ...notHeld(),
+        room: { status: 'AVAILABLE' },
+      },
+      include: BED_INCLUDE,
+      orderBy: { id: 'asc' },
+    }),
+    getQuotaStates(prisma, null, quotaPolicy),
+  ]);
 
-      // Find candidate beds
-      const candidateBeds = await tx.bed.findMany({
-        where: bedWhere,
-        include: {
-          room: {
-            include: {
-              block: {
-                include: {
-                  hostel: true,
-                },
-              },
-              floor: true,
-            },
-          },
-        },
-        orderBy: { id: 'asc' },
-        take: 10, // Get a few candidates
-      });
+  return { freeBeds, quotaStates };
+};
 
-      if (!candidateBeds || candidateBeds.length === 0) {
-        return null;
-      }
+/**
+ * Preview an allocation run: proposed placements, waitlist ordering and the
+ * change in occupancy per hostel, without touching the database or mail
+ */
+const simulateAllocation = async (options = {}) => {
+  const quotaPolicy = resolveRunQuotaPolicy(options.policy);
+  const term = await requireActiveTerm();
 
-      // Try to lock and allocate the first available bed
-      let lockedBed = null;
-      for (const candidate of candidateBeds) {
-        try {
-          // Attempt to lock this bed row using raw SQL (Postgres style)
-          // NOTE: table and column names depend on your DB schema.
-          // If Prisma uses different table names, adjust accordingly.
-          const locked = await tx.$queryRawUnsafe(
-            `SELECT id FROM beds WHERE id = $1 AND occupied_by IS NULL FOR UPDATE SKIP LOCKED LIMIT 1`,
-            candidate.id
-          );
+  const [eligible, snapshot, hostels] = await Promise.all([
+    fetchEligibleApplications(term.id),
+    loadCapacitySnapshot(quotaPolicy),
+    prisma.hostel.findMany({
+      select: { id: true, name: true },
+      orderBy: { name: 'asc' },
+    }),
+  ]);
 
-          // locked will typically be an array with one row if locked
-          if (locked && locked.length > 0) {
-            lockedBed = candidate;
-            break;
-          }
-        } catch (error) {
-          // If locking this candidate fails, continue to next
-          continue;
-        }
-      }
+  const { strategy, ordered: applications } = orderApplications(eligible, {
+    strategy: options.strategy,
+    seed: options.seed,
+    capacity: getHostelCapacity(snapshot.quotaStates),
+  });
 
-      if (!lockedBed) {
-        return null;
-      }
+  const plan = planAllocation(applications, snapshot);
 
-      const bed = lockedBed;
+  const applicationsById = new Map(applications.map((application) => [application.id, application]));
+  const bedsById = new Map(snapshot.freeBeds.map((bed) => [bed.id, bed]));
+  const describeStudent = (applicationId) => {
+    const { student } = applicationsById.get(applicationId);
+    return { name: student.name, universityId: student.universityId };
+  };
 
-      // Update bed (we already have the lock from raw SQL)
-      const updatedBed = await tx.bed.update({
-        where: { id: bed.id },
-        data: { occupiedBy: application.studentId },
-        include: {
-          room: {
-            include: {
-              block: {
-                include: {
-                  hostel: true,
-                },
-              },
-              floor: true,
-            },
-          },
-        },
-      });
+  const placements = plan.placements.map((placement) => {
+    const bed = bedsById.get(placement.bedId);
+    return {
+      ...placement,
+      student: describeStudent(placement.applicationId),
+      hostelName: bed.room.block.hostel.name,
+      blockName: bed.room.block.name,
+      roomNumber: bed.room.number,
+      bedNumber: bed.bedNumber,
+    };
+  });
 
-      // Update application status
-      await tx.application.update({
-        where: { id: application.id },
-        data: { status: 'ALLOCATED' },
-      });
+  const waitlist = plan.waitlist.map((entry) => ({
+    ...entry,
+    student: describeStudent(entry.applicationId),
+  }));
 
-      // Remove from waitlist if exists
-      await tx.waitlistEntry.deleteMany({
-        where: { applicationId: application.id },
-      });
+  const byHostel = hostels.map((hostel) => {
+    const before = snapshot.quotaStates.get(hostel.id);
+    const after = plan.quotaStates.get(hostel.id);
+    const occupiedBefore = before ? before.occupiedBeds : 0;
+    const occupiedAfter = after ? after.occupiedBeds : 0;
 
-      // Create allocation record
-      const allocation = await tx.allocation.create({
-        data: {
-          applicationId: application.id,
-          studentId: application.studentId,
-          roomId: updatedBed.room.id,
-          bedId: bed.id,
-          allocatedBy,
-        },
-      });
+    return {
+      hostelId: hostel.id,
+      hostelName: hostel.name,
+      totalBeds: before ? before.totalBeds : 0,
+      occupiedBefore,
+      occupiedAfter,
+      newlyAllocated: occupiedAfter - occupiedBefore,
+      freeAfter: after ? after.freeBeds : 0,
+      quotas: after ? after.pools : {},
+    };
+  });
 
-      // Create audit log entry
-      await tx.auditLog.create({
-        data: {
-          actorId: allocatedBy,
-          action: 'ALLOCATE',
-          targetType: 'ALLOCATION',
-          targetId: allocation.id,
-          details: {
-            applicationId: application.id,
-            studentId: application.studentId,
-            roomId: updatedBed.room.id,
-            bedId: bed.id,
-            automated: true,
-          },
-        },
-      });
+  return {
+    dryRun: true,
+    termId: term.id,
+    strategy,
+    policy: {
+      quotas: quotaPolicy.quotas,
+      quotaReleaseDate: quotaPolicy.releaseDate,
+      quotaReleased: quotaPolicy.released,
+    },
+    placements,
+    waitlist,
+    unmatchedRoommateRequests: plan.unmatchedRoommateRequests,
+    summary: {
+      applications: applications.length,
+      allocated: placements.length,
+      waitlisted: waitlist.length,
+      roommateGroupsPlaced: new Set(placements.filter((p) => p.roommateGroup).map((p) => p.roommateGroup[0])).size,
+      byHostel,
+    },
+  };
+};
 
-      return {
-        allocation,
-        room: updatedBed.room,
-        bed: updatedBed,
-      };
-    }, {
-      timeout: 10000, // 10 second timeout
-    });
+/**
+ * Load bed counts and reserved-bed usage per hostel
+ */
+const getQuotaStates = async (client, hostelIds = null, quotaPolicy = resolveQuotaPolicy()) => {
+  const { quotas, released } = quotaPolicy;
 
-    if (result) {
-      // Send notification email
-      await sendAllocationNotification(
-        application.student.email,
-        application.student.name,
-        {
-          hostelName: result.room.block.hostel.name,
-          blockName: result.room.block.name,
-          roomNumber: result.room.number,
-          bedNumber: result.bed.bedNumber,
-        }
-      );
+  const bedCounts = await client.$queryRawUnsafe(
+    `SELECT bl.hostel_id AS "hostelId",
+            COUNT(*)::int AS "totalBeds",
+            COUNT(b.occupied_by)::int AS "occupiedBeds",
+            (COUNT(*) FILTER (WHERE b.occupied_by IS NULL AND r.status = 'AVAILABLE' AND ${NOT_HELD_SQL}))::int AS "freeBeds"
+     FROM beds b
+     JOIN rooms r ON r.id = b.room_id
+     JOIN blocks bl ON bl.id = r.block_id
+     WHERE $1::text[] IS NULL OR bl.hostel_id = ANY($1::text[])
+     GROUP BY bl.hostel_id`,
+    hostelIds
+  );
+
+  // A bed counts against a quota when its occupant was allocated under that category
+  const quotaUsage = await client.$queryRawUnsafe(
+    `SELECT bl.hostel_id AS "hostelId",
+            a.priority_category AS "category",
+            COUNT(DISTINCT b.id)::int AS "used"
+     FROM beds b
+     JOIN rooms r ON r.id = b.room_id
+     JOIN blocks bl ON bl.id = r.block_id
+     JOIN allocations al ON al.bed_id = b.id AND al.student_id = b.occupied_by
+     JOIN applications a ON a.id = al.application_id
+     WHERE a.priority_category IS NOT NULL
+       AND ($1::text[] IS NULL OR bl.hostel_id = ANY($1::text[]))
+     GROUP BY bl.hostel_id, a.priority_category`,
+    hostelIds
+  );
+
+  const states = new Map();
+  for (const counts of bedCounts) {
+    const usedByCategory = {};
+    for (const usage of quotaUsage) {
+      if (usage.hostelId === counts.hostelId) {
+        usedByCategory[usage.category] = usage.used;
+      }
     }
 
-    return result !== null;
-  } catch (error) {
-    console.error('Transaction error:', error);
-    return false;
+    states.set(counts.hostelId, computeQuotaState({ ...counts, usedByCategory }, { quotas, released }));
   }
+
+  return states;
 };
 
 /**
- * Add application to waitlist
+ * Get reserved-bed pool usage for every hostel
  */
-const addToWaitlist = async (application) => {
-  const preferences = application.preferences || {};
-  const preferredHostels = preferences.preferredHostels || [];
-  const hostelId = preferredHostels.length > 0 ? preferredHostels[0] : null;
+const getQuotaUsage = async () => {
+  const { releaseDate, released } = resolveQuotaPolicy();
 
-  // Get current max rank
-  const maxRankEntry = await prisma.waitlistEntry.findFirst({
-    where: hostelId ? { hostelId } : {},
-    orderBy: { rank: 'desc' },
+  const [hostels, quotaStates] = await Promise.all([
+    prisma.hostel.findMany({
+      select: { id: true, name: true },
+      orderBy: { name: 'asc' },
+    }),
+    getQuotaStates(prisma),
+  ]);
+
+  return {
+    releaseDate,
+    released,
+    hostels: hostels.map((hostel) => ({
+      hostelId: hostel.id,
+      hostelName: hostel.name,
+      ...(quotaStates.get(hostel.id) ||
+        computeQuotaState({ totalBeds: 0, occupiedBeds: 0, freeBeds: 0 }, { released })),
+    })),
+  };
+};
+
+/**
+ * Recompute waitlist ranks from priority and application time within each
+ * term/hostel/room type pool (all pools unless `pools` is given).
+ * Returns the new rank of every ranked application.
+ */
+const recomputeWaitlistRanks = async (client = prisma, pools = null) => {
+  const entries = await client.waitlistEntry.findMany({
+    where: {
+      application: { status: 'WAITLISTED' },
+      ...(pools && {
+        OR: pools.map((pool) => ({ termId: pool.termId, hostelId: pool.hostelId, roomType: pool.roomType })),
+      }),
+    },
+    include: { application: true },
   });
 
-  const newRank = maxRankEntry ? maxRankEntry.rank + 1 : 1;
+  const ranks = new Map();
+  for (const pool of rankWaitlist(entries)) {
+    for (const entry of pool.entries) {
+      ranks.set(entry.applicationId, entry.position);
+
+      if (entry.rank !== entry.position) {
+        await client.waitlistEntry.update({
+          where: { id: entry.id },
+          data: { rank: entry.position },
+        });
+      }
+    }
+  }
+
+  return ranks;
+};
+
+/**
+ * Write the waitlist entry and WAITLISTED status for an application.
+ * The entry's rank is only settled by `recomputeWaitlistRanks`.
+ */
+const writeWaitlistEntry = async (client, application, trace = null) => {
+  const pool = getWaitlistPool(application);
 
-  // Update or create waitlist entry
-  await prisma.waitlistEntry.upsert({
+  // Update or create waitlist entry; the pool follows the current preferences
+  await client.waitlistEntry.upsert({
     where: { applicationId: application.id },
-    update: { rank: newRank },
+    update: pool,
     create: {
       applicationId: application.id,
-      rank: newRank,
-      hostelId,
-      roomType: preferences.roomType || null,
+      rank: 0,
+      ...pool,
     },
   });
 
   // Update application status
-  await prisma.application.update({
+  await client.application.update({
     where: { id: application.id },
-    data: { status: 'WAITLISTED' },
+    data: { status: 'WAITLISTED', decisionTrace: trace ?? Prisma.DbNull },
   });
 
+  return pool;
+};
+
+/**
+ * Add application to waitlist, recording why it was not placed
+ */
+const addToWaitlist = async (application, trace = null) => {
+  const pool = await writeWaitlistEntry(prisma, application, trace);
+  const ranks = await recomputeWaitlistRanks(prisma, [pool]);
+
   // Send notification
-  await sendWaitlistNotification(application.student.email, application.student.name, newRank);
+  await sendWaitlistNotification(
+    application.student.email,
+    application.student.name,
+    ranks.get(application.id),
+    trace?.message
+  );
+};
+
+/**
+ * Live waitlist position of an application within its pool, or null when
+ * it is not waitlisted
+ */
+const getWaitlistPosition = async (applicationId) => {
+  const entry = await prisma.waitlistEntry.findUnique({
+    where: { applicationId },
+    include: { application: true },
+  });
+
+  if (!entry || entry.application.status !== 'WAITLISTED') {
+    return null;
+  }
+
+  const [pool] = await getWaitlistPools({ termId: entry.termId, hostelId: entry.hostelId, roomType: entry.roomType });
+  const ranked = pool.entries.find((candidate) => candidate.applicationId === applicationId);
+
+  return {
+    termId: pool.termId,
+    hostelId: pool.hostelId,
+    roomType: pool.roomType,
+    position: ranked.position,
+    ahead: ranked.position - 1,
+    poolSize: pool.entries.length,
+  };
+};
+
+/**
+ * Waitlisted applications grouped by pool, each pool in live rank order.
+ * `termId` / `hostelId` / `roomType` narrow the result; null matches the "any" pool.
+ */
+const getWaitlistPools = async (filters = {}) => {
+  const where = { application: { status: 'WAITLISTED' } };
+  if (filters.termId) {
+    where.termId = filters.termId;
+  }
+  if (filters.hostelId !== undefined) {
+    where.hostelId = filters.hostelId;
+  }
+  if (filters.roomType !== undefined) {
+    where.roomType = filters.roomType;
+  }
+
+  const entries = await prisma.waitlistEntry.findMany({
+    where,
+    include: {
+      application: {
+        include: {
+          student: {
+            select: { id: true, name: true, email: true, universityId: true },
+          },
+        },
+      },
+    },
+  });
+
+  return rankWaitlist(entries);
 };
 
 module.exports = {
+  RUN_MODES,
   runAllocation,
+  simulateAllocation,
   allocateBed,
+  allocateGroup,
   addToWaitlist,
+  recomputeWaitlistRanks,
+  getWaitlistPosition,
+  getWaitlistPools,
+  promoteFromWaitlist,
+  acceptOffer,
+  declineOffer,
+  expireOffers,
+  deallocate,
+  getConfirmedRoommates,
+  getQuotaUsage,
 };
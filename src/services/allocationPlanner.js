@@ -0,0 +1,128 @@
+const { canUseHostel, consumeQuota } = require('./quotaPolicy');
+const { getCandidateHostels, rankCandidateBeds, rankCandidateRooms } = require('./bedScoring');
+const { isGenderCompatible } = require('./genderPolicy');
+const { buildRoommateGroups } = require('./roommateGroups');
+const { explainNoPlacement, lockContentionTrace } = require('./decisionTrace');
+
+/**
+ * Free beds that every applicant may take, given the current in-memory state
+ */
+const filterCandidateBeds = (freeBeds, applicants, quotaStates) => {
+  const preferredHostels = getCandidateHostels(applicants[0]);
+
+  return freeBeds.filter((bed) => {
+    const hostelId = bed.room.block.hostelId;
+
+    if (preferredHostels.length > 0 && !preferredHostels.includes(hostelId)) {
+      return false;
+    }
+
+    return applicants.every((applicant) => (
+      canUseHostel(quotaStates.get(hostelId), applicant.priorityCategory) &&
+      isGenderCompatible(applicant.student?.gender, bed.room)
+    ));
+  });
+};
+
+/**
+ * Compute a complete assignment in memory, without touching the database.
+ *
+ * Applications are processed in the given order with the same rules as the
+ * live engine (quotas, gender, hard constraints, scoring, roommate groups).
+ * `snapshot.freeBeds` and `snapshot.quotaStates` are not modified.
+ */
+const planAllocation = (applications, snapshot) => {
+  const freeBeds = new Map(snapshot.freeBeds.map((bed) => [bed.id, bed]));
+  const quotaStates = new Map(
+    [...snapshot.quotaStates.entries()].map(([hostelId, state]) => [
+      hostelId,
+      { ...state, pools: JSON.parse(JSON.stringify(state.pools)) },
+    ])
+  );
+
+  const { groups, oneSided } = buildRoommateGroups(applications);
+  const groupByApplication = new Map();
+  for (const group of groups) {
+    for (const application of group) {
+      groupByApplication.set(application.id, group);
+    }
+  }
+
+  const placements = [];
+  const waitlist = [];
+  const processed = new Set();
+
+  const place = (application, bed, match, roommateGroup = null) => {
+    freeBeds.delete(bed.id);
+    consumeQuota(quotaStates.get(bed.room.block.hostelId), application.priorityCategory);
+
+    placements.push({
+      applicationId: application.id,
+      studentId: application.studentId,
+      termId: application.termId,
+      bedId: bed.id,
+      roomId: bed.roomId,
+      hostelId: bed.room.block.hostelId,
+      score: match.score,
+      satisfied: match.satisfied,
+      roommateGroup,
+    });
+  };
+
+  for (const application of applications) {
+    if (processed.has(application.id)) {
+      continue;
+    }
+
+    // A group is handled when its highest-ranked member comes up
+    const members = groupByApplication.get(application.id) || [application];
+    members.forEach((member) => processed.add(member.id));
+
+    const candidateBeds = filterCandidateBeds([...freeBeds.values()], members, quotaStates);
+
+    if (members.length > 1) {
+      const [room] = rankCandidateRooms(candidateBeds, members);
+
+      if (room) {
+        const roommateGroup = members.map((member) => member.id);
+        const beds = [...room.beds].sort((a, b) => a.bedNumber - b.bedNumber);
+        members.forEach((member, i) => place(member, beds[i], room.matches[i], roommateGroup));
+        continue;
+      }
+    } else {
+      const [best] = rankCandidateBeds(candidateBeds, application.preferences, application.assignedHostelId);
+
+      if (best) {
+        place(application, best.bed, best);
+        continue;
+      }
+    }
+
+    const trace = explainNoPlacement([...freeBeds.values()], members, quotaStates) || lockContentionTrace();
+
+    for (const member of members) {
+      waitlist.push({
+        applicationId: member.id,
+        studentId: member.studentId,
+        position: waitlist.length + 1,
+        reason: trace.reason,
+        trace,
+      });
+    }
+  }
+
+  return {
+    placements,
+    waitlist,
+    quotaStates,
+    unmatchedRoommateRequests: oneSided.map((request) => ({
+      applicationId: request.application.id,
+      universityIds: request.universityIds,
+    })),
+  };
+};
+
+module.exports = {
+  filterCandidateBeds,
+  planAllocation,
+};
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+
+// Priority categories, highest priority first; anything else comes after
+const PRIORITY_ORDER = ['HANDICAPPED', 'MERIT'];
+
+const DEFAULT_STRATEGY = 'FCFS';
+
+// Late applications rank after every on-time one, keeping their category order
+const priorityRank = (application) => {
+  const index = PRIORITY_ORDER.indexOf(application.priorityCategory);
+  const rank = index === -1 ? PRIORITY_ORDER.length : index;
+  return application.isLate ? rank + PRIORITY_ORDER.length + 1 : rank;
+};
+
+const appliedAtTime = (application) => new Date(application.appliedAt).getTime();
+
+const compareFcfs = (a, b) => (
+  priorityRank(a) - priorityRank(b) ||
+  appliedAtTime(a) - appliedAtTime(b) ||
+  a.id.localeCompare(b.id)
+);
+
+const compareMerit = (a, b) => (
+  priorityRank(a) - priorityRank(b) ||
+  (b.meritScore ?? -Infinity) - (a.meritScore ?? -Infinity) ||
+  appliedAtTime(a) - appliedAtTime(b) ||
+  a.id.localeCompare(b.id)
+);
+
+/**
+ * Deterministic PRNG (mulberry32) seeded from an arbitrary string
+ */
+const createRandom = (seed) => {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * First come, first served within each priority category
+ */
+const fcfs = {
+  name: 'FCFS',
+  description: 'Priority categories first, then earliest application',
+  prepare: (applications) => ({
+    ordered: [...applications].sort(compareFcfs),
+  }),
+};
+
+/**
+ * Reproducible lottery within each priority category.
+ * The seed is returned so the draw can be audited and replayed.
+ */
+const lottery = {
+  name: 'LOTTERY',
+  description: 'Priority categories first, then a seeded random draw',
+  prepare: (applications, { seed } = {}) => {
+    const drawSeed = seed !== undefined && seed !== null && seed !== ''
+      ? String(seed)
+      : crypto.randomBytes(8).toString('hex');
+    const random = createRandom(drawSeed);
+
+    // Shuffle a canonical ordering so the same seed always gives the same draw
+    const shuffled = [...applications].sort((a, b) => a.id.localeCompare(b.id));
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    const drawPosition = new Map(shuffled.map((application, index) => [application.id, index]));
+
+    return {
+      seed: drawSeed,
+      ordered: shuffled.sort((a, b) => (
+        priorityRank(a) - priorityRank(b) || drawPosition.get(a.id) - drawPosition.get(b.id)
+      )),
+    };
+  },
+};
+
+/**
+ * Highest merit score first within each priority category
+ */
+const merit = {
+  name: 'MERIT',
+  description: 'Priority categories first, then highest merit score',
+  prepare: (applications) => ({
+    ordered: [...applications].sort(compareMerit),
+  }),
+};
+
+/**
+ * Student-proposing deferred acceptance (Gale-Shapley) over ranked hostels.
+ *
+ * Hostels rank students by priority category, merit score and application
+ * time; `capacity` is the number of free beds per hostel. Matched students
+ * try their matched hostel first and fall back to their other choices, as
+ * the free-bed count ignores gender and quota restrictions; students without
+ * ranked hostels or without a match are processed last.
+ */
+const stableMatching = {
+  name: 'STABLE_MATCHING',
+  description: 'Stable matching between ranked hostel preferences and hostel capacity',
+  prepare: (applications, { capacity = new Map() } = {}) => {
+    const hostelRank = new Map([...applications].sort(compareMerit).map((application, index) => [application.id, index]));
+    const held = new Map();
+    const nextChoice = new Map(applications.map((application) => [application.id, 0]));
+    const free = applications.filter((application) => (application.preferences?.preferredHostels || []).length > 0);
+
+    while (free.length > 0) {
+      const application = free.shift();
+      const choices = application.preferences.preferredHostels;
+      const choiceIndex = nextChoice.get(application.id);
+
+      if (choiceIndex >= choices.length) {
+        continue;
+      }
+
+      nextChoice.set(application.id, choiceIndex + 1);
+
+      const hostelId = choices[choiceIndex];
+      const seats = capacity.get(hostelId) || 0;
+      const holders = held.get(hostelId) || [];
+
+      holders.push(application);
+      holders.sort((a, b) => hostelRank.get(a.id) - hostelRank.get(b.id));
+
+      // Keep the best-ranked students up to capacity; the rest propose again
+      free.push(...holders.splice(seats));
+      held.set(hostelId, holders);
+    }
+
+    const hostelAssignments = new Map();
+    for (const [hostelId, holders] of held.entries()) {
+      for (const application of holders) {
+        hostelAssignments.set(application.id, hostelId);
+      }
+    }
+
+    const ordered = [...applications].sort((a, b) => (
+      (hostelAssignments.has(a.id) ? 0 : 1) - (hostelAssignments.has(b.id) ? 0 : 1) ||
+      hostelRank.get(a.id) - hostelRank.get(b.id)
+    ));
+
+    return { ordered, hostelAssignments };
+  },
+};
+
+const STRATEGIES = {
+  [fcfs.name]: fcfs,
+  [lottery.name]: lottery,
+  [merit.name]: merit,
+  [stableMatching.name]: stableMatching,
+};
+
+/**
+ * Look up a strategy by name
+ */
+const getStrategy = (name = DEFAULT_STRATEGY) => {
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    const error = new Error(`Unknown allocation strategy: ${name}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return strategy;
+};
+
+/**
+ * Order applications with the chosen strategy.
+ *
+ * Returns the ordered applications (matched hostels attached as
+ * `assignedHostelId`) and what was used, including the lottery seed.
+ */
+const orderApplications = (applications, { strategy = DEFAULT_STRATEGY, seed, capacity } = {}) => {
+  const selected = getStrategy(strategy);
+  const result = selected.prepare(applications, { seed, capacity });
+  const assignments = result.hostelAssignments || new Map();
+
+  return {
+    strategy: { name: selected.name, seed: result.seed ?? null },
+    ordered: result.ordered.map((application) => (
+      assignments.has(application.id)
+        ? { ...application, assignedHostelId: assignments.get(application.id) }
+        : application
+    )),
+  };
+};
+
+module.exports = {
+  PRIORITY_ORDER,
+  DEFAULT_STRATEGY,
+  STRATEGIES,
+  priorityRank,
+  createRandom,
+  getStrategy,
+  orderApplications,
+};
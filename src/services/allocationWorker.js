@@ -1,5 +1,6 @@
-const { Queue, Worker } = require('bullmq');
+const { Queue, Worker, UnrecoverableError } = require('bullmq');
 const allocationEngine = require('./allocationEngine');
+const { resolveSystemUserId } = require('./expiryJobs');
 
 // Redis connection config
 const connection = {
@@ -7,6 +8,12 @@ const connection = {
   port: parseInt(process.env.REDIS_PORT || '6379'),
 };
 
+// Jobs that find another run in progress are retried with backoff
+const RUN_JOB_OPTIONS = {
+  attempts: 6,
+  backoff: { type: 'exponential', delay: 60000 },
+};
+
 // Create queue
 const allocationQueue = new Queue('allocation', { connection });
 
@@ -15,9 +22,17 @@ const allocationWorker = new Worker(
   'allocation',
   async (job) => {
     console.log(`Processing allocation job ${job.id}`);
-    const { allocatedBy } = job.data;
-    const result = await allocationEngine.runAllocation(allocatedBy);
-    return result;
+    const { allocatedBy, mode, strategy, seed, source = 'QUEUE' } = job.data;
+
+    try {
+      return await allocationEngine.runAllocation(allocatedBy, { mode, strategy, seed, source });
+    } catch (error) {
+      // Only a busy run is worth retrying; anything else would fail the same way again
+      if (error.statusCode === 409) {
+        throw error;
+      }
+      throw new UnrecoverableError(error.message);
+    }
   },
   { connection }
 );
@@ -30,19 +45,22 @@ allocationWorker.on('failed', (job, err) => {
   console.error(`Allocation job ${job.id} failed:`, err);
 });
 
-// Schedule daily allocation (runs at 2 AM)
+// Schedule daily allocation (runs at 2 AM); offer and bed hold expiry are
+// scheduled by the server (see expiryJobs)
 const scheduleDailyAllocation = async () => {
   try {
     const cron = require('node-cron');
-    
+    const systemUserId = await resolveSystemUserId();
+
     cron.schedule('0 2 * * *', async () => {
       console.log('Running scheduled daily allocation...');
       try {
-        // Use a system admin user ID or create a system user
-        const systemUserId = process.env.SYSTEM_USER_ID || 'system';
         await allocationQueue.add('daily-allocation', {
           allocatedBy: systemUserId,
-        });
+          mode: process.env.ALLOCATION_MODE || 'SEQUENTIAL',
+          strategy: process.env.ALLOCATION_STRATEGY || 'FCFS',
+          source: 'CRON',
+        }, RUN_JOB_OPTIONS);
       } catch (error) {
         console.error('Failed to schedule daily allocation:', error);
       }
@@ -58,6 +76,7 @@ if (process.env.ENABLE_SCHEDULED_ALLOCATION === 'true') {
 }
 
 module.exports = {
+  RUN_JOB_OPTIONS,
   allocationQueue,
   allocationWorker,
 };
@@ -0,0 +1,122 @@
+const { normalizePreferences } = require('./bedScoring');
+
+const WINDOW_STATES = {
+  UPCOMING: 'UPCOMING',
+  OPEN: 'OPEN',
+  LATE: 'LATE',
+  CLOSED: 'CLOSED',
+};
+
+/**
+ * The window that applies to a hostel: its own, otherwise the term-wide one
+ */
+const findWindow = (windows, hostelId = null) => {
+  return (hostelId && windows.find((window) => window.hostelId === hostelId)) ||
+    windows.find((window) => !window.hostelId) ||
+    null;
+};
+
+/**
+ * Where a window stands at `now`, with the next change for a countdown
+ */
+const getWindowStatus = (window, now = new Date()) => {
+  const time = now.getTime();
+  const opensAt = new Date(window.opensAt);
+  const closesAt = new Date(window.closesAt);
+  const lateUntil = window.lateUntil ? new Date(window.lateUntil) : null;
+
+  let state;
+  let nextChangeAt;
+  if (time < opensAt.getTime()) {
+    state = WINDOW_STATES.UPCOMING;
+    nextChangeAt = opensAt;
+  } else if (time < closesAt.getTime()) {
+    state = WINDOW_STATES.OPEN;
+    nextChangeAt = closesAt;
+  } else if (window.allowLate && (!lateUntil || time < lateUntil.getTime())) {
+    state = WINDOW_STATES.LATE;
+    nextChangeAt = lateUntil;
+  } else {
+    state = WINDOW_STATES.CLOSED;
+    nextChangeAt = null;
+  }
+
+  return {
+    state,
+    opensAt,
+    closesAt,
+    allowLate: Boolean(window.allowLate),
+    lateUntil,
+    nextChangeAt,
+    secondsRemaining: nextChangeAt ? Math.max(0, Math.ceil((nextChangeAt.getTime() - time) / 1000)) : null,
+  };
+};
+
+/**
+ * Decide whether an application may be submitted now. The window is picked
+ * by the first preferred hostel; without any applicable window submissions
+ * are always accepted.
+ *
+ * Returns {accepted, late, message, status}.
+ */
+const checkSubmission = (windows, preferences, now = new Date()) => {
+  const { preferredHostels } = normalizePreferences(preferences);
+  const window = findWindow(windows, preferredHostels[0] || null);
+
+  if (!window) {
+    return { accepted: true, late: false, message: null, status: null };
+  }
+
+  const status = getWindowStatus(window, now);
+
+  switch (status.state) {
+    case WINDOW_STATES.UPCOMING:
+      return {
+        accepted: false,
+        late: false,
+        message: `Applications open on ${status.opensAt.toISOString()}`,
+        status,
+      };
+    case WINDOW_STATES.CLOSED:
+      return {
+        accepted: false,
+        late: false,
+        message: `Applications closed on ${(status.lateUntil || status.closesAt).toISOString()}`,
+        status,
+      };
+    case WINDOW_STATES.LATE:
+      return {
+        accepted: true,
+        late: true,
+        message: 'The application window has closed; this application is accepted as late and ranked after on-time applications',
+        status,
+      };
+    default:
+      return { accepted: true, late: false, message: null, status };
+  }
+};
+
+/**
+ * Decide whether a submitted application may switch to `preferences`.
+ * Changing the preferred hostels is a new submission for window purposes,
+ * so it is checked like one; other edits are always accepted.
+ *
+ * Returns {accepted, late, message, status} like checkSubmission.
+ */
+const checkPreferenceChange = (windows, oldPreferences, preferences, now = new Date()) => {
+  const before = normalizePreferences(oldPreferences).preferredHostels;
+  const after = normalizePreferences(preferences).preferredHostels;
+  const unchanged = before.length === after.length && before.every((hostelId, index) => hostelId === after[index]);
+
+  return unchanged
+    ? { accepted: true, late: false, message: null, status: null }
+    : checkSubmission(windows, preferences, now);
+};
+
+module.exports = {
+  WINDOW_STATES,
+  findWindow,
+  getWindowStatus,
+  checkSubmission,
+  checkPreferenceChange,
+};
@@ -0,0 +1,189 @@
+const { PrismaClient } = require('@prisma/client');
+const { createAuditLog } = require('../middleware/auditLog');
+const allocationEngine = require('./allocationEngine');
+const { normalizeUniversityId } = require('./roommateGroups');
+
+const prisma = new PrismaClient();
+
+const statusError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toEligibleIds = (universityIds = []) => [...new Set(universityIds.map(normalizeUniversityId))];
+
+/**
+ * Place a hold on one bed (`bedId`) or a whole room. A room hold marks the
+ * room RESERVED; a bed hold keeps just that bed out of allocation runs.
+ */
+const createHold = async (ownerId, { roomId, bedId, purpose, reason, eligibleUniversityIds, expiresAt }) => {
+  const hold = await prisma.$transaction(async (tx) => {
+    const room = await tx.room.findUnique({
+      where: { id: roomId },
+      include: { beds: true, holds: { where: { status: 'ACTIVE' } } },
+    });
+
+    if (!room) {
+      throw statusError('Room not found', 404);
+    }
+
+    if (room.holds.some((existing) => !existing.bedId)) {
+      throw statusError('The whole room is already held', 409);
+    }
+
+    if (bedId) {
+      const bed = room.beds.find((candidate) => candidate.id === bedId);
+      if (!bed) {
+        throw statusError('Bed not found in this room', 404);
+      }
+      if (bed.occupiedBy) {
+        throw statusError('Bed is occupied', 409);
+      }
+      if (room.holds.some((existing) => existing.bedId === bedId)) {
+        throw statusError('Bed is already held', 409);
+      }
+    } else {
+      if (room.status !== 'AVAILABLE') {
+        throw statusError(`Only available rooms can be held; this room is ${room.status.toLowerCase()}`, 409);
+      }
+      if (room.holds.length > 0) {
+        throw statusError('Release the holds on beds in this room before holding the whole room', 409);
+      }
+
+      await tx.room.update({ where: { id: room.id }, data: { status: 'RESERVED' } });
+    }
+
+    return tx.bedHold.create({
+      data: {
+        roomId: room.id,
+        bedId: bedId || null,
+        purpose,
+        reason: reason || null,
+        ownerId,
+        eligibleUniversityIds: toEligibleIds(eligibleUniversityIds),
+        expiresAt: new Date(expiresAt),
+      },
+    });
+  });
+
+  await createAuditLog(ownerId, 'CREATE', 'BED_HOLD', hold.id, {
+    roomId: hold.roomId,
+    bedId: hold.bedId,
+    purpose: hold.purpose,
+    expiresAt: hold.expiresAt,
+  });
+
+  return hold;
+};
+
+/**
+ * Change the intended group, reason or expiry of an active hold
+ */
+const updateHold = async (holdId, actorId, { reason, eligibleUniversityIds, expiresAt }) => {
+  const existing = await prisma.bedHold.findUnique({ where: { id: holdId } });
+  if (!existing) {
+    throw statusError('Hold not found', 404);
+  }
+
+  const data = {
+    ...(reason !== undefined && { reason: reason || null }),
+    ...(eligibleUniversityIds !== undefined && { eligibleUniversityIds: toEligibleIds(eligibleUniversityIds) }),
+    ...(expiresAt !== undefined && { expiresAt: new Date(expiresAt) }),
+  };
+
+  const updated = await prisma.bedHold.updateMany({ where: { id: holdId, status: 'ACTIVE' }, data });
+  if (updated.count === 0) {
+    throw statusError(`Hold is already ${existing.status.toLowerCase()}`, 409);
+  }
+
+  await createAuditLog(actorId, 'UPDATE', 'BED_HOLD', holdId, {
+    before: {
+      reason: existing.reason,
+      eligibleUniversityIds: existing.eligibleUniversityIds,
+      expiresAt: existing.expiresAt,
+    },
+    after: data,
+  });
+
+  return prisma.bedHold.findUnique({ where: { id: holdId } });
+};
+
+/**
+ * End an active hold (RELEASED by a warden, EXPIRED by the worker). A held
+ * room becomes AVAILABLE again, and the freed beds are offered to the waitlist.
+ * Returns {hold, promotions}.
+ */
+const releaseHold = async (holdId, actorId, status = 'RELEASED') => {
+  const { hold, freedBedIds } = await prisma.$transaction(async (tx) => {
+    const existing = await tx.bedHold.findUnique({ where: { id: holdId } });
+    if (!existing) {
+      throw statusError('Hold not found', 404);
+    }
+
+    const released = await tx.bedHold.updateMany({
+      where: { id: holdId, status: 'ACTIVE' },
+      data: { status, releasedAt: new Date(), releasedBy: actorId },
+    });
+    if (released.count === 0) {
+      throw statusError(`Hold is already ${existing.status.toLowerCase()}`, 409);
+    }
+
+    if (!existing.bedId) {
+      await tx.room.updateMany({ where: { id: existing.roomId, status: 'RESERVED' }, data: { status: 'AVAILABLE' } });
+    }
+
+    const freeBeds = await tx.bed.findMany({
+      where: {
+        occupiedBy: null,
+        ...(existing.bedId ? { id: existing.bedId } : { roomId: existing.roomId }),
+      },
+      select: { id: true },
+    });
+
+    return {
+      hold: await tx.bedHold.findUnique({ where: { id: holdId } }),
+      freedBedIds: freeBeds.map((bed) => bed.id),
+    };
+  });
+
+  await createAuditLog(actorId, 'UPDATE', 'BED_HOLD', holdId, { status, freedBedIds });
+
+  const promotions = await allocationEngine.promoteFromWaitlist(freedBedIds, actorId);
+
+  return { hold, promotions };
+};
+
+/**
+ * Release every active hold past its expiry (run by the worker)
+ */
+const expireHolds = async (actorId) => {
+  const holds = await prisma.bedHold.findMany({
+    where: { status: 'ACTIVE', expiresAt: { lte: new Date() } },
+    orderBy: { expiresAt: 'asc' },
+  });
+
+  const stats = { expired: 0, promoted: 0 };
+
+  for (const hold of holds) {
+    try {
+      const { promotions } = await releaseHold(hold.id, actorId, 'EXPIRED');
+      stats.expired += 1;
+      stats.promoted += promotions.length;
+    } catch (error) {
+      // Released by a warden in the meantime
+      if (error.statusCode !== 409) {
+        console.error(`Failed to expire hold ${hold.id}:`, error);
+      }
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  createHold,
+  updateHold,
+  releaseHold,
+  expireHolds,
+};
@@ -0,0 +1,215 @@
+// Room types derived from capacity unless a room overrides it in `features.roomType`
+const ROOM_TYPES = {
+  SINGLE: 1,
+  DOUBLE: 2,
+  TRIPLE: 3,
+  DORMITORY: 4,
+};
+
+// "STANDARD" is the historical default and means "no room type preference"
+const ANY_ROOM_TYPE = 'STANDARD';
+
+// Relative weight of each soft preference
+const SCORE_WEIGHTS = {
+  hostelRank: 50,
+  desiredFeatures: 30,
+  floor: 20,
+};
+
+/**
+ * Resolve the room type of a room
+ */
+const getRoomType = (room) => {
+  const features = room.features || {};
+  if (features.roomType) {
+    return features.roomType;
+  }
+
+  if (room.capacity >= ROOM_TYPES.DORMITORY) {
+    return 'DORMITORY';
+  }
+
+  return Object.keys(ROOM_TYPES).find((type) => ROOM_TYPES[type] === room.capacity) || 'DORMITORY';
+};
+
+/**
+ * Normalize the preference fields used for bed matching
+ */
+const normalizePreferences = (preferences = {}) => {
+  const roomType = preferences.roomType && preferences.roomType !== ANY_ROOM_TYPE
+    ? preferences.roomType
+    : null;
+
+  return {
+    preferredHostels: preferences.preferredHostels || [],
+    roomType,
+    requiredFeatures: preferences.requiredFeatures || [],
+    desiredFeatures: preferences.desiredFeatures || [],
+    floorRange: preferences.floorRange || null,
+  };
+};
+
+/**
+ * Hostels an application may be placed in: the student's own ranked choices
+ * (empty means any), led by the hostel a matching strategy assigned. The
+ * match works from raw free-bed counts, so the other choices stay open in
+ * case the assigned hostel has no bed this student can take.
+ */
+const getCandidateHostels = (application) => {
+  const { preferredHostels } = normalizePreferences(application.preferences);
+  const { assignedHostelId } = application;
+
+  if (!assignedHostelId) {
+    return preferredHostels;
+  }
+
+  return [assignedHostelId, ...preferredHostels.filter((hostelId) => hostelId !== assignedHostelId)];
+};
+
+// 1 for beds in the assigned hostel, so they sort ahead of the rest
+const assignedFirst = (bed, assignedHostelId) => (
+  assignedHostelId && bed.room.block?.hostelId === assignedHostelId ? 1 : 0
+);
+
+const hasFeature = (room, feature) => Boolean((room.features || {})[feature]);
+
+/**
+ * Check the hard constraints (room type and required features) for a bed
+ */
+const isBedEligible = (bed, preferences) => {
+  const prefs = normalizePreferences(preferences);
+  const { room } = bed;
+
+  if (prefs.roomType && getRoomType(room) !== prefs.roomType) {
+    return false;
+  }
+
+  return prefs.requiredFeatures.every((feature) => hasFeature(room, feature));
+};
+
+/**
+ * Score a bed against a student's soft preferences.
+ *
+ * Returns a 0-100 score (share of the achievable points) and the breakdown
+ * of which preferences were satisfied.
+ */
+const scoreBed = (bed, preferences) => {
+  const prefs = normalizePreferences(preferences);
+  const { room } = bed;
+  const hostelId = room.block?.hostelId;
+
+  let points = 0;
+  let maxPoints = 0;
+  const satisfied = {};
+
+  if (prefs.preferredHostels.length > 0) {
+    const index = prefs.preferredHostels.indexOf(hostelId);
+    const count = prefs.preferredHostels.length;
+
+    maxPoints += SCORE_WEIGHTS.hostelRank;
+    if (index !== -1) {
+      points += SCORE_WEIGHTS.hostelRank * ((count - index) / count);
+    }
+    satisfied.hostelRank = index !== -1 ? index + 1 : null;
+  }
+
+  if (prefs.roomType) {
+    satisfied.roomType = getRoomType(room) === prefs.roomType;
+  }
+
+  if (prefs.requiredFeatures.length > 0) {
+    satisfied.requiredFeatures = prefs.requiredFeatures.filter((feature) => hasFeature(room, feature));
+  }
+
+  if (prefs.desiredFeatures.length > 0) {
+    const matched = prefs.desiredFeatures.filter((feature) => hasFeature(room, feature));
+
+    maxPoints += SCORE_WEIGHTS.desiredFeatures;
+    points += SCORE_WEIGHTS.desiredFeatures * (matched.length / prefs.desiredFeatures.length);
+    satisfied.desiredFeatures = matched;
+  }
+
+  if (prefs.floorRange) {
+    const floorNumber = room.floor?.floorNumber;
+    const { min = -Infinity, max = Infinity } = prefs.floorRange;
+    const inRange = floorNumber !== undefined && floorNumber >= min && floorNumber <= max;
+
+    maxPoints += SCORE_WEIGHTS.floor;
+    if (inRange) {
+      points += SCORE_WEIGHTS.floor;
+    }
+    satisfied.floor = inRange;
+  }
+
+  return {
+    score: maxPoints > 0 ? Math.round((points / maxPoints) * 100) : 100,
+    satisfied,
+  };
+};
+
+/**
+ * Drop ineligible beds and order the rest by score (best match first);
+ * beds in `assignedHostelId`, when given, come before all others
+ */
+const rankCandidateBeds = (beds, preferences, assignedHostelId = null) => {
+  return beds
+    .filter((bed) => isBedEligible(bed, preferences))
+    .map((bed) => ({ bed, ...scoreBed(bed, preferences) }))
+    .sort((a, b) => (
+      assignedFirst(b.bed, assignedHostelId) - assignedFirst(a.bed, assignedHostelId) ||
+      b.score - a.score ||
+      a.bed.id.localeCompare(b.bed.id)
+    ));
+};
+
+/**
+ * Rank rooms that can take a whole roommate group.
+ *
+ * A room qualifies when it has a free bed for every member and each member's
+ * hard constraints are met; rooms in the group's assigned hostel come first,
+ * then rooms are ordered by the members' average score.
+ */
+const rankCandidateRooms = (beds, group) => {
+  const rooms = new Map();
+  for (const bed of beds) {
+    if (!rooms.has(bed.roomId)) {
+      rooms.set(bed.roomId, []);
+    }
+    rooms.get(bed.roomId).push(bed);
+  }
+
+  const candidateRooms = [];
+  for (const [roomId, roomBeds] of rooms.entries()) {
+    if (roomBeds.length < group.length) {
+      continue;
+    }
+
+    const matches = group.map((application) => rankCandidateBeds(roomBeds, application.preferences)[0]);
+    if (matches.some((match) => !match)) {
+      continue;
+    }
+
+    const averageScore = matches.reduce((sum, match) => sum + match.score, 0) / matches.length;
+    candidateRooms.push({ roomId, beds: roomBeds, matches, averageScore });
+  }
+
+  const { assignedHostelId } = group[0];
+  return candidateRooms.sort((a, b) => (
+    assignedFirst(b.beds[0], assignedHostelId) - assignedFirst(a.beds[0], assignedHostelId) ||
+    b.averageScore - a.averageScore ||
+    a.roomId.localeCompare(b.roomId)
+  ));
+};
+
+module.exports = {
+  ROOM_TYPES,
+  ANY_ROOM_TYPE,
+  SCORE_WEIGHTS,
+  getRoomType,
+  normalizePreferences,
+  getCandidateHostels,
+  isBedEligible,
+  scoreBed,
+  rankCandidateBeds,
+  rankCandidateRooms,
+};
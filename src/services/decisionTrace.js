@@ -0,0 +1,95 @@
+const { canUseHostel } = require('./quotaPolicy');
+const { getCandidateHostels, normalizePreferences, getRoomType, rankCandidateRooms } = require('./bedScoring');
+const { isGenderCompatible } = require('./genderPolicy');
+
+// Why an application was not placed, in the order the engine's filters apply
+const WAITLIST_REASONS = {
+  NO_BEDS_IN_PREFERRED_HOSTELS: 'No free beds in your preferred hostels',
+  GENDER_MISMATCH: 'Free beds in your preferred hostels are reserved for another gender',
+  ROOM_TYPE_UNAVAILABLE: 'No free beds of your requested room type',
+  REQUIRED_FEATURES_UNAVAILABLE: 'No free beds with all of your required room features',
+  QUOTA_EXHAUSTED: 'Remaining beds are reserved for priority categories',
+  ROOMMATE_GROUP_UNPLACEABLE: 'No single room can take your whole roommate group',
+  LOCK_CONTENTION: 'Matching beds were taken by concurrent allocations',
+  ERROR: 'An error occurred while processing your application',
+};
+
+const buildTrace = (reason, counts, extra = {}) => ({
+  reason,
+  message: WAITLIST_REASONS[reason],
+  counts,
+  evaluatedAt: new Date().toISOString(),
+  ...extra,
+});
+
+/**
+ * Explain why no bed could be found for a set of applicants (one student or a
+ * roommate group), by replaying the engine's filters over the free beds.
+ *
+ * Returns null when a bed (or room) was in fact available, which means the
+ * placement lost a race for the bed rather than failing a rule.
+ */
+const explainNoPlacement = (freeBeds, applicants, quotaStates) => {
+  const candidateHostels = getCandidateHostels(applicants[0]);
+  const counts = {};
+
+  let beds = freeBeds.filter((bed) => (
+    candidateHostels.length === 0 || candidateHostels.includes(bed.room.block.hostelId)
+  ));
+  counts.freeBeds = beds.length;
+  if (beds.length === 0) {
+    return buildTrace('NO_BEDS_IN_PREFERRED_HOSTELS', counts);
+  }
+
+  beds = beds.filter((bed) => applicants.every((applicant) => isGenderCompatible(applicant.student?.gender, bed.room)));
+  counts.genderCompatible = beds.length;
+  if (beds.length === 0) {
+    return buildTrace('GENDER_MISMATCH', counts);
+  }
+
+  beds = beds.filter((bed) => applicants.every((applicant) => {
+    const { roomType } = normalizePreferences(applicant.preferences);
+    return !roomType || getRoomType(bed.room) === roomType;
+  }));
+  counts.roomTypeMatches = beds.length;
+  if (beds.length === 0) {
+    return buildTrace('ROOM_TYPE_UNAVAILABLE', counts);
+  }
+
+  beds = beds.filter((bed) => applicants.every((applicant) => (
+    normalizePreferences(applicant.preferences).requiredFeatures
+      .every((feature) => Boolean((bed.room.features || {})[feature]))
+  )));
+  counts.requiredFeaturesMatch = beds.length;
+  if (beds.length === 0) {
+    return buildTrace('REQUIRED_FEATURES_UNAVAILABLE', counts);
+  }
+
+  beds = beds.filter((bed) => applicants.every((applicant) => (
+    canUseHostel(quotaStates.get(bed.room.block.hostelId), applicant.priorityCategory)
+  )));
+  counts.withinQuota = beds.length;
+  if (beds.length === 0) {
+    return buildTrace('QUOTA_EXHAUSTED', counts);
+  }
+
+  if (applicants.length > 1 && rankCandidateRooms(beds, applicants).length === 0) {
+    return buildTrace('ROOMMATE_GROUP_UNPLACEABLE', counts, { groupSize: applicants.length });
+  }
+
+  return null;
+};
+
+/**
+ * Trace for a placement that had eligible beds but could not lock any
+ */
+const lockContentionTrace = () => buildTrace('LOCK_CONTENTION', {});
+
+const errorTrace = (error) => buildTrace('ERROR', {}, { error: error.message });
+
+module.exports = {
+  WAITLIST_REASONS,
+  explainNoPlacement,
+  lockContentionTrace,
+  errorTrace,
+};
@@ -0,0 +1,68 @@
+const cron = require('node-cron');
+const { PrismaClient } = require('@prisma/client');
+const allocationEngine = require('./allocationEngine');
+const bedHoldService = require('./bedHoldService');
+
+const prisma = new PrismaClient();
+
+/**
+ * The user scheduled jobs act as, from `SYSTEM_USER_ID`. Their changes are
+ * audited under it, so it must be an existing admin.
+ */
+const resolveSystemUserId = async () => {
+  const systemUserId = process.env.SYSTEM_USER_ID;
+  if (!systemUserId) {
+    throw new Error('SYSTEM_USER_ID must be set to the ID of an admin user');
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: systemUserId }, select: { role: true } });
+  if (!user || user.role !== 'ADMIN') {
+    throw new Error(`SYSTEM_USER_ID ${systemUserId} is not an admin user`);
+  }
+
+  return systemUserId;
+};
+
+/**
+ * Expire unanswered offers and pass their beds to the waitlist
+ */
+const expireOffers = async (systemUserId) => {
+  try {
+    const result = await allocationEngine.expireOffers(systemUserId);
+    if (result.expired > 0) {
+      console.log(`Expired ${result.expired} offer(s), promoted ${result.promoted} waitlisted student(s)`);
+    }
+  } catch (error) {
+    console.error('Failed to expire offers:', error);
+  }
+};
+
+/**
+ * Release expired bed holds and pass the beds to the waitlist
+ */
+const expireHolds = async (systemUserId) => {
+  try {
+    const result = await bedHoldService.expireHolds(systemUserId);
+    if (result.expired > 0) {
+      console.log(`Released ${result.expired} expired bed hold(s), promoted ${result.promoted} waitlisted student(s)`);
+    }
+  } catch (error) {
+    console.error('Failed to expire bed holds:', error);
+  }
+};
+
+/**
+ * Run expiry every 15 minutes. This does not depend on Redis or scheduled
+ * allocation: without it, lapsed offers and holds would keep beds blocked.
+ */
+const scheduleExpiryJobs = (systemUserId) => {
+  cron.schedule('*/15 * * * *', async () => {
+    await expireOffers(systemUserId);
+    await expireHolds(systemUserId);
+  });
+};
+
+module.exports = {
+  resolveSystemUserId,
+  scheduleExpiryJobs,
+};
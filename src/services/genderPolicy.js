@@ -0,0 +1,32 @@
+const STUDENT_GENDERS = ['MALE', 'FEMALE'];
+const HOSTEL_GENDERS = ['MALE', 'FEMALE', 'MIXED'];
+
+/**
+ * Resolve the gender a room is reserved for.
+ *
+ * Single-gender hostels apply to every room. In MIXED hostels a floor or
+ * block may be marked single-gender; the most specific level wins.
+ */
+const getSpaceGender = (room) => {
+  const hostelGender = room.block?.hostel?.gender || 'MIXED';
+  if (hostelGender !== 'MIXED') {
+    return hostelGender;
+  }
+
+  return room.floor?.gender || room.block?.gender || 'MIXED';
+};
+
+/**
+ * Whether a student may be placed in a room
+ */
+const isGenderCompatible = (studentGender, room) => {
+  const spaceGender = getSpaceGender(room);
+  return spaceGender === 'MIXED' || studentGender === spaceGender;
+};
+
+module.exports = {
+  STUDENT_GENDERS,
+  HOSTEL_GENDERS,
+  getSpaceGender,
+  isGenderCompatible,
+};
@@ -0,0 +1,67 @@
+const { normalizeUniversityId } = require('./roommateGroups');
+
+// Holds keep beds out of allocation runs until they are fulfilled, released or expire
+const HOLD_STATUSES = ['ACTIVE', 'FULFILLED', 'RELEASED', 'EXPIRED'];
+
+/**
+ * Prisma filter for beds without a live bed-level hold (room holds reserve
+ * the room). A hold past its expiry no longer counts, even before the expiry
+ * job has marked it EXPIRED, so build this per query.
+ */
+const notHeld = (now = new Date()) => ({
+  holds: { none: { status: 'ACTIVE', expiresAt: { gt: now } } },
+});
+
+// The same condition for raw SQL over `beds b` (expires_at is stored in UTC)
+const NOT_HELD_SQL = `NOT EXISTS (SELECT 1 FROM bed_holds h WHERE h.bed_id = b.id AND h.status = 'ACTIVE' AND h.expires_at > (NOW() AT TIME ZONE 'UTC'))`;
+
+/**
+ * Whether a hold covers a bed: a hold on that bed, or on its whole room
+ */
+const holdCoversBed = (hold, bed) => (
+  hold.bedId ? hold.bedId === bed.id : hold.roomId === bed.roomId
+);
+
+/**
+ * Whether a student belongs to the group a hold was placed for
+ */
+const isEligibleForHold = (hold, student) => (
+  Boolean(student.universityId) &&
+  (hold.eligibleUniversityIds || []).map(normalizeUniversityId).includes(normalizeUniversityId(student.universityId))
+);
+
+/**
+ * The first active hold covering `bed` that the student may not use, or null
+ */
+const findBlockingHold = (holds, bed, student) => (
+  holds.find((hold) => hold.status === 'ACTIVE' && holdCoversBed(hold, bed) && !isEligibleForHold(hold, student)) || null
+);
+
+/**
+ * Whether an active hold has passed its expiry
+ */
+const isHoldExpired = (hold, now = new Date()) => (
+  hold.status === 'ACTIVE' && new Date(hold.expiresAt) <= now
+);
+
+/**
+ * The status a room returns to when its last out-of-service ticket is
+ * resolved: RESERVED while a live whole-room hold still covers it, so the
+ * hold keeps working and its later release frees the room, else AVAILABLE
+ */
+const statusAfterMaintenance = (roomHolds, now = new Date()) => (
+  roomHolds.some((hold) => !hold.bedId && hold.status === 'ACTIVE' && !isHoldExpired(hold, now))
+    ? 'RESERVED'
+    : 'AVAILABLE'
+);
+
+module.exports = {
+  HOLD_STATUSES,
+  notHeld,
+  NOT_HELD_SQL,
+  holdCoversBed,
+  isEligibleForHold,
+  findBlockingHold,
+  isHoldExpired,
+  statusAfterMaintenance,
+};
@@ -0,0 +1,237 @@
+const { PrismaClient } = require('@prisma/client');
+const { createAuditLog } = require('../middleware/auditLog');
+const allocationEngine = require('./allocationEngine');
+const { ACTIVE_ALLOCATION_STATUSES } = require('./offerPolicy');
+const { statusAfterMaintenance } = require('./holdPolicy');
+
+const prisma = new PrismaClient();
+
+const TICKET_CATEGORIES = ['PLUMBING', 'ELECTRICAL', 'FURNITURE', 'CLEANING', 'PEST_CONTROL', 'OTHER'];
+const TICKET_PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+// Tickets still being worked on
+const OPEN_TICKET_STATUSES = ['OPEN', 'IN_PROGRESS'];
+
+const statusError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Students living in (or offered a bed in) a room, who need relocating
+ * while it is out of service
+ */
+const getAffectedOccupants = async (client, roomId) => {
+  const allocations = await client.allocation.findMany({
+    where: { roomId, status: { in: ACTIVE_ALLOCATION_STATUSES } },
+    include: {
+      student: { select: { id: true, name: true, email: true, universityId: true } },
+      bed: { select: { id: true, bedNumber: true } },
+    },
+    orderBy: { bed: { bedNumber: 'asc' } },
+  });
+
+  return allocations.map((allocation) => ({
+    allocationId: allocation.id,
+    allocationStatus: allocation.status,
+    bed: allocation.bed,
+    student: allocation.student,
+  }));
+};
+
+/**
+ * Mark a room out of service for a ticket. The room goes to MAINTENANCE,
+ * which keeps it out of allocation runs and waitlist promotion.
+ */
+const markOutOfService = async (tx, ticket) => {
+  await tx.maintenanceTicket.update({ where: { id: ticket.id }, data: { outOfService: true } });
+  await tx.room.update({ where: { id: ticket.roomId }, data: { status: 'MAINTENANCE' } });
+};
+
+/**
+ * Open a ticket against a room or one of its beds. Students may only report
+ * problems in the room they are allocated to; only wardens and admins can
+ * take the room out of service.
+ */
+const createTicket = async (user, { roomId, bedId, category, priority, description, outOfService }) => {
+  const room = await prisma.room.findUnique({ where: { id: roomId }, include: { beds: true } });
+  if (!room) {
+    throw statusError('Room not found', 404);
+  }
+
+  if (bedId && !room.beds.some((bed) => bed.id === bedId)) {
+    throw statusError('Bed not found in this room', 404);
+  }
+
+  if (user.role === 'STUDENT') {
+    const allocation = await prisma.allocation.findFirst({
+      where: { studentId: user.id, roomId, status: 'ACCEPTED' },
+    });
+    if (!allocation) {
+      throw statusError('You can only report problems in your own room', 403);
+    }
+    if (outOfService) {
+      throw statusError('Only wardens can take a room out of service', 403);
+    }
+  }
+
+  const ticket = await prisma.$transaction(async (tx) => {
+    const created = await tx.maintenanceTicket.create({
+      data: {
+        roomId,
+        bedId: bedId || null,
+        reportedBy: user.id,
+        category,
+        priority: priority || 'MEDIUM',
+        description,
+      },
+    });
+
+    if (outOfService) {
+      await markOutOfService(tx, created);
+    }
+
+    return tx.maintenanceTicket.findUnique({ where: { id: created.id } });
+  });
+
+  await createAuditLog(user.id, 'CREATE', 'MAINTENANCE_TICKET', ticket.id, {
+    roomId,
+    bedId: ticket.bedId,
+    category,
+    priority: ticket.priority,
+    outOfService: ticket.outOfService,
+  });
+
+  return {
+    ticket,
+    affectedOccupants: ticket.outOfService ? await getAffectedOccupants(prisma, roomId) : [],
+  };
+};
+
+/**
+ * Assign an open ticket to a warden (or admin); the ticket moves to IN_PROGRESS
+ */
+const assignTicket = async (ticketId, assigneeId, actorId) => {
+  const assignee = await prisma.user.findUnique({ where: { id: assigneeId } });
+  if (!assignee || !['WARDEN', 'ADMIN'].includes(assignee.role)) {
+    throw statusError('Tickets can only be assigned to wardens or admins', 400);
+  }
+
+  const updated = await prisma.maintenanceTicket.updateMany({
+    where: { id: ticketId, status: { in: OPEN_TICKET_STATUSES } },
+    data: { assignedTo: assigneeId, status: 'IN_PROGRESS' },
+  });
+
+  if (updated.count === 0) {
+    const existing = await prisma.maintenanceTicket.findUnique({ where: { id: ticketId } });
+    throw existing
+      ? statusError('Resolved tickets cannot be reassigned', 409)
+      : statusError('Ticket not found', 404);
+  }
+
+  await createAuditLog(actorId, 'UPDATE', 'MAINTENANCE_TICKET', ticketId, { assignedTo: assigneeId });
+
+  return prisma.maintenanceTicket.findUnique({ where: { id: ticketId } });
+};
+
+/**
+ * Take the ticket's room out of service. Returns the ticket and the
+ * occupants who have to be relocated.
+ */
+const takeOutOfService = async (ticketId, actorId) => {
+  const ticket = await prisma.$transaction(async (tx) => {
+    const existing = await tx.maintenanceTicket.findUnique({ where: { id: ticketId } });
+    if (!existing) {
+      throw statusError('Ticket not found', 404);
+    }
+    if (!OPEN_TICKET_STATUSES.includes(existing.status)) {
+      throw statusError('The ticket is already resolved', 409);
+    }
+    if (existing.outOfService) {
+      throw statusError('The room is already out of service for this ticket', 409);
+    }
+
+    await markOutOfService(tx, existing);
+    return tx.maintenanceTicket.findUnique({ where: { id: ticketId } });
+  });
+
+  await createAuditLog(actorId, 'UPDATE', 'MAINTENANCE_TICKET', ticketId, { outOfService: true, roomId: ticket.roomId });
+
+  return { ticket, affectedOccupants: await getAffectedOccupants(prisma, ticket.roomId) };
+};
+
+/**
+ * Resolve a ticket. When no other open ticket keeps the room out of service,
+ * the room returns to AVAILABLE and its free beds are offered to the waitlist;
+ * a room still under a whole-room hold goes back to RESERVED instead.
+ * Returns {ticket, returnedToService, promotions}.
+ */
+const resolveTicket = async (ticketId, actorId, resolution) => {
+  const { ticket, returnedToService, freedBedIds } = await prisma.$transaction(async (tx) => {
+    const existing = await tx.maintenanceTicket.findUnique({ where: { id: ticketId } });
+    if (!existing) {
+      throw statusError('Ticket not found', 404);
+    }
+
+    const resolved = await tx.maintenanceTicket.updateMany({
+      where: { id: ticketId, status: { in: OPEN_TICKET_STATUSES } },
+      data: { status: 'RESOLVED', resolution, resolvedBy: actorId, resolvedAt: new Date() },
+    });
+    if (resolved.count === 0) {
+      throw statusError('The ticket is already resolved', 409);
+    }
+
+    let reopened = false;
+    let freed = [];
+    if (existing.outOfService) {
+      const stillOut = await tx.maintenanceTicket.count({
+        where: { roomId: existing.roomId, outOfService: true, status: { in: OPEN_TICKET_STATUSES } },
+      });
+
+      if (stillOut === 0) {
+        const roomHolds = await tx.bedHold.findMany({
+          where: { roomId: existing.roomId, bedId: null, status: 'ACTIVE' },
+        });
+        const status = statusAfterMaintenance(roomHolds);
+        const updated = await tx.room.updateMany({
+          where: { id: existing.roomId, status: 'MAINTENANCE' },
+          data: { status },
+        });
+        reopened = updated.count > 0;
+        if (reopened && status === 'AVAILABLE') {
+          freed = await tx.bed.findMany({ where: { roomId: existing.roomId, occupiedBy: null }, select: { id: true } });
+        }
+      }
+    }
+
+    return {
+      ticket: await tx.maintenanceTicket.findUnique({ where: { id: ticketId } }),
+      returnedToService: reopened,
+      freedBedIds: freed.map((bed) => bed.id),
+    };
+  });
+
+  await createAuditLog(actorId, 'UPDATE', 'MAINTENANCE_TICKET', ticketId, {
+    status: 'RESOLVED',
+    resolution,
+    returnedToService,
+  });
+
+  const promotions = freedBedIds.length > 0
+    ? await allocationEngine.promoteFromWaitlist(freedBedIds, actorId)
+    : [];
+
+  return { ticket, returnedToService, promotions };
+};
+
+module.exports = {
+  TICKET_CATEGORIES,
+  TICKET_PRIORITIES,
+  OPEN_TICKET_STATUSES,
+  getAffectedOccupants,
+  createTicket,
+  assignTicket,
+  takeOutOfService,
+  resolveTicket,
+};
@@ -0,0 +1,33 @@
+// Allocations that hold a bed: an open offer or an accepted one
+const ACTIVE_ALLOCATION_STATUSES = ['OFFERED', 'ACCEPTED'];
+
+const DEFAULT_OFFER_TTL_HOURS = 72;
+
+/**
+ * How long a student has to answer an offer, from `OFFER_TTL_HOURS`
+ */
+const getOfferTtlHours = () => {
+  const hours = parseFloat(process.env.OFFER_TTL_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_OFFER_TTL_HOURS;
+};
+
+/**
+ * Deadline for an offer made at `now`
+ */
+const getOfferExpiry = (now = new Date()) => {
+  return new Date(now.getTime() + getOfferTtlHours() * 60 * 60 * 1000);
+};
+
+/**
+ * Whether an offer can no longer be accepted
+ */
+const isOfferExpired = (allocation, now = new Date()) => {
+  return Boolean(allocation.offerExpiresAt) && new Date(allocation.offerExpiresAt) <= now;
+};
+
+module.exports = {
+  ACTIVE_ALLOCATION_STATUSES,
+  getOfferTtlHours,
+  getOfferExpiry,
+  isOfferExpired,
+};
@@ -0,0 +1,150 @@
+const { ANY_ROOM_TYPE, getRoomType } = require('./bedScoring');
+const { isGenderCompatible } = require('./genderPolicy');
+const { normalizeUniversityId } = require('./roommateGroups');
+
+// Fields an application's preferences may contain
+const PREFERENCE_FIELDS = [
+  'preferredHostels',
+  'roomType',
+  'requiredFeatures',
+  'desiredFeatures',
+  'floorRange',
+  'roommatePreferences',
+];
+
+const PREFERENCE_LIMITS = {
+  preferredHostels: 10,
+  features: 20,
+  roommates: 5,
+};
+
+// Room feature keys that describe the room rather than an amenity
+const NON_FEATURE_KEYS = ['roomType'];
+
+const fieldError = (path, value, msg) => ({ type: 'field', location: 'body', path, value, msg });
+
+/**
+ * Amenities a room offers: the truthy keys of its `features`
+ */
+const getRoomFeatures = (room) => Object.entries(room.features || {})
+  .filter(([key, value]) => value && !NON_FEATURE_KEYS.includes(key))
+  .map(([key]) => key);
+
+/**
+ * Check room type, features and floor range against the rooms the student
+ * could actually be placed in
+ */
+const checkRoomPreferences = (preferences, candidateRooms, scope) => {
+  const errors = [];
+
+  const { roomType } = preferences;
+  const typedRooms = roomType && roomType !== ANY_ROOM_TYPE
+    ? candidateRooms.filter((room) => getRoomType(room) === roomType)
+    : candidateRooms;
+  if (typedRooms.length === 0) {
+    errors.push(fieldError('preferences.roomType', roomType, `No ${roomType} rooms ${scope}`));
+  }
+
+  const offered = new Set(candidateRooms.flatMap(getRoomFeatures));
+  ['requiredFeatures', 'desiredFeatures'].forEach((field) => {
+    (preferences[field] || []).forEach((feature, index) => {
+      if (!offered.has(feature)) {
+        errors.push(fieldError(`preferences.${field}[${index}]`, feature, `No room ${scope} offers "${feature}"`));
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const requiredFeatures = preferences.requiredFeatures || [];
+  const matchingRooms = typedRooms.filter((room) => {
+    const features = getRoomFeatures(room);
+    return requiredFeatures.every((feature) => features.includes(feature));
+  });
+  if (matchingRooms.length === 0) {
+    const label = typedRooms === candidateRooms ? 'room' : `${roomType} room`;
+    return [fieldError('preferences.requiredFeatures', requiredFeatures, `No ${label} ${scope} has all the required features`)];
+  }
+
+  if (preferences.floorRange) {
+    const { min = -Infinity, max = Infinity } = preferences.floorRange;
+    if (!matchingRooms.some((room) => room.floor.floorNumber >= min && room.floor.floorNumber <= max)) {
+      errors.push(fieldError('preferences.floorRange', preferences.floorRange, `No matching room ${scope} is within this floor range`));
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Check structurally valid preferences against live hostel, room and student
+ * data. `catalog` holds the student ({gender, universityId}), the hostels it
+ * names, the rooms of the candidate hostels (with block.hostel and floor
+ * loaded) and the students requested as roommates.
+ *
+ * Returns field-level errors in the express-validator format; empty if valid.
+ */
+const checkPreferences = (preferences, { student, hostels, rooms, roommates = [] }) => {
+  const errors = [];
+  const preferredHostels = preferences.preferredHostels || [];
+  const hostelsById = new Map(hostels.map((hostel) => [hostel.id, hostel]));
+
+  const seenHostels = new Set();
+  preferredHostels.forEach((hostelId, index) => {
+    const path = `preferences.preferredHostels[${index}]`;
+    const hostel = hostelsById.get(hostelId);
+
+    if (seenHostels.has(hostelId)) {
+      errors.push(fieldError(path, hostelId, 'Hostel is listed more than once'));
+    } else if (!hostel) {
+      errors.push(fieldError(path, hostelId, 'Hostel not found'));
+    } else if (hostel.gender !== 'MIXED' && !student.gender) {
+      errors.push(fieldError(path, hostelId, `Set your gender in your profile before choosing ${hostel.name}, which only houses ${hostel.gender.toLowerCase()} students`));
+    } else if (hostel.gender !== 'MIXED' && hostel.gender !== student.gender) {
+      errors.push(fieldError(path, hostelId, `${hostel.name} only houses ${hostel.gender.toLowerCase()} students`));
+    }
+    seenHostels.add(hostelId);
+  });
+
+  // Rooms the student could be placed in: chosen hostels (any without a choice), right gender
+  const candidateRooms = rooms.filter((room) => (
+    (preferredHostels.length === 0 || preferredHostels.includes(room.block.hostelId)) &&
+    isGenderCompatible(student.gender, room)
+  ));
+
+  if (candidateRooms.length > 0) {
+    const scope = preferredHostels.length > 0 ? 'in your preferred hostels' : 'available to you';
+    errors.push(...checkRoomPreferences(preferences, candidateRooms, scope));
+  } else if (preferredHostels.length > 0 && errors.length === 0) {
+    errors.push(fieldError('preferences.preferredHostels', preferredHostels, 'None of your preferred hostels has rooms available to you'));
+  }
+
+  // University IDs are compared the way roommate grouping matches them
+  const knownRoommates = new Set(roommates.map((roommate) => normalizeUniversityId(roommate.universityId)));
+  const ownUniversityId = student.universityId ? normalizeUniversityId(student.universityId) : null;
+  const seenRoommates = new Set();
+  ((preferences.roommatePreferences || {}).universityIds || []).forEach((universityId, index) => {
+    const path = `preferences.roommatePreferences.universityIds[${index}]`;
+    const normalized = normalizeUniversityId(universityId);
+
+    if (normalized === ownUniversityId) {
+      errors.push(fieldError(path, universityId, 'You cannot request yourself as a roommate'));
+    } else if (seenRoommates.has(normalized)) {
+      errors.push(fieldError(path, universityId, 'Roommate is listed more than once'));
+    } else if (!knownRoommates.has(normalized)) {
+      errors.push(fieldError(path, universityId, 'No student with this university ID'));
+    }
+    seenRoommates.add(normalized);
+  });
+
+  return errors;
+};
+
+module.exports = {
+  PREFERENCE_FIELDS,
+  PREFERENCE_LIMITS,
+  getRoomFeatures,
+  checkPreferences,
+};
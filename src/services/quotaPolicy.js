@@ -0,0 +1,115 @@
+// Priority categories and their quotas (configurable)
+const PRIORITY_QUOTAS = {
+  HANDICAPPED: 0.1, // 10% reserved
+  MERIT: 0.2, // 20% reserved
+};
+
+/**
+ * Date after which unused reserved beds go back to the general pool
+ */
+const getQuotaReleaseDate = () => {
+  if (!process.env.QUOTA_RELEASE_DATE) {
+    return null;
+  }
+
+  const releaseDate = new Date(process.env.QUOTA_RELEASE_DATE);
+  return isNaN(releaseDate.getTime()) ? null : releaseDate;
+};
+
+const isQuotaReleased = (releaseDate, now = new Date()) => {
+  return Boolean(releaseDate) && now >= releaseDate;
+};
+
+/**
+ * Resolve quota settings, letting callers (e.g. dry runs) override the defaults
+ */
+const resolveQuotaPolicy = ({ quotas = PRIORITY_QUOTAS, releaseDate = getQuotaReleaseDate() } = {}, now = new Date()) => {
+  return {
+    quotas,
+    releaseDate,
+    released: isQuotaReleased(releaseDate, now),
+  };
+};
+
+/**
+ * Compute the reserved-bed pools of a single hostel.
+ *
+ * Beds are not pinned to a category; each pool is a count of free beds
+ * that only its category may take until the quotas are released.
+ */
+const computeQuotaState = (
+  { totalBeds, occupiedBeds, freeBeds, usedByCategory = {} },
+  { quotas = PRIORITY_QUOTAS, released = false } = {}
+) => {
+  const pools = {};
+  let heldBack = 0;
+
+  for (const [category, fraction] of Object.entries(quotas)) {
+    const reserved = Math.floor(totalBeds * fraction);
+    const used = Math.min(usedByCategory[category] || 0, reserved);
+    const remaining = released ? 0 : reserved - used;
+
+    pools[category] = { reserved, used, remaining };
+    heldBack += remaining;
+  }
+
+  // Reserved beds can never exceed what is actually free
+  heldBack = Math.min(heldBack, freeBeds);
+
+  return {
+    totalBeds,
+    occupiedBeds,
+    freeBeds,
+    released,
+    heldBack,
+    generalAvailable: Math.max(0, freeBeds - heldBack),
+    pools,
+  };
+};
+
+/**
+ * Whether an applicant of the given category may take a free bed in a hostel
+ */
+const canUseHostel = (quotaState, priorityCategory) => {
+  if (!quotaState || quotaState.freeBeds <= 0) {
+    return false;
+  }
+
+  const pool = priorityCategory ? quotaState.pools[priorityCategory] : null;
+  if (pool && pool.remaining > 0) {
+    return true;
+  }
+
+  return quotaState.generalAvailable > 0;
+};
+
+/**
+ * Record one more placement against a hostel's in-memory quota state
+ */
+const consumeQuota = (quotaState, priorityCategory) => {
+  const pool = priorityCategory ? quotaState.pools[priorityCategory] : null;
+
+  quotaState.occupiedBeds++;
+  quotaState.freeBeds--;
+
+  if (pool && pool.remaining > 0) {
+    pool.used++;
+    pool.remaining--;
+  }
+
+  quotaState.heldBack = Math.min(
+    Object.values(quotaState.pools).reduce((sum, { remaining }) => sum + remaining, 0),
+    quotaState.freeBeds
+  );
+  quotaState.generalAvailable = Math.max(0, quotaState.freeBeds - quotaState.heldBack);
+};
+
+module.exports = {
+  PRIORITY_QUOTAS,
+  getQuotaReleaseDate,
+  isQuotaReleased,
+  resolveQuotaPolicy,
+  computeQuotaState,
+  canUseHostel,
+  consumeQuota,
+};
@@ -0,0 +1,38 @@
+/**
+ * Work out the bed changes for a new room capacity.
+ *
+ * Growing adds the lowest unused bed numbers. Shrinking removes free beds,
+ * highest numbers first; `isFree(bed)` decides which beds may go. When
+ * there are not enough free beds, `relocationsNeeded` is how many occupants
+ * would have to move first and nothing is removed.
+ *
+ * Returns {addBedNumbers, removeBeds, relocationsNeeded}.
+ */
+const planCapacityChange = (beds, capacity, isFree = (bed) => !bed.occupiedBy) => {
+  const plan = { addBedNumbers: [], removeBeds: [], relocationsNeeded: 0 };
+
+  if (capacity > beds.length) {
+    const used = new Set(beds.map((bed) => bed.bedNumber));
+    for (let bedNumber = 1; plan.addBedNumbers.length < capacity - beds.length; bedNumber++) {
+      if (!used.has(bedNumber)) {
+        plan.addBedNumbers.push(bedNumber);
+      }
+    }
+    return plan;
+  }
+
+  const excess = beds.length - capacity;
+  const freeBeds = beds.filter(isFree).sort((a, b) => b.bedNumber - a.bedNumber);
+
+  if (freeBeds.length < excess) {
+    plan.relocationsNeeded = excess - freeBeds.length;
+    return plan;
+  }
+
+  plan.removeBeds = freeBeds.slice(0, excess);
+  return plan;
+};
+
+module.exports = {
+  planCapacityChange,
+};
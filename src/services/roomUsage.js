@@ -0,0 +1,62 @@
+const { ACTIVE_ALLOCATION_STATUSES } = require('./offerPolicy');
+
+/**
+ * Count what still references the rooms matching `roomWhere`.
+ *
+ * Deleting a room cascades to its allocations (and the transfer requests
+ * made from them) and maintenance tickets, so a room, floor, block or
+ * hostel may only be deleted while every count is zero. `transferFilters`
+ * adds further ways a transfer request can refer to the space.
+ */
+const countRoomUsage = async (client, roomWhere, transferFilters = []) => {
+  const [occupiedBeds, activeAllocations, allocations, transferRequests, maintenanceTickets] = await Promise.all([
+    client.bed.count({ where: { occupiedBy: { not: null }, room: roomWhere } }),
+    client.allocation.count({ where: { status: { in: ACTIVE_ALLOCATION_STATUSES }, room: roomWhere } }),
+    client.allocation.count({ where: { room: roomWhere } }),
+    client.transferRequest.count({
+      where: {
+        OR: [
+          { targetRoom: roomWhere },
+          { allocation: { room: roomWhere } },
+          { swapAllocation: { room: roomWhere } },
+          ...transferFilters,
+        ],
+      },
+    }),
+    client.maintenanceTicket.count({ where: { room: roomWhere } }),
+  ]);
+
+  return { occupiedBeds, activeAllocations, allocations, transferRequests, maintenanceTickets };
+};
+
+const HISTORY_LABELS = {
+  allocations: 'allocation(s)',
+  transferRequests: 'transfer request(s)',
+  maintenanceTickets: 'maintenance ticket(s)',
+  waitlistEntries: 'waitlist entr(ies)',
+  applications: 'application(s)',
+};
+
+/**
+ * Why a space with this usage cannot be deleted, or null when it can.
+ * Occupants are reported first, as they are the ones to act on.
+ */
+const describeRoomUsage = (label, usage) => {
+  const occupied = Math.max(usage.occupiedBeds || 0, usage.activeAllocations || 0);
+  if (occupied > 0) {
+    return `This ${label} still has ${occupied} occupied bed(s); relocate or check out the occupants first`;
+  }
+
+  const history = Object.entries(HISTORY_LABELS)
+    .filter(([key]) => usage[key] > 0)
+    .map(([key, text]) => `${usage[key]} ${text}`);
+
+  return history.length > 0
+    ? `This ${label} is referenced by ${history.join(', ')} and cannot be deleted without losing that history`
+    : null;
+};
+
+module.exports = {
+  countRoomUsage,
+  describeRoomUsage,
+};
@@ -0,0 +1,97 @@
+const normalizeUniversityId = (universityId) => String(universityId).trim().toUpperCase();
+
+/**
+ * University IDs an application names as roommates (excluding the student's own)
+ */
+const getRequestedRoommates = (application) => {
+  const roommatePreferences = (application.preferences || {}).roommatePreferences || {};
+  const ownId = application.student?.universityId
+    ? normalizeUniversityId(application.student.universityId)
+    : null;
+
+  const requested = (roommatePreferences.universityIds || [])
+    .filter(Boolean)
+    .map(normalizeUniversityId)
+    .filter((universityId) => universityId !== ownId);
+
+  return [...new Set(requested)];
+};
+
+/**
+ * Group applications whose students name each other as roommates.
+ *
+ * Two applications are linked only when the request is mutual; linked
+ * applications are merged into groups (connected components). Requests that
+ * are not returned are reported per requester as `oneSided`.
+ */
+const buildRoommateGroups = (applications) => {
+  const byUniversityId = new Map();
+  for (const application of applications) {
+    if (application.student?.universityId) {
+      byUniversityId.set(normalizeUniversityId(application.student.universityId), application);
+    }
+  }
+
+  // Union-find over application IDs
+  const parent = new Map(applications.map((application) => [application.id, application.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const oneSided = [];
+  for (const application of applications) {
+    const ownId = application.student?.universityId
+      ? normalizeUniversityId(application.student.universityId)
+      : null;
+    const unmatched = [];
+
+    for (const universityId of getRequestedRoommates(application)) {
+      const other = byUniversityId.get(universityId);
+      const isMutual = other && ownId && getRequestedRoommates(other).includes(ownId);
+
+      if (isMutual) {
+        parent.set(find(application.id), find(other.id));
+      } else {
+        unmatched.push(universityId);
+      }
+    }
+
+    if (unmatched.length > 0) {
+      oneSided.push({ application, universityIds: unmatched });
+    }
+  }
+
+  const components = new Map();
+  for (const application of applications) {
+    const root = find(application.id);
+    if (!components.has(root)) {
+      components.set(root, []);
+    }
+    components.get(root).push(application);
+  }
+
+  return {
+    groups: [...components.values()].filter((group) => group.length > 1),
+    oneSided,
+  };
+};
+
+/**
+ * The unreturned roommate requests a student has not yet been told about;
+ * each run reports the same one-sided requests, but the email goes out once
+ */
+const getUnnotifiedRoommates = (application, universityIds) => {
+  const notified = new Set((application.roommateNoticeIds || []).map(normalizeUniversityId));
+  return universityIds.filter((universityId) => !notified.has(normalizeUniversityId(universityId)));
+};
+
+module.exports = {
+  normalizeUniversityId,
+  getRequestedRoommates,
+  buildRoommateGroups,
+  getUnnotifiedRoommates,
+};
@@ -0,0 +1,62 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * The term new applications and allocation runs belong to, if any
+ */
+const getActiveTerm = async (client = prisma) => {
+  return client.term.findFirst({ where: { isActive: true } });
+};
+
+/**
+ * The active term; throws a 409 when none is active
+ */
+const requireActiveTerm = async (client = prisma) => {
+  const term = await getActiveTerm(client);
+
+  if (!term) {
+    const error = new Error('No academic term is active');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return term;
+};
+
+/**
+ * Term to filter a listing by: the requested one, otherwise the active term.
+ * Returns null when neither exists, meaning "do not filter".
+ */
+const resolveTermId = async (termId) => {
+  if (termId) {
+    return termId;
+  }
+
+  const term = await getActiveTerm();
+  return term ? term.id : null;
+};
+
+/**
+ * Make a term the active one (and every other term inactive)
+ */
+const activateTerm = async (termId) => {
+  return prisma.$transaction(async (tx) => {
+    await tx.term.updateMany({
+      where: { isActive: true, id: { not: termId } },
+      data: { isActive: false },
+    });
+
+    return tx.term.update({
+      where: { id: termId },
+      data: { isActive: true },
+    });
+  });
+};
+
+module.exports = {
+  getActiveTerm,
+  requireActiveTerm,
+  resolveTermId,
+  activateTerm,
+};
@@ -0,0 +1,471 @@
+const { PrismaClient } = require('@prisma/client');
+const { createAuditLog } = require('../middleware/auditLog');
+const { scoreBed } = require('./bedScoring');
+const { isGenderCompatible } = require('./genderPolicy');
+const { notHeld, NOT_HELD_SQL } = require('./holdPolicy');
+const allocationEngine = require('./allocationEngine');
+const termService = require('./termService');
+
+const prisma = new PrismaClient();
+
+// Requests still waiting on the other student or on a warden
+const OPEN_TRANSFER_STATUSES = ['PENDING_CONSENT', 'PENDING_APPROVAL'];
+
+// Relations loaded with every bed and allocation involved in a transfer
+const ROOM_INCLUDE = {
+  block: {
+    include: {
+      hostel: true,
+    },
+  },
+  floor: true,
+};
+
+const ALLOCATION_INCLUDE = {
+  student: true,
+  application: true,
+  room: { include: ROOM_INCLUDE },
+};
+
+const statusError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * The accepted allocation a student lives in this term
+ */
+const findCurrentAllocation = async (client, studentId, termId) => {
+  return client.allocation.findFirst({
+    where: { studentId, termId, status: 'ACCEPTED' },
+    include: ALLOCATION_INCLUDE,
+    orderBy: { allocatedAt: 'desc' },
+  });
+};
+
+/**
+ * Create a transfer request for a student.
+ *
+ * MOVE requests name a target room or hostel and go straight to the wardens;
+ * SWAP requests name another allocated student, who has to consent first.
+ */
+const createTransferRequest = async (studentId, { type, targetRoomId, targetHostelId, swapWithUniversityId, reason }) => {
+  const term = await termService.requireActiveTerm();
+  const allocation = await findCurrentAllocation(prisma, studentId, term.id);
+  if (!allocation) {
+    throw statusError('You need an accepted room allocation to request a transfer', 400);
+  }
+
+  const openRequest = await prisma.transferRequest.findFirst({
+    where: { requesterId: studentId, status: { in: OPEN_TRANSFER_STATUSES } },
+  });
+  if (openRequest) {
+    throw statusError('You already have an open transfer request', 409);
+  }
+
+  const data = {
+    type,
+    requesterId: studentId,
+    allocationId: allocation.id,
+    reason: reason || null,
+  };
+
+  if (type === 'MOVE') {
+    if (!targetRoomId && !targetHostelId) {
+      throw statusError('A target room or hostel is required', 400);
+    }
+
+    if (targetRoomId) {
+      const room = await prisma.room.findUnique({ where: { id: targetRoomId }, include: ROOM_INCLUDE });
+      if (!room) {
+        throw statusError('Target room not found', 404);
+      }
+      if (room.id === allocation.roomId) {
+        throw statusError('You already live in this room', 400);
+      }
+      if (!isGenderCompatible(allocation.student.gender, room)) {
+        throw statusError('The target room is reserved for another gender', 400);
+      }
+    } else if (!(await prisma.hostel.findUnique({ where: { id: targetHostelId } }))) {
+      throw statusError('Target hostel not found', 404);
+    }
+
+    Object.assign(data, {
+      status: 'PENDING_APPROVAL',
+      targetRoomId: targetRoomId || null,
+      targetHostelId: targetRoomId ? null : targetHostelId,
+    });
+  } else {
+    if (!swapWithUniversityId) {
+      throw statusError('The university ID of the student to swap with is required', 400);
+    }
+
+    const counterpart = await prisma.user.findFirst({
+      where: {
+        role: 'STUDENT',
+        universityId: { equals: swapWithUniversityId.trim(), mode: 'insensitive' },
+      },
+    });
+    if (!counterpart || counterpart.id === studentId) {
+      throw statusError('Student to swap with not found', 404);
+    }
+
+    const swapAllocation = await findCurrentAllocation(prisma, counterpart.id, term.id);
+    if (!swapAllocation) {
+      throw statusError('That student has no room to swap', 400);
+    }
+    if (swapAllocation.roomId === allocation.roomId) {
+      throw statusError('You already share a room with that student', 400);
+    }
+    if (!isGenderCompatible(allocation.student.gender, swapAllocation.room) ||
+        !isGenderCompatible(counterpart.gender, allocation.room)) {
+      throw statusError('These rooms are reserved for different genders', 400);
+    }
+
+    Object.assign(data, {
+      status: 'PENDING_CONSENT',
+      counterpartId: counterpart.id,
+      swapAllocationId: swapAllocation.id,
+    });
+  }
+
+  const request = await prisma.transferRequest.create({ data });
+
+  await createAuditLog(studentId, 'CREATE', 'TRANSFER_REQUEST', request.id, {
+    type,
+    allocationId: allocation.id,
+    targetRoomId: data.targetRoomId,
+    targetHostelId: data.targetHostelId,
+    counterpartId: data.counterpartId,
+  });
+
+  return request;
+};
+
+/**
+ * Load a request and check it is in one of the expected statuses
+ */
+const findRequest = async (requestId, statuses) => {
+  const request = await prisma.transferRequest.findUnique({ where: { id: requestId } });
+
+  if (!request) {
+    throw statusError('Transfer request not found', 404);
+  }
+
+  if (!statuses.includes(request.status)) {
+    throw statusError(`Transfer request is ${request.status.toLowerCase().replace('_', ' ')}`, 409);
+  }
+
+  return request;
+};
+
+/**
+ * The other student's answer to a swap proposal
+ */
+const respondToSwap = async (requestId, studentId, accept) => {
+  const request = await findRequest(requestId, ['PENDING_CONSENT']);
+
+  if (request.counterpartId !== studentId) {
+    throw statusError('Access denied', 403);
+  }
+
+  const updated = await prisma.transferRequest.update({
+    where: { id: request.id },
+    data: accept
+      ? { status: 'PENDING_APPROVAL', consentedAt: new Date() }
+      : { status: 'DECLINED' },
+  });
+
+  await createAuditLog(studentId, 'UPDATE', 'TRANSFER_REQUEST', request.id, {
+    action: accept ? 'swap_consent' : 'swap_decline',
+  });
+
+  return updated;
+};
+
+/**
+ * Withdraw a request that has not been decided yet
+ */
+const cancelTransferRequest = async (requestId, studentId) => {
+  const request = await findRequest(requestId, OPEN_TRANSFER_STATUSES);
+
+  if (request.requesterId !== studentId) {
+    throw statusError('Access denied', 403);
+  }
+
+  const updated = await prisma.transferRequest.update({
+    where: { id: request.id },
+    data: { status: 'CANCELLED' },
+  });
+
+  await createAuditLog(studentId, 'UPDATE', 'TRANSFER_REQUEST', request.id, { action: 'cancel' });
+
+  return updated;
+};
+
+/**
+ * Turn down an open request
+ */
+const rejectTransferRequest = async (requestId, reviewerId, note = null) => {
+  const request = await findRequest(requestId, OPEN_TRANSFER_STATUSES);
+
+  const updated = await prisma.transferRequest.update({
+    where: { id: request.id },
+    data: {
+      status: 'REJECTED',
+      reviewedBy: reviewerId,
+      reviewedAt: new Date(),
+      reviewNote: note,
+    },
+  });
+
+  await createAuditLog(reviewerId, 'REJECT', 'TRANSFER_REQUEST', request.id, { note });
+
+  return updated;
+};
+
+/**
+ * Lock the given beds (all or nothing), the same way the allocation engine
+ * locks beds before placing a student
+ */
+const lockBeds = async (tx, bedIds) => {
+  const locked = await tx.$queryRawUnsafe(
+    `SELECT id FROM beds WHERE id = ANY($1::text[]) ORDER BY id FOR UPDATE SKIP LOCKED`,
+    bedIds
+  );
+
+  if (locked.length < bedIds.length) {
+    throw statusError('The beds involved are being changed by another request; please try again', 409);
+  }
+};
+
+/**
+ * End an allocation and create its replacement in a new bed, keeping both
+ * rows as history. The caller holds the locks and updates the beds.
+ */
+const reallocate = async (tx, allocation, bed, reviewerId, request) => {
+  const endReason = `${request.type === 'SWAP' ? 'Swapped' : 'Transferred'} (transfer request ${request.id})`;
+
+  await tx.allocation.update({
+    where: { id: allocation.id },
+    data: {
+      status: 'ENDED',
+      endedAt: new Date(),
+      endReason,
+      endedBy: reviewerId,
+    },
+  });
+
+  const { score, satisfied } = scoreBed(bed, allocation.application.preferences);
+  const replacement = await tx.allocation.create({
+    data: {
+      applicationId: allocation.applicationId,
+      studentId: allocation.studentId,
+      termId: allocation.termId,
+      roomId: bed.roomId,
+      bedId: bed.id,
+      allocatedBy: reviewerId,
+      matchScore: score,
+      matchDetails: satisfied,
+      status: 'ACCEPTED',
+    },
+  });
+
+  await tx.auditLog.createMany({
+    data: [
+      {
+        actorId: reviewerId,
+        action: 'DEALLOCATE',
+        targetType: 'ALLOCATION',
+        targetId: allocation.id,
+        details: { studentId: allocation.studentId, bedId: allocation.bedId, reason: endReason, transferRequestId: request.id },
+      },
+      {
+        actorId: reviewerId,
+        action: 'ALLOCATE',
+        targetType: 'ALLOCATION',
+        targetId: replacement.id,
+        details: { studentId: allocation.studentId, roomId: bed.roomId, bedId: bed.id, transferRequestId: request.id },
+      },
+    ],
+  });
+
+  return replacement;
+};
+
+/**
+ * Load an allocation for a transfer and check it is still the live one
+ */
+const loadLiveAllocation = async (tx, allocationId) => {
+  const allocation = await tx.allocation.findUnique({
+    where: { id: allocationId },
+    include: ALLOCATION_INCLUDE,
+  });
+
+  if (!allocation || allocation.status !== 'ACCEPTED') {
+    throw statusError('The allocation this request refers to is no longer active', 409);
+  }
+
+  return allocation;
+};
+
+/**
+ * Move the requester into the best free bed of the target room or hostel
+ */
+const executeMove = async (tx, request, reviewerId) => {
+  const allocation = await loadLiveAllocation(tx, request.allocationId);
+  await lockBeds(tx, [allocation.bedId]);
+
+  const candidateBeds = await tx.bed.findMany({
+    where: {
+      occupiedBy: null,
+      ...notHeld(),
+      room: {
+        status: 'AVAILABLE',
+        ...(request.targetRoomId
+          ? { id: request.targetRoomId }
+          : { block: { hostelId: request.targetHostelId } }),
+      },
+    },
+    include: { room: { include: ROOM_INCLUDE } },
+  });
+
+  // The student asked for this room, so preferences only rank the free beds
+  const ranked = candidateBeds
+    .filter((bed) => bed.roomId !== allocation.roomId && isGenderCompatible(allocation.student.gender, bed.room))
+    .map((bed) => ({ bed, ...scoreBed(bed, allocation.application.preferences) }))
+    .sort((a, b) => b.score - a.score || a.bed.id.localeCompare(b.bed.id));
+
+  // The room may have gone out of service or been held since the beds were read
+  let target = null;
+  for (const candidate of ranked) {
+    const locked = await tx.$queryRawUnsafe(
+      `SELECT b.id FROM beds b
+       JOIN rooms r ON r.id = b.room_id
+       WHERE b.id = $1 AND b.occupied_by IS NULL AND r.status = 'AVAILABLE' AND ${NOT_HELD_SQL}
+       FOR UPDATE OF b SKIP LOCKED`,
+      candidate.bed.id
+    );
+
+    if (locked && locked.length > 0) {
+      target = candidate.bed;
+      break;
+    }
+  }
+
+  if (!target) {
+    throw statusError('No free bed is available in the requested room or hostel', 409);
+  }
+
+  await tx.bed.update({ where: { id: allocation.bedId }, data: { occupiedBy: null } });
+  await tx.bed.update({ where: { id: target.id }, data: { occupiedBy: allocation.studentId } });
+
+  const replacement = await reallocate(tx, allocation, target, reviewerId, request);
+
+  return {
+    endedAllocationIds: [allocation.id],
+    createdAllocationIds: [replacement.id],
+    freedBedIds: [allocation.bedId],
+  };
+};
+
+/**
+ * Exchange the beds of the two students
+ */
+const executeSwap = async (tx, request, reviewerId) => {
+  const first = await loadLiveAllocation(tx, request.allocationId);
+  const second = await loadLiveAllocation(tx, request.swapAllocationId);
+  await lockBeds(tx, [first.bedId, second.bedId]);
+
+  if (!isGenderCompatible(first.student.gender, second.room) ||
+      !isGenderCompatible(second.student.gender, first.room)) {
+    throw statusError('These rooms are reserved for different genders', 409);
+  }
+
+  const firstBed = await tx.bed.update({
+    where: { id: first.bedId },
+    data: { occupiedBy: second.studentId },
+    include: { room: { include: ROOM_INCLUDE } },
+  });
+  const secondBed = await tx.bed.update({
+    where: { id: second.bedId },
+    data: { occupiedBy: first.studentId },
+    include: { room: { include: ROOM_INCLUDE } },
+  });
+
+  const replacements = [
+    await reallocate(tx, first, secondBed, reviewerId, request),
+    await reallocate(tx, second, firstBed, reviewerId, request),
+  ];
+
+  return {
+    endedAllocationIds: [first.id, second.id],
+    createdAllocationIds: replacements.map((allocation) => allocation.id),
+    freedBedIds: [],
+  };
+};
+
+/**
+ * Approve a request and carry it out: bed updates and allocation history
+ * commit together in one locked transaction
+ */
+const approveTransferRequest = async (requestId, reviewerId, note = null) => {
+  const request = await findRequest(requestId, ['PENDING_APPROVAL']);
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Claim the request so two approvals cannot both execute it
+    const claimed = await tx.transferRequest.updateMany({
+      where: { id: request.id, status: 'PENDING_APPROVAL' },
+      data: {
+        status: 'APPROVED',
+        reviewedBy: reviewerId,
+        reviewedAt: new Date(),
+        reviewNote: note,
+      },
+    });
+
+    if (claimed.count === 0) {
+      throw statusError('Transfer request has already been decided', 409);
+    }
+
+    const outcome = request.type === 'SWAP'
+      ? await executeSwap(tx, request, reviewerId)
+      : await executeMove(tx, request, reviewerId);
+
+    await tx.transferRequest.update({
+      where: { id: request.id },
+      data: { result: outcome },
+    });
+
+    await tx.auditLog.create({
+      data: {
+        actorId: reviewerId,
+        action: 'APPROVE',
+        targetType: 'TRANSFER_REQUEST',
+        targetId: request.id,
+        details: { type: request.type, note, ...outcome },
+      },
+    });
+
+    return outcome;
+  }, {
+    timeout: 10000, // 10 second timeout
+  });
+
+  const promotions = await allocationEngine.promoteFromWaitlist(result.freedBedIds, reviewerId);
+
+  return {
+    request: await prisma.transferRequest.findUnique({ where: { id: request.id } }),
+    promotions,
+  };
+};
+
+module.exports = {
+  OPEN_TRANSFER_STATUSES,
+  createTransferRequest,
+  respondToSwap,
+  cancelTransferRequest,
+  rejectTransferRequest,
+  approveTransferRequest,
+};
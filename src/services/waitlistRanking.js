@@ -0,0 +1,65 @@
+const { priorityRank } = require('./allocationStrategies');
+const { normalizePreferences } = require('./bedScoring');
+
+/**
+ * The waitlist pool of an application: its term, first-choice hostel and
+ * room type (null means "any")
+ */
+const getWaitlistPool = (application) => {
+  const { preferredHostels, roomType } = normalizePreferences(application.preferences);
+
+  return {
+    termId: application.termId || null,
+    hostelId: preferredHostels[0] || null,
+    roomType,
+  };
+};
+
+const getPoolKey = ({ termId, hostelId, roomType }) => `${termId || '*'}:${hostelId || '*'}:${roomType || '*'}`;
+
+/**
+ * Waitlist order: priority category first, then earliest application
+ */
+const compareWaitlist = (a, b) => (
+  priorityRank(a) - priorityRank(b) ||
+  new Date(a.appliedAt).getTime() - new Date(b.appliedAt).getTime() ||
+  a.id.localeCompare(b.id)
+);
+
+/**
+ * Rank waitlist entries (with their `application`) from 1 within each pool.
+ *
+ * Returns the entries grouped by pool, each entry carrying its computed
+ * `position`; pools keep the order in which they were first seen.
+ */
+const rankWaitlist = (entries) => {
+  const pools = new Map();
+
+  for (const entry of entries) {
+    const pool = {
+      termId: entry.termId || null,
+      hostelId: entry.hostelId || null,
+      roomType: entry.roomType || null,
+    };
+    const key = getPoolKey(pool);
+
+    if (!pools.has(key)) {
+      pools.set(key, { ...pool, entries: [] });
+    }
+    pools.get(key).entries.push(entry);
+  }
+
+  return [...pools.values()].map((pool) => ({
+    ...pool,
+    entries: pool.entries
+      .sort((a, b) => compareWaitlist(a.application, b.application))
+      .map((entry, index) => ({ ...entry, position: index + 1 })),
+  }));
+};
+
+module.exports = {
+  getWaitlistPool,
+  getPoolKey,
+  compareWaitlist,
+  rankWaitlist,
+};
@@ -37,38 +37,73 @@ const sendEmail = async (to, subject, html, text = '') => {
 };
 
 const sendAllocationNotification = async (studentEmail, studentName, roomDetails) => {
-  const subject = 'Room Allocation Confirmed';
+  // Engine allocations are offers the student still has to accept
+  const isOffer = Boolean(roomDetails.offerExpiresAt);
+  const subject = isOffer ? 'Room Offer' : 'Room Allocation Confirmed';
   const html = `
-    <h2>Room Allocation Confirmed</h2>
+    <h2>${subject}</h2>
     <p>Dear ${studentName},</p>
-    <p>Your room allocation has been confirmed:</p>
+    <p>${isOffer ? 'You have been offered the following room:' : 'Your room allocation has been confirmed:'}</p>
     <ul>
       <li><strong>Hostel:</strong> ${roomDetails.hostelName}</li>
       <li><strong>Block:</strong> ${roomDetails.blockName}</li>
       <li><strong>Room:</strong> ${roomDetails.roomNumber}</li>
       <li><strong>Bed:</strong> ${roomDetails.bedNumber}</li>
     </ul>
-    <p>Please report to the warden office to collect your keys.</p>
+    ${isOffer
+      ? `<p>Please accept or decline this offer by <strong>${new Date(roomDetails.offerExpiresAt).toUTCString()}</strong>. Unanswered offers expire and the bed goes to the next student on the waitlist.</p>`
+      : '<p>Please report to the warden office to collect your keys.</p>'}
   `;
   
   return sendEmail(studentEmail, subject, html);
 };
 
-const sendWaitlistNotification = async (studentEmail, studentName, rank) => {
+const sendWaitlistNotification = async (studentEmail, studentName, rank, reason = null) => {
   const subject = 'Application Waitlisted';
   const html = `
     <h2>Application Waitlisted</h2>
     <p>Dear ${studentName},</p>
     <p>Your application has been added to the waitlist. Your current rank is: <strong>${rank}</strong></p>
+    ${reason ? `<p>Reason: ${reason}</p>` : ''}
     <p>You will be notified when a room becomes available.</p>
   `;
   
   return sendEmail(studentEmail, subject, html);
 };
 
+const sendApplicationRejectedNotification = async (studentEmail, studentName, reason) => {
+  const subject = 'Application Rejected';
+  const html = `
+    <h2>Application Rejected</h2>
+    <p>Dear ${studentName},</p>
+    <p>Your hostel application has been reviewed and was not approved.</p>
+    <p>Reason: ${reason}</p>
+    <p>Please contact the warden office if you have any questions.</p>
+  `;
+
+  return sendEmail(studentEmail, subject, html);
+};
+
+const sendRoommateRequestNotification = async (studentEmail, studentName, universityIds) => {
+  const subject = 'Roommate Request Not Matched';
+  const html = `
+    <h2>Roommate Request Not Matched</h2>
+    <p>Dear ${studentName},</p>
+    <p>The following students have not named you as a roommate, so your request could not be honoured:</p>
+    <ul>
+      ${universityIds.map((universityId) => `<li>${universityId}</li>`).join('')}
+    </ul>
+    <p>Roommates are only placed together when the request is mutual.</p>
+  `;
+
+  return sendEmail(studentEmail, subject, html);
+};
+
 module.exports = {
   sendEmail,
   sendAllocationNotification,
   sendWaitlistNotification,
+  sendApplicationRejectedNotification,
+  sendRoommateRequestNotification,
 };
 
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Local disk storage under `root` (UPLOAD_DIR, default ./uploads).
+ * Keys are relative paths; anything resolving outside the root is refused.
+ */
+const createLocalStorage = ({ root = process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads') } = {}) => {
+  const baseDir = path.resolve(root);
+
+  const resolveKey = (key) => {
+    const file = path.resolve(baseDir, key);
+    if (!file.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const file = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+      return key;
+    },
+    read: async (key) => fs.promises.readFile(resolveKey(key)),
+    remove: async (key) => fs.promises.rm(resolveKey(key), { force: true }),
+  };
+};
+
+// Adapter factories by driver name; others (e.g. S3) can be registered at startup
+const adapters = {
+  local: createLocalStorage,
+};
+
+let storage = null;
+
+/**
+ * Make a storage driver available under `name`. The factory returns an object
+ * with async save(key, buffer), read(key) and remove(key).
+ */
+const registerStorageAdapter = (name, factory) => {
+  adapters[name] = factory;
+  storage = null;
+};
+
+/**
+ * The adapter selected by STORAGE_DRIVER (default: local)
+ */
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    const factory = adapters[driver];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = factory();
+  }
+  return storage;
+};
+
+/**
+ * A unique key under `prefix` that keeps a sanitised copy of the file name
+ */
+const buildStorageKey = (prefix, fileName) => {
+  const safeName = path.basename(String(fileName)).replace(/[^A-Za-z0-9._-]/g, '_').slice(-100) || 'file';
+  return `${prefix}/${crypto.randomUUID()}-${safeName}`;
+};
+
+module.exports = {
+  createLocalStorage,
+  registerStorageAdapter,
+  getStorage,
+  buildStorageKey,
+};